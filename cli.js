@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+// ============================================================================
+// IMAGE STYLER CLI - Batch ASCII / Paint conversion from the shell
+// ============================================================================
+// Runs the same conversion engine as the web app (engine.js) over any number
+// of files or folders:
+//
+//   node cli.js ascii --cols 120 in/*.png -o out/
+//   node cli.js paint --pixel --brush --size 8 photos/ -o out/
+//
+// Inputs are PNG files. Folders are scanned non-recursively for image files;
+// other formats (JPEG, WebP, ...) are listed as skipped before the batch
+// starts, since only PNG can be decoded without extra packages.
+// ASCII writes <name>.png and <name>.txt; Paint writes <name>.png.
+// A file that fails is reported and skipped; the batch keeps going and the
+// exit code is 1 if anything failed or was skipped.
+// ============================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Engine = require('./engine.js');
+const { decodePNG, encodePNG } = require('./png.js');
+
+const USAGE = `Usage: imagestyler <ascii|paint> [options] <files or folders...>
+
+Common options:
+  -o, --out <dir>       Output folder (default: current folder)
+  --width <px>          Output width; alone it keeps the aspect ratio
+  --height <px>         Output height; alone it keeps the aspect ratio
+  --fit-glyphs          ASCII: size the output to columns x glyph size
+  -h, --help            Show this help
+
+ASCII options:
+  --cols <n>            Width in characters (default 120)
+  --font-size <px>      Font size for the rendered PNG (default 12)
+  --text-mode <mode>    ascii, braille (2x4 dots per char) or halfblock (default ascii)
+  --ramp <name>         Character ramp preset: classic, standard, blocks, digits
+  --ramp-chars <chars>  Custom ramp, darkest to lightest
+  --auto-order          Sort the ramp by measured ink coverage
+  --invert              Reverse the ramp and render light text on black
+  --color               Draw each character in its cell's average color
+  --edges               Draw strong contours with | / - \\ _ characters
+  --edge-threshold <n>  Edge strength 0-100 that counts as a contour (default 30)
+  --dither <method>     none, floyd-steinberg, atkinson or bayer (default none)
+  --brightness <n>      Brightness -100 to 100 (default 0)
+  --contrast <n>        Contrast -100 to 100 (default 0)
+  --gamma <n>           Gamma 0.2 to 3 (default 1)
+  --html                Also write <name>.html (colored <pre>)
+  --ansi <24|256>       Also write <name>.ans (ANSI colors, view with cat)
+
+Paint options:
+  --pixel, --brush, --gallery, --impression, --watercolor
+                        Effects to apply (default: --pixel --brush)
+  --size <px>           Block size (default 8)
+  --strength <0-100>    Brush strength (default 70)
+  --texture <0-100>     Texture strength (default 40)
+  --seed <value>        Random seed; the same seed and settings reproduce the
+                        same image (default: a new seed per file, printed)
+  --pipeline <file>     JSON layer stack to run instead of the effect flags:
+                        [{ "effect": "pixel", "params": { "size": 8 } },
+                         { "effect": "watercolor", "opacity": 0.8, "blend": "add" }]
+                        Effects: ${Object.keys(Engine.PAINT_EFFECTS).join(', ')}
+`;
+
+const PAINT_EFFECTS = ['pixel', 'brush', 'gallery', 'impression', 'watercolor'];
+
+// Image files picked up when scanning a folder
+const IMAGE_EXT_RE = /\.(png|jpe?g|webp|gif|bmp|tiff?)$/i;
+
+// Flags that take no value
+const BOOLEAN_FLAGS = PAINT_EFFECTS.concat(['color', 'html', 'auto-order', 'invert', 'edges', 'fit-glyphs']);
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+/**
+ * Parse command-line arguments.
+ * Accepts `--name value`, `--name=value` and bare boolean flags.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{mode: string, options: Object, inputs: string[]}}
+ */
+function parseArgs(argv) {
+  const options = {};
+  const inputs = [];
+  let mode = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '-o') {
+      options.out = argv[++i];
+    } else if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const name = eq > 0 ? arg.slice(2, eq) : arg.slice(2);
+      if (BOOLEAN_FLAGS.includes(name)) {
+        options[name] = true;
+      } else if (eq > 0) {
+        options[name] = arg.slice(eq + 1);
+      } else {
+        if (i + 1 >= argv.length) throw new Error(`Missing value for --${name}`);
+        options[name] = argv[++i];
+      }
+    } else if (!mode) {
+      mode = arg;
+    } else {
+      inputs.push(arg);
+    }
+  }
+
+  return { mode, options, inputs };
+}
+
+/**
+ * Read a numeric option, validating its range.
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name (without dashes)
+ * @param {number} fallback - Default when the option is absent
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {number}
+ */
+function numberOption(options, name, fallback, min, max) {
+  if (options[name] === undefined) return fallback;
+  const n = Number(options[name]);
+  if (!Number.isFinite(n) || n < min || n > max) {
+    throw new Error(`--${name} must be a number between ${min} and ${max}`);
+  }
+  return n;
+}
+
+/**
+ * Read the output size options.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} options - Parsed options
+ * @returns {Object|undefined} Engine `output` option, or undefined for the source size
+ */
+function outputOption(mode, options) {
+  const width = numberOption(options, 'width', 0, 1, Engine.MAX_OUTPUT_SIDE);
+  const height = numberOption(options, 'height', 0, 1, Engine.MAX_OUTPUT_SIDE);
+  if (options['fit-glyphs']) {
+    if (mode !== 'ascii') throw new Error('--fit-glyphs only applies to ascii');
+    if (width || height) throw new Error('--fit-glyphs cannot be combined with --width/--height');
+    return { mode: 'fit-glyphs' };
+  }
+  return width || height ? { mode: 'fixed', width, height } : undefined;
+}
+
+/**
+ * Expand input arguments: folders become their image files.
+ * @param {string[]} inputs - Paths from the command line
+ * @returns {string[]}
+ */
+function expandInputs(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    let stat = null;
+    try { stat = fs.statSync(input); } catch (e) { /* reported per file below */ }
+    if (stat && stat.isDirectory()) {
+      fs.readdirSync(input)
+        .filter(name => IMAGE_EXT_RE.test(name))
+        .sort()
+        .forEach(name => files.push(path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+/**
+ * Identify an image file by its signature.
+ * @param {string} file - Input path
+ * @returns {string|null} 'PNG', 'JPEG', 'GIF', 'WebP', 'BMP' or 'TIFF';
+ *   null when unknown or unreadable (reported when the file is converted)
+ */
+function detectImageFormat(file) {
+  let head;
+  try {
+    const fd = fs.openSync(file, 'r');
+    head = Buffer.alloc(12);
+    fs.readSync(fd, head, 0, 12, 0);
+    fs.closeSync(fd);
+  } catch (e) {
+    return null;
+  }
+  if (head.readUInt32BE(0) === 0x89504E47) return 'PNG';
+  if (head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return 'JPEG';
+  if (head.toString('latin1', 0, 4) === 'GIF8') return 'GIF';
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') return 'WebP';
+  if (head.toString('latin1', 0, 2) === 'BM') return 'BMP';
+  if (head.toString('latin1', 0, 4) === 'II*\0' || head.toString('latin1', 0, 4) === 'MM\0*') return 'TIFF';
+  return null;
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Build engine options for the selected mode from parsed CLI options.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} options - Parsed options
+ * @returns {Object} Options for Engine.convertToASCII / Engine.convertToPaint
+ */
+function buildEngineOptions(mode, options) {
+  if (mode === 'ascii') {
+    if (options.ansi !== undefined && !['24', '256'].includes(options.ansi)) {
+      throw new Error('--ansi must be 24 or 256');
+    }
+    const textModes = ['ascii', 'braille', 'halfblock'];
+    if (options['text-mode'] !== undefined && !textModes.includes(options['text-mode'])) {
+      throw new Error('--text-mode must be one of ' + textModes.join(', '));
+    }
+    const ditherMethods = ['none', 'floyd-steinberg', 'atkinson', 'bayer'];
+    if (options.dither !== undefined && !ditherMethods.includes(options.dither)) {
+      throw new Error('--dither must be one of ' + ditherMethods.join(', '));
+    }
+    if (options.ramp !== undefined && !Engine.RAMP_PRESETS[options.ramp]) {
+      throw new Error('--ramp must be one of ' + Object.keys(Engine.RAMP_PRESETS).join(', '));
+    }
+    return {
+      cols: numberOption(options, 'cols', 120, 2, 2000),
+      fontSize: numberOption(options, 'font-size', 12, 4, 200),
+      textMode: options['text-mode'] || 'ascii',
+      color: !!options.color,
+      ramp: options['ramp-chars'] || Engine.RAMP_PRESETS[options.ramp || 'classic'],
+      autoOrder: !!options['auto-order'],
+      invert: !!options.invert,
+      edges: !!options.edges,
+      edgeThreshold: numberOption(options, 'edge-threshold', 30, 0, 100) / 100,
+      dither: options.dither || 'none',
+      brightness: numberOption(options, 'brightness', 0, -100, 100) / 100,
+      contrast: numberOption(options, 'contrast', 0, -100, 100) / 100,
+      gamma: numberOption(options, 'gamma', 1, 0.2, 3),
+      output: outputOption(mode, options)
+    };
+  }
+
+  if (options.pipeline !== undefined) {
+    return {
+      pipeline: readPipeline(options.pipeline),
+      seed: options.seed,
+      output: outputOption(mode, options)
+    };
+  }
+
+  const anyEffect = PAINT_EFFECTS.some(name => options[name]);
+  return {
+    pixel: anyEffect ? !!options.pixel : true,
+    brush: anyEffect ? !!options.brush : true,
+    gallery: !!options.gallery,
+    impression: !!options.impression,
+    watercolor: !!options.watercolor,
+    pixelSize: numberOption(options, 'size', 8, 2, 128),
+    brushStrength: numberOption(options, 'strength', 70, 0, 100) / 100,
+    textureStrength: numberOption(options, 'texture', 40, 0, 100) / 100,
+    seed: options.seed,
+    output: outputOption(mode, options)
+  };
+}
+
+/**
+ * Read and validate a paint pipeline JSON file.
+ * Accepts a bare array of steps or an object with a `pipeline` array.
+ * @param {string} file - Path to the JSON file
+ * @returns {Object[]} Normalized pipeline steps
+ */
+function readPipeline(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`--pipeline: cannot read ${file}: ${e.message}`);
+  }
+  const steps = Array.isArray(parsed) ? parsed : parsed && parsed.pipeline;
+  if (!Array.isArray(steps)) throw new Error('--pipeline must contain an array of steps');
+  try {
+    return steps.map(Engine.normalizePipelineStep);
+  } catch (e) {
+    throw new Error('--pipeline: ' + e.message);
+  }
+}
+
+/**
+ * Convert one file and write its outputs.
+ * @param {string} file - Input path
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} engineOptions - Options for the engine
+ * @param {string} outDir - Output folder
+ * @param {Object} options - Parsed CLI options (extra export formats)
+ * @returns {{written: string[], seed: (number|string|undefined)}} Paths written and the paint seed used
+ */
+function convertFile(file, mode, engineOptions, outDir, options) {
+  const source = decodePNG(fs.readFileSync(file));
+  const base = path.join(outDir, path.basename(file, path.extname(file)));
+  const pngPath = base + '.png';
+  if (path.resolve(pngPath) === path.resolve(file)) {
+    throw new Error('Output would overwrite the input; choose another folder with -o');
+  }
+
+  if (mode === 'ascii') {
+    const result = Engine.convertToASCII(source, engineOptions);
+    fs.writeFileSync(pngPath, encodePNG(result.image));
+    fs.writeFileSync(base + '.txt', result.text);
+    const written = [pngPath, base + '.txt'];
+    if (options.html) {
+      const title = path.basename(file);
+      fs.writeFileSync(base + '.html', Engine.asciiToHTML(result, { title }));
+      written.push(base + '.html');
+    }
+    if (options.ansi) {
+      const depth = options.ansi === '256' ? '256' : 'truecolor';
+      fs.writeFileSync(base + '.ans', Engine.asciiToANSI(result, { depth }));
+      written.push(base + '.ans');
+    }
+    return { written };
+  }
+
+  const result = Engine.convertToPaint(source, engineOptions);
+  fs.writeFileSync(pngPath, encodePNG(result));
+  return { written: [pngPath], seed: result.seed };
+}
+
+/**
+ * CLI entry point.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {number} Process exit code
+ */
+function main(argv) {
+  let parsed, engineOptions;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.options.help || !parsed.mode) {
+      process.stdout.write(USAGE);
+      return parsed.options.help ? 0 : 2;
+    }
+    if (parsed.mode !== 'ascii' && parsed.mode !== 'paint') {
+      throw new Error(`Unknown mode "${parsed.mode}" (expected ascii or paint)`);
+    }
+    engineOptions = buildEngineOptions(parsed.mode, parsed.options);
+  } catch (e) {
+    console.error('imagestyler: ' + e.message);
+    return 2;
+  }
+
+  const outDir = parsed.options.out || '.';
+  const inputs = expandInputs(parsed.inputs);
+  if (inputs.length === 0) {
+    console.error('imagestyler: no input files');
+    return 2;
+  }
+
+  // Formats we cannot decode are reported up front instead of failing one by one
+  const files = [];
+  let skipped = 0;
+  for (const file of inputs) {
+    const format = detectImageFormat(file);
+    if (format && format !== 'PNG') {
+      skipped++;
+      console.error(`SKIP  ${file}: ${format} input is not supported; convert it to PNG first`);
+    } else {
+      files.push(file);
+    }
+  }
+
+  try {
+    fs.mkdirSync(outDir, { recursive: true });
+  } catch (e) {
+    console.error('imagestyler: cannot create output folder: ' + e.message);
+    return 2;
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const { written, seed } = convertFile(file, parsed.mode, engineOptions, outDir, parsed.options);
+      const seedNote = seed === undefined ? '' : ` (seed ${seed})`;
+      console.log(`ok    ${file} -> ${written.join(', ')}${seedNote}`);
+    } catch (e) {
+      failed++;
+      console.error(`FAIL  ${file}: ${e.message}`);
+    }
+  }
+
+  console.log(`${files.length - failed} converted, ${failed} failed${skipped ? `, ${skipped} skipped` : ''}`);
+  return failed > 0 || skipped > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, detectImageFormat };
@@ -0,0 +1,3032 @@
+// ============================================================================
+// IMAGE STYLER ENGINE - Headless ASCII / Paint conversion core
+// ============================================================================
+// Pure pixel math with no DOM access, so the same code runs in the page,
+// in a Web Worker (importScripts) and under Node (require).
+//
+// Images are plain objects shaped like ImageData:
+//   { width, height, data: Uint8ClampedArray (RGBA, row-major) }
+// A real ImageData from getImageData() can be passed in directly, and a
+// result can be handed to `new ImageData(result.data, w, h)` for display.
+//
+// Text rendering goes through a "glyph source" that returns alpha masks for
+// characters. The built-in bitmap font works everywhere; the page passes a
+// canvas-backed source so output matches the browser's monospace font.
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ImageStylerEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ASCII character set: ordered from darkest to lightest
+  // Used to map image brightness to characters
+  const ASCII_CHARS = '@%#*+=-:. ';
+
+  // Preset character ramps, each ordered from darkest to lightest
+  const RAMP_PRESETS = {
+    classic: ASCII_CHARS,
+    standard: '$@B%8&WM#*oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~<>i!lI;:,"^`\'. ',
+    blocks: '\u2588\u2593\u2592\u2591 ',
+    digits: '8906532471 '
+  };
+
+  // ==========================================================================
+  // IMAGE HELPERS
+  // ==========================================================================
+
+  /**
+   * Create a blank RGBA image.
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number[]} [fill] - Optional [r, g, b, a] fill color (0-255)
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function createImage(width, height, fill) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    if (fill) {
+      for (let i = 0; i < data.length; i += 4) {
+        data[i] = fill[0];
+        data[i + 1] = fill[1];
+        data[i + 2] = fill[2];
+        data[i + 3] = fill[3];
+      }
+    }
+    return { width, height, data };
+  }
+
+  /**
+   * Downsample an image by area averaging.
+   * Each destination pixel is the alpha-weighted mean of the source pixels
+   * it covers, which avoids the aliasing of nearest-neighbour sampling.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {number} dstW - Destination width
+   * @param {number} dstH - Destination height
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function downsample(src, dstW, dstH) {
+    const out = createImage(dstW, dstH);
+    const sw = src.width;
+    const sh = src.height;
+    const sd = src.data;
+
+    for (let y = 0; y < dstH; y++) {
+      const y0 = Math.floor(y * sh / dstH);
+      const y1 = Math.max(y0 + 1, Math.floor((y + 1) * sh / dstH));
+      for (let x = 0; x < dstW; x++) {
+        const x0 = Math.floor(x * sw / dstW);
+        const x1 = Math.max(x0 + 1, Math.floor((x + 1) * sw / dstW));
+        let r = 0, g = 0, b = 0, a = 0, n = 0;
+        for (let sy = y0; sy < y1 && sy < sh; sy++) {
+          for (let sx = x0; sx < x1 && sx < sw; sx++) {
+            const i = (sy * sw + sx) * 4;
+            const pa = sd[i + 3];
+            r += sd[i] * pa;
+            g += sd[i + 1] * pa;
+            b += sd[i + 2] * pa;
+            a += pa;
+            n++;
+          }
+        }
+        const o = (y * dstW + x) * 4;
+        if (a > 0) {
+          out.data[o] = r / a;
+          out.data[o + 1] = g / a;
+          out.data[o + 2] = b / a;
+        }
+        out.data[o + 3] = n > 0 ? a / n : 0;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Resize an image: box-averaged when shrinking, bilinear when enlarging.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {number} dstW - Target width
+   * @param {number} dstH - Target height
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function resizeImage(src, dstW, dstH) {
+    if (dstW === src.width && dstH === src.height) return src;
+    if (dstW <= src.width && dstH <= src.height) return downsample(src, dstW, dstH);
+
+    const out = createImage(dstW, dstH);
+    const sw = src.width;
+    const sh = src.height;
+    const sd = src.data;
+    const od = out.data;
+    for (let y = 0; y < dstH; y++) {
+      const fy = Math.min(sh - 1, Math.max(0, (y + 0.5) * sh / dstH - 0.5));
+      const y0 = Math.floor(fy);
+      const y1 = Math.min(sh - 1, y0 + 1);
+      const ty = fy - y0;
+      for (let x = 0; x < dstW; x++) {
+        const fx = Math.min(sw - 1, Math.max(0, (x + 0.5) * sw / dstW - 0.5));
+        const x0 = Math.floor(fx);
+        const x1 = Math.min(sw - 1, x0 + 1);
+        const tx = fx - x0;
+        const a = (y0 * sw + x0) * 4, b = (y0 * sw + x1) * 4;
+        const c = (y1 * sw + x0) * 4, d = (y1 * sw + x1) * 4;
+        const o = (y * dstW + x) * 4;
+        for (let k = 0; k < 4; k++) {
+          const top = sd[a + k] + (sd[b + k] - sd[a + k]) * tx;
+          const bottom = sd[c + k] + (sd[d + k] - sd[c + k]) * tx;
+          od[o + k] = top + (bottom - top) * ty;
+        }
+      }
+    }
+    return out;
+  }
+
+  // Largest side accepted for a requested output size
+  const MAX_OUTPUT_SIDE = 8192;
+
+  /**
+   * Work out the output size of a conversion.
+   * @param {{width: number, height: number}} src - Source image
+   * @param {Object} [output] - { mode: 'source' | 'fixed' | 'fit-glyphs', width, height }.
+   *   'fixed' with only one side set keeps the source aspect ratio.
+   * @param {{width: number, height: number}} [fit] - Size for 'fit-glyphs'
+   *   (character grid × glyph size); modes without one fall back to the source
+   * @returns {{width: number, height: number}}
+   */
+  function resolveOutputSize(src, output, fit) {
+    const clampSide = v => Math.min(MAX_OUTPUT_SIDE, Math.max(1, Math.round(v)));
+    if (output && output.mode === 'fixed') {
+      let width = Number(output.width) > 0 ? Number(output.width) : 0;
+      let height = Number(output.height) > 0 ? Number(output.height) : 0;
+      if (!width && !height) return { width: src.width, height: src.height };
+      if (!width) width = height * src.width / src.height;
+      if (!height) height = width * src.height / src.width;
+      return { width: clampSide(width), height: clampSide(height) };
+    }
+    if (output && output.mode === 'fit-glyphs' && fit) {
+      return { width: clampSide(fit.width), height: clampSide(fit.height) };
+    }
+    return { width: src.width, height: src.height };
+  }
+
+  /**
+   * Perceived brightness of a color (ITU-R BT.601 luma).
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {number} Brightness in the range 0-1
+   */
+  function brightness(r, g, b) {
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  }
+
+  /**
+   * Report progress through `opts.onProgress`, if the caller supplied one.
+   * Long-running loops call this once per row so a worker can relay it.
+   * @param {Object} opts - Conversion options
+   * @param {number} fraction - Completed fraction (0-1)
+   * @returns {void}
+   */
+  function reportProgress(opts, fraction) {
+    if (opts && typeof opts.onProgress === 'function') {
+      opts.onProgress(Math.min(1, Math.max(0, fraction)));
+    }
+  }
+
+  // ==========================================================================
+  // SEEDED RANDOMNESS
+  // ==========================================================================
+  // Paint effects draw all their jitter from a seeded PRNG, so the same seed
+  // and settings always reproduce the same picture.
+
+  /**
+   * Turn a seed (number or string) into an unsigned 32-bit integer.
+   * Numbers are used as-is; strings are hashed with FNV-1a.
+   * @param {number|string} seed - Seed value
+   * @returns {number}
+   */
+  function seedToInt(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+    const str = String(seed);
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Create a deterministic random number generator (mulberry32).
+   * @param {number|string} seed - Seed value
+   * @returns {function(): number} Returns floats in [0, 1), like Math.random
+   */
+  function createRandom(seed) {
+    let a = seedToInt(seed);
+    return function () {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Pick a fresh seed for a new, not-yet-reproducible result.
+   * @returns {number} Integer seed below one billion (easy to read and type)
+   */
+  function randomSeed() {
+    return Math.floor(Math.random() * 1e9);
+  }
+
+  // ==========================================================================
+  // RASTER PRIMITIVES
+  // ==========================================================================
+  // Minimal software equivalents of the 2D canvas calls the paint effects
+  // used to make (fillRect, arc + fill, globalCompositeOperation).
+
+  /**
+   * Composite one color into a pixel.
+   * @param {Uint8ClampedArray} d - Target pixel data
+   * @param {number} i - Index of the pixel's red byte
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} a - Source alpha (0-1), already multiplied by coverage
+   * @param {string} [op='source-over'] - 'source-over' or 'lighter'
+   * @returns {void}
+   */
+  function blendPixel(d, i, r, g, b, a, op) {
+    if (a <= 0) return;
+    const da = d[i + 3] / 255;
+
+    if (op === 'lighter') {
+      // Additive: sum premultiplied colors and alphas, clamped
+      const oa = Math.min(1, a + da);
+      if (oa <= 0) return;
+      d[i] = Math.min(255, r * a + d[i] * da) / oa;
+      d[i + 1] = Math.min(255, g * a + d[i + 1] * da) / oa;
+      d[i + 2] = Math.min(255, b * a + d[i + 2] * da) / oa;
+      d[i + 3] = oa * 255;
+      return;
+    }
+
+    const oa = a + da * (1 - a);
+    if (oa <= 0) return;
+    const k = da * (1 - a);
+    d[i] = (r * a + d[i] * k) / oa;
+    d[i + 1] = (g * a + d[i + 1] * k) / oa;
+    d[i + 2] = (b * a + d[i + 2] * k) / oa;
+    d[i + 3] = oa * 255;
+  }
+
+  /**
+   * Fill an axis-aligned rectangle (clipped to the image).
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} img - Target image
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} w - Width
+   * @param {number} h - Height
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} a - Alpha (0-1)
+   * @returns {void}
+   */
+  function fillRect(img, x, y, w, h, r, g, b, a) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(img.width, Math.round(x + w));
+    const y1 = Math.min(img.height, Math.round(y + h));
+    const d = img.data;
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        blendPixel(d, (py * img.width + px) * 4, r, g, b, a, 'source-over');
+      }
+    }
+  }
+
+  /**
+   * Fill an anti-aliased circle (clipped to the image).
+   * Edge pixels receive partial coverage based on their distance from the rim.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} img - Target image
+   * @param {number} cx - Center x
+   * @param {number} cy - Center y
+   * @param {number} radius - Radius in pixels
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} a - Alpha (0-1)
+   * @param {string} [op='source-over'] - Composite operation
+   * @returns {void}
+   */
+  function fillCircle(img, cx, cy, radius, r, g, b, a, op) {
+    if (radius <= 0 || a <= 0) return;
+    const x0 = Math.max(0, Math.floor(cx - radius - 1));
+    const y0 = Math.max(0, Math.floor(cy - radius - 1));
+    const x1 = Math.min(img.width, Math.ceil(cx + radius + 1));
+    const y1 = Math.min(img.height, Math.ceil(cy + radius + 1));
+    const d = img.data;
+    for (let py = y0; py < y1; py++) {
+      const dy = py + 0.5 - cy;
+      for (let px = x0; px < x1; px++) {
+        const dx = px + 0.5 - cx;
+        const coverage = radius - Math.sqrt(dx * dx + dy * dy) + 0.5;
+        if (coverage <= 0) continue;
+        blendPixel(d, (py * img.width + px) * 4, r, g, b, a * Math.min(1, coverage), op);
+      }
+    }
+  }
+
+  /**
+   * Overlay-blend a grayscale texture value into an opaque pixel.
+   * Matches canvas 'overlay' compositing against an opaque backdrop.
+   * @param {Uint8ClampedArray} d - Target pixel data
+   * @param {number} i - Index of the pixel's red byte
+   * @param {number} v - Texture value (0-255)
+   * @param {number} a - Effective source alpha (0-1)
+   * @returns {void}
+   */
+  function overlayPixel(d, i, v, a) {
+    const cs = v / 255;
+    for (let c = 0; c < 3; c++) {
+      const cb = d[i + c] / 255;
+      const blended = cb <= 0.5 ? 2 * cb * cs : 1 - 2 * (1 - cb) * (1 - cs);
+      d[i + c] = (cb * (1 - a) + blended * a) * 255;
+    }
+  }
+
+  // ==========================================================================
+  // GLYPH SOURCES
+  // ==========================================================================
+  // A glyph source is { width, height, mask(ch) } where mask() returns a
+  // Uint8Array of width * height alpha values (0-255) for one character,
+  // drawn with its top-left corner at the cell origin.
+
+  // Classic 5x7 bitmap font for printable ASCII (0x20-0x7E).
+  // Five column bytes per glyph; bit 0 is the top row.
+  const FONT_5X7 = [
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x5F, 0x00, 0x00, // space !
+    0x00, 0x07, 0x00, 0x07, 0x00, 0x14, 0x7F, 0x14, 0x7F, 0x14, // " #
+    0x24, 0x2A, 0x7F, 0x2A, 0x12, 0x23, 0x13, 0x08, 0x64, 0x62, // $ %
+    0x36, 0x49, 0x55, 0x22, 0x50, 0x00, 0x05, 0x03, 0x00, 0x00, // & '
+    0x00, 0x1C, 0x22, 0x41, 0x00, 0x00, 0x41, 0x22, 0x1C, 0x00, // ( )
+    0x08, 0x2A, 0x1C, 0x2A, 0x08, 0x08, 0x08, 0x3E, 0x08, 0x08, // * +
+    0x00, 0x50, 0x30, 0x00, 0x00, 0x08, 0x08, 0x08, 0x08, 0x08, // , -
+    0x00, 0x60, 0x60, 0x00, 0x00, 0x20, 0x10, 0x08, 0x04, 0x02, // . /
+    0x3E, 0x51, 0x49, 0x45, 0x3E, 0x00, 0x42, 0x7F, 0x40, 0x00, // 0 1
+    0x42, 0x61, 0x51, 0x49, 0x46, 0x21, 0x41, 0x45, 0x4B, 0x31, // 2 3
+    0x18, 0x14, 0x12, 0x7F, 0x10, 0x27, 0x45, 0x45, 0x45, 0x39, // 4 5
+    0x3C, 0x4A, 0x49, 0x49, 0x30, 0x01, 0x71, 0x09, 0x05, 0x03, // 6 7
+    0x36, 0x49, 0x49, 0x49, 0x36, 0x06, 0x49, 0x49, 0x29, 0x1E, // 8 9
+    0x00, 0x36, 0x36, 0x00, 0x00, 0x00, 0x56, 0x36, 0x00, 0x00, // : ;
+    0x08, 0x14, 0x22, 0x41, 0x00, 0x14, 0x14, 0x14, 0x14, 0x14, // < =
+    0x00, 0x41, 0x22, 0x14, 0x08, 0x02, 0x01, 0x51, 0x09, 0x06, // > ?
+    0x32, 0x49, 0x79, 0x41, 0x3E, 0x7E, 0x11, 0x11, 0x11, 0x7E, // @ A
+    0x7F, 0x49, 0x49, 0x49, 0x36, 0x3E, 0x41, 0x41, 0x41, 0x22, // B C
+    0x7F, 0x41, 0x41, 0x22, 0x1C, 0x7F, 0x49, 0x49, 0x49, 0x41, // D E
+    0x7F, 0x09, 0x09, 0x01, 0x01, 0x3E, 0x41, 0x41, 0x51, 0x32, // F G
+    0x7F, 0x08, 0x08, 0x08, 0x7F, 0x00, 0x41, 0x7F, 0x41, 0x00, // H I
+    0x20, 0x40, 0x41, 0x3F, 0x01, 0x7F, 0x08, 0x14, 0x22, 0x41, // J K
+    0x7F, 0x40, 0x40, 0x40, 0x40, 0x7F, 0x02, 0x04, 0x02, 0x7F, // L M
+    0x7F, 0x04, 0x08, 0x10, 0x7F, 0x3E, 0x41, 0x41, 0x41, 0x3E, // N O
+    0x7F, 0x09, 0x09, 0x09, 0x06, 0x3E, 0x41, 0x51, 0x21, 0x5E, // P Q
+    0x7F, 0x09, 0x19, 0x29, 0x46, 0x46, 0x49, 0x49, 0x49, 0x31, // R S
+    0x01, 0x01, 0x7F, 0x01, 0x01, 0x3F, 0x40, 0x40, 0x40, 0x3F, // T U
+    0x1F, 0x20, 0x40, 0x20, 0x1F, 0x7F, 0x20, 0x18, 0x20, 0x7F, // V W
+    0x63, 0x14, 0x08, 0x14, 0x63, 0x03, 0x04, 0x78, 0x04, 0x03, // X Y
+    0x61, 0x51, 0x49, 0x45, 0x43, 0x00, 0x7F, 0x41, 0x41, 0x00, // Z [
+    0x02, 0x04, 0x08, 0x10, 0x20, 0x00, 0x41, 0x41, 0x7F, 0x00, // \ ]
+    0x04, 0x02, 0x01, 0x02, 0x04, 0x40, 0x40, 0x40, 0x40, 0x40, // ^ _
+    0x00, 0x01, 0x02, 0x04, 0x00, 0x20, 0x54, 0x54, 0x54, 0x78, // ` a
+    0x7F, 0x48, 0x44, 0x44, 0x38, 0x38, 0x44, 0x44, 0x44, 0x20, // b c
+    0x38, 0x44, 0x44, 0x48, 0x7F, 0x38, 0x54, 0x54, 0x54, 0x18, // d e
+    0x08, 0x7E, 0x09, 0x01, 0x02, 0x08, 0x14, 0x54, 0x54, 0x3C, // f g
+    0x7F, 0x08, 0x04, 0x04, 0x78, 0x00, 0x44, 0x7D, 0x40, 0x00, // h i
+    0x20, 0x40, 0x44, 0x3D, 0x00, 0x00, 0x7F, 0x10, 0x28, 0x44, // j k
+    0x00, 0x41, 0x7F, 0x40, 0x00, 0x7C, 0x04, 0x18, 0x04, 0x78, // l m
+    0x7C, 0x08, 0x04, 0x04, 0x78, 0x38, 0x44, 0x44, 0x44, 0x38, // n o
+    0x7C, 0x14, 0x14, 0x14, 0x08, 0x08, 0x14, 0x14, 0x18, 0x7C, // p q
+    0x7C, 0x08, 0x04, 0x04, 0x08, 0x48, 0x54, 0x54, 0x54, 0x20, // r s
+    0x04, 0x3F, 0x44, 0x40, 0x20, 0x3C, 0x40, 0x40, 0x20, 0x7C, // t u
+    0x1C, 0x20, 0x40, 0x20, 0x1C, 0x3C, 0x40, 0x30, 0x40, 0x3C, // v w
+    0x44, 0x28, 0x10, 0x28, 0x44, 0x0C, 0x50, 0x50, 0x50, 0x3C, // x y
+    0x44, 0x64, 0x54, 0x4C, 0x44, 0x00, 0x08, 0x36, 0x41, 0x00, // z {
+    0x00, 0x00, 0x7F, 0x00, 0x00, 0x00, 0x41, 0x36, 0x08, 0x00, // | }
+    0x10, 0x08, 0x08, 0x10, 0x08                                // ~
+  ];
+
+  /**
+   * Look up the on/off state of one cell of a built-in glyph.
+   * Unknown characters render as a hollow box so they stay visible.
+   * @param {string} ch - Character to draw
+   * @param {number} col - Column within the 5x7 glyph (0-4)
+   * @param {number} row - Row within the 5x7 glyph (0-6)
+   * @returns {boolean}
+   */
+  function bitmapGlyphBit(ch, col, row) {
+    const code = ch.codePointAt(0);
+    if (code >= 0x20 && code <= 0x7E) {
+      return ((FONT_5X7[(code - 0x20) * 5 + col] >> row) & 1) === 1;
+    }
+    return col === 0 || col === 4 || row === 0 || row === 6;
+  }
+
+  // Braille dot bits, indexed [row * 2 + col] over the 2x4 dot grid
+  const BRAILLE_BITS = [0x01, 0x08, 0x02, 0x10, 0x04, 0x20, 0x40, 0x80];
+
+  /**
+   * Look up one pixel of a block-element or Braille glyph, which are drawn
+   * procedurally so they fill the cell at any size.
+   * @param {number} code - Character code point
+   * @param {number} x - Pixel column within the glyph box
+   * @param {number} y - Pixel row within the glyph box
+   * @param {number} width - Glyph box width
+   * @param {number} height - Glyph box height
+   * @returns {boolean|null} Pixel state, or null if `code` is not drawn procedurally
+   */
+  function cellGlyphBit(code, x, y, width, height) {
+    switch (code) {
+      case 0x2588: return true; // █ full block
+      case 0x2580: return y < height / 2; // ▀ upper half
+      case 0x2584: return y >= height / 2; // ▄ lower half
+      case 0x2591: return x % 2 === 0 && y % 2 === 0; // ░ light shade
+      case 0x2592: return (x + y) % 2 === 0; // ▒ medium shade
+      case 0x2593: return !(x % 2 === 1 && y % 2 === 1); // ▓ dark shade
+    }
+    if (code >= 0x2800 && code <= 0x28FF) {
+      const fx = x * 2 / width;
+      const fy = y * 4 / height;
+      const col = Math.floor(fx);
+      const row = Math.floor(fy);
+      // Dot occupies the middle of its sub-cell
+      const inDot = fx - col > 0.2 && fx - col < 0.8 && fy - row > 0.2 && fy - row < 0.8;
+      return inDot && ((code - 0x2800) & BRAILLE_BITS[row * 2 + col]) !== 0;
+    }
+    return null;
+  }
+
+  /**
+   * Create a glyph source from the built-in 5x7 bitmap font.
+   * The glyph box is scaled to roughly match a monospace font of `fontSize`
+   * pixels (0.6em advance, 1em tall) using nearest-neighbour sampling.
+   * Block elements and Braille patterns are drawn procedurally.
+   * @param {number} fontSize - Font size in pixels
+   * @returns {{width: number, height: number, mask: function(string): Uint8Array}}
+   */
+  function createBitmapGlyphSource(fontSize) {
+    const height = Math.max(8, Math.round(fontSize));
+    const width = Math.max(6, Math.round(fontSize * 0.6));
+    const cache = new Map();
+
+    function mask(ch) {
+      if (cache.has(ch)) return cache.get(ch);
+      const m = new Uint8Array(width * height);
+      const code = ch.codePointAt(0);
+      if (cellGlyphBit(code, 0, 0, width, height) !== null) {
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            if (cellGlyphBit(code, x, y, width, height)) m[y * width + x] = 255;
+          }
+        }
+      } else if (ch !== ' ') {
+        for (let y = 0; y < height; y++) {
+          // 5x7 glyph sits in a 6x8 cell (one blank column and row)
+          const row = Math.floor(y * 8 / height);
+          if (row > 6) continue;
+          for (let x = 0; x < width; x++) {
+            const col = Math.floor(x * 6 / width);
+            if (col > 4) continue;
+            if (bitmapGlyphBit(ch, col, row)) m[y * width + x] = 255;
+          }
+        }
+      }
+      cache.set(ch, m);
+      return m;
+    }
+
+    return { width, height, mask };
+  }
+
+  /**
+   * Create a glyph source backed by a 2D canvas, so text matches a real font.
+   * The caller supplies the canvas (DOM canvas, OffscreenCanvas or any
+   * compatible object); the engine itself never touches the document.
+   * @param {number} fontSize - Font size in pixels
+   * @param {string} fontFamily - CSS font family, e.g. 'monospace'
+   * @param {function(number, number): Object} createCanvas - Returns a canvas of the given size
+   * @returns {{width: number, height: number, mask: function(string): Uint8Array}}
+   */
+  function createCanvasGlyphSource(fontSize, fontFamily, createCanvas) {
+    const font = `${fontSize}px ${fontFamily || 'monospace'}`;
+    const probe = createCanvas(1, 1).getContext('2d');
+    probe.font = font;
+    const width = Math.max(1, Math.ceil(probe.measureText('M').width));
+    const height = Math.max(1, Math.ceil(fontSize * 1.2));
+
+    const canvas = createCanvas(width, height);
+    const gctx = canvas.getContext('2d', { willReadFrequently: true });
+    const cache = new Map();
+
+    function mask(ch) {
+      if (cache.has(ch)) return cache.get(ch);
+      gctx.clearRect(0, 0, width, height);
+      gctx.font = font;
+      gctx.textBaseline = 'top';
+      gctx.fillStyle = '#000';
+      gctx.fillText(ch, 0, 0);
+      const pixels = gctx.getImageData(0, 0, width, height).data;
+      const m = new Uint8Array(width * height);
+      for (let i = 0; i < m.length; i++) m[i] = pixels[i * 4 + 3];
+      cache.set(ch, m);
+      return m;
+    }
+
+    return { width, height, mask };
+  }
+
+  /**
+   * Draw one glyph mask into an image in a solid color (clipped).
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} img - Target image
+   * @param {{width: number, height: number, mask: function(string): Uint8Array}} glyphs - Glyph source
+   * @param {string} ch - Character to draw
+   * @param {number} x - Left edge of the cell
+   * @param {number} y - Top edge of the cell
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {void}
+   */
+  function drawGlyph(img, glyphs, ch, x, y, r, g, b) {
+    if (ch === ' ') return;
+    const m = glyphs.mask(ch);
+    const gw = glyphs.width;
+    const gh = glyphs.height;
+    const d = img.data;
+    for (let gy = 0; gy < gh; gy++) {
+      const py = y + gy;
+      if (py < 0 || py >= img.height) continue;
+      for (let gx = 0; gx < gw; gx++) {
+        const px = x + gx;
+        if (px < 0 || px >= img.width) continue;
+        const alpha = m[gy * gw + gx];
+        if (alpha === 0) continue;
+        blendPixel(d, (py * img.width + px) * 4, r, g, b, alpha / 255, 'source-over');
+      }
+    }
+  }
+
+  // ==========================================================================
+  // CHARACTER RAMPS
+  // ==========================================================================
+
+  /**
+   * Measure how much ink a glyph puts down (mean mask alpha, 0-1).
+   * @param {{width: number, height: number, mask: function(string): Uint8Array}} glyphs - Glyph source
+   * @param {string} ch - Character to measure
+   * @returns {number}
+   */
+  function glyphCoverage(glyphs, ch) {
+    if (ch === ' ') return 0;
+    const m = glyphs.mask(ch);
+    let sum = 0;
+    for (let i = 0; i < m.length; i++) sum += m[i];
+    return sum / (m.length * 255);
+  }
+
+  /**
+   * Order a set of glyphs from darkest (most ink) to lightest by measuring
+   * each one in the given glyph source. Duplicates are dropped; glyphs with
+   * equal coverage keep their original relative order.
+   * @param {string[]} chars - Glyphs in any order
+   * @param {{width: number, height: number, mask: function(string): Uint8Array}} glyphs - Glyph source
+   * @returns {string[]}
+   */
+  function orderRampByCoverage(chars, glyphs) {
+    const unique = Array.from(new Set(chars));
+    return unique
+      .map((ch, index) => ({ ch, index, coverage: glyphCoverage(glyphs, ch) }))
+      .sort((a, b) => b.coverage - a.coverage || a.index - b.index)
+      .map(entry => entry.ch);
+  }
+
+  /**
+   * Resolve the dark-to-light ramp for a conversion.
+   * @param {Object} opts - ASCII options (ramp, autoOrder, invert)
+   * @param {{width: number, height: number, mask: function(string): Uint8Array}} glyphs - Glyph source
+   * @returns {string[]}
+   */
+  function resolveRamp(opts, glyphs) {
+    let chars = Array.from(RAMP_PRESETS[opts.ramp] || opts.ramp || ASCII_CHARS);
+    if (chars.length === 0) chars = Array.from(ASCII_CHARS);
+    if (opts.autoOrder) chars = orderRampByCoverage(chars, glyphs);
+    if (opts.invert) chars.reverse();
+    return chars;
+  }
+
+  // ==========================================================================
+  // TONE & DITHERING
+  // ==========================================================================
+
+  // 4x4 ordered-dither (Bayer) threshold matrix
+  const BAYER_4X4 = [
+    0, 8, 2, 10,
+    12, 4, 14, 6,
+    3, 11, 1, 9,
+    15, 7, 13, 5
+  ];
+
+  // Error-diffusion kernels: [dx, dy, weight]
+  const DIFFUSION_KERNELS = {
+    'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+    // Atkinson spreads only 6/8 of the error, which keeps highlights clean
+    atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+  };
+
+  /**
+   * Apply brightness, contrast and gamma to brightness levels in place.
+   * @param {Float32Array} levels - Brightness values (0-1)
+   * @param {Object} opts - Tone options
+   * @param {number} [opts.brightness=0] - Offset, -1 (darker) to 1 (lighter)
+   * @param {number} [opts.contrast=0] - -1 (flat gray) to 1 (5x contrast)
+   * @param {number} [opts.gamma=1] - Gamma (> 1 lifts midtones)
+   * @returns {void}
+   */
+  function applyTone(levels, opts) {
+    const offset = (Number(opts.brightness) || 0) * 0.5;
+    const c = Number(opts.contrast) || 0;
+    const factor = c >= 0 ? 1 + c * 4 : 1 + c;
+    const gamma = Number(opts.gamma) > 0 ? Number(opts.gamma) : 1;
+    if (offset === 0 && factor === 1 && gamma === 1) return;
+
+    for (let i = 0; i < levels.length; i++) {
+      let v = (levels[i] - 0.5) * factor + 0.5 + offset;
+      v = Math.min(1, Math.max(0, v));
+      levels[i] = gamma === 1 ? v : Math.pow(v, 1 / gamma);
+    }
+  }
+
+  /**
+   * Quantize brightness levels to ramp indices, optionally dithered.
+   * @param {Float32Array} levels - Brightness per cell (0-1), row-major
+   * @param {number} cols - Grid width
+   * @param {number} rows - Grid height
+   * @param {number} steps - Number of ramp characters
+   * @param {string} [method='none'] - 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
+   * @returns {Uint16Array} Ramp index per cell
+   */
+  function quantizeLevels(levels, cols, rows, steps, method) {
+    const indices = new Uint16Array(cols * rows);
+    const maxIndex = steps - 1;
+
+    if (maxIndex <= 0) return indices;
+
+    if (method === 'bayer') {
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+          const i = y * cols + x;
+          const threshold = (BAYER_4X4[(y % 4) * 4 + (x % 4)] + 0.5) / 16;
+          indices[i] = Math.min(maxIndex, Math.floor(levels[i] * maxIndex + threshold));
+        }
+      }
+      return indices;
+    }
+
+    const kernel = DIFFUSION_KERNELS[method];
+    if (kernel) {
+      const work = Float32Array.from(levels);
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+          const i = y * cols + x;
+          const v = Math.min(1, Math.max(0, work[i]));
+          const index = Math.round(v * maxIndex);
+          indices[i] = index;
+          const error = work[i] - index / maxIndex;
+          for (const [dx, dy, weight] of kernel) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= cols || ny >= rows) continue;
+            work[ny * cols + nx] += error * weight;
+          }
+        }
+      }
+      return indices;
+    }
+
+    // No dithering: equal-width brightness bins
+    for (let i = 0; i < levels.length; i++) {
+      indices[i] = Math.min(maxIndex, Math.floor(levels[i] * steps));
+    }
+    return indices;
+  }
+
+  // ==========================================================================
+  // EDGE DETECTION
+  // ==========================================================================
+
+  // Directional characters used where strong contours run through a cell
+  const EDGE_CHARS = {
+    vertical: '|',
+    horizontal: '-',
+    floor: '_',
+    rising: '/',
+    falling: '\\'
+  };
+
+  /**
+   * Sobel gradient over a grid of brightness levels (edge pixels clamp).
+   * Magnitude is normalized so a hard black/white step reads as 1.
+   * @param {Float32Array} levels - Brightness per cell (0-1), row-major
+   * @param {number} cols - Grid width
+   * @param {number} rows - Grid height
+   * @returns {{gx: Float32Array, gy: Float32Array, magnitude: Float32Array}}
+   */
+  function sobelGrid(levels, cols, rows) {
+    const gx = new Float32Array(cols * rows);
+    const gy = new Float32Array(cols * rows);
+    const magnitude = new Float32Array(cols * rows);
+    const at = (x, y) => levels[Math.min(rows - 1, Math.max(0, y)) * cols + Math.min(cols - 1, Math.max(0, x))];
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const tl = at(x - 1, y - 1), t = at(x, y - 1), tr = at(x + 1, y - 1);
+        const l = at(x - 1, y), r = at(x + 1, y);
+        const bl = at(x - 1, y + 1), b = at(x, y + 1), br = at(x + 1, y + 1);
+        const i = y * cols + x;
+        gx[i] = (tr + 2 * r + br) - (tl + 2 * l + bl);
+        gy[i] = (bl + 2 * b + br) - (tl + 2 * t + tr);
+        magnitude[i] = Math.min(1, Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]) / 4);
+      }
+    }
+    return { gx, gy, magnitude };
+  }
+
+  /**
+   * Mark cells that sit on an edge: magnitude above the threshold and a local
+   * maximum across the edge (non-maximum suppression), so contours come out
+   * one character thick instead of smeared.
+   * @param {{gx: Float32Array, gy: Float32Array, magnitude: Float32Array}} edges - Result of sobelGrid
+   * @param {number} cols - Grid width
+   * @param {number} rows - Grid height
+   * @param {number} threshold - Minimum magnitude (0-1)
+   * @returns {Uint8Array} 1 for edge cells, 0 elsewhere
+   */
+  function edgeMask(edges, cols, rows, threshold) {
+    const mask = new Uint8Array(cols * rows);
+    const mag = (x, y) => (x < 0 || y < 0 || x >= cols || y >= rows ? 0 : edges.magnitude[y * cols + x]);
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const i = y * cols + x;
+        const m = edges.magnitude[i];
+        if (m <= 0 || m < threshold) continue;
+
+        // Step one cell along the gradient, quantized to 8 directions
+        const sx = Math.round(edges.gx[i] / (Math.abs(edges.gx[i]) + Math.abs(edges.gy[i])) * 1.4);
+        const sy = Math.round(edges.gy[i] / (Math.abs(edges.gx[i]) + Math.abs(edges.gy[i])) * 1.4);
+        if (m >= mag(x + sx, y + sy) && m >= mag(x - sx, y - sy)) mask[i] = 1;
+      }
+    }
+    return mask;
+  }
+
+  /**
+   * Pick the directional character for an edge.
+   * The contour runs perpendicular to the gradient; screen y points down.
+   * @param {number} gx - Horizontal gradient
+   * @param {number} gy - Vertical gradient
+   * @returns {string}
+   */
+  function edgeChar(gx, gy) {
+    // Fold the gradient angle into 0-180 degrees
+    let angle = Math.atan2(gy, gx) * 180 / Math.PI;
+    if (angle < 0) angle += 180;
+
+    if (angle < 22.5 || angle >= 157.5) return EDGE_CHARS.vertical;
+    if (angle < 67.5) return EDGE_CHARS.rising;
+    if (angle < 112.5) {
+      // Bright above, dark below: the contour hugs the bottom of the cell
+      return gy < 0 ? EDGE_CHARS.floor : EDGE_CHARS.horizontal;
+    }
+    return EDGE_CHARS.falling;
+  }
+
+  // ==========================================================================
+  // ASCII CONVERSION
+  // ==========================================================================
+
+  /**
+   * Convert an image to ASCII art.
+   * Produces both the plain-text output and a rendered image the same size
+   * as the source, with one character per cell.
+   * Uses brightness calculation to map pixels to ASCII characters.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object} [opts] - ASCII options
+   * @param {number} [opts.cols=120] - Number of ASCII columns (rounded up to even)
+   * @param {number} [opts.fontSize=12] - Font size in pixels
+   * @param {Object} [opts.glyphs] - Glyph source (defaults to the bitmap font)
+   * @param {boolean} [opts.color=false] - Draw each character in its cell's average color
+   * @param {string} [opts.ramp] - Preset name (see RAMP_PRESETS) or glyphs ordered dark to light
+   * @param {boolean} [opts.autoOrder=false] - Sort the ramp by measured ink coverage
+   * @param {boolean} [opts.invert=false] - Reverse the ramp and render light text on black
+   * @param {boolean} [opts.edges=false] - Use directional characters along strong edges
+   * @param {number} [opts.edgeThreshold=0.3] - Gradient magnitude (0-1) that counts as an edge
+   * @param {number} [opts.brightness=0] - Tone: brightness offset (-1 to 1)
+   * @param {number} [opts.contrast=0] - Tone: contrast (-1 to 1)
+   * @param {number} [opts.gamma=1] - Tone: gamma
+   * @param {string} [opts.dither='none'] - 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
+   * @param {string} [opts.textMode='ascii'] - 'ascii', 'braille' (2x4 samples per character)
+   *   or 'halfblock' (1x2 samples per character using ▀▄)
+   * @param {Object} [opts.output] - Output size, { mode: 'source' | 'fixed' | 'fit-glyphs', width, height };
+   *   'fit-glyphs' makes each character cell exactly one glyph (cols × glyph width)
+   * @returns {{text: string, cols: number, rows: number, colors: Uint8ClampedArray,
+   *   bgColors: (Uint8ClampedArray|null), background: string, image: Object}}
+   *   `colors` holds one RGB triple per character (row-major), used by the HTML/ANSI exporters;
+   *   `bgColors` is set when characters also carry a background color (color half-blocks)
+   */
+  function convertToASCII(src, opts) {
+    opts = opts || {};
+    const fontSize = Number(opts.fontSize) || 12;
+    let cols = Number(opts.cols) || 120;
+    // Ensure cols is even to avoid half-character columns
+    cols = Math.max(2, Math.round(cols));
+    if (cols % 2 !== 0) cols++;
+
+    const origWidth = src.width;
+    const origHeight = src.height;
+
+    // Compute rows based on aspect ratio and a char aspect correction
+    const charAspect = 0.5; // approximate character height/width ratio
+    let rows = Math.max(4, Math.round((cols * origHeight / origWidth) * charAspect));
+    // Ensure rows is even to keep character grid balanced
+    if (rows % 2 !== 0) rows++;
+
+    // Output canvas: the source size, a fixed size, or the character grid
+    // at the glyph source's measured cell size
+    const glyphs = opts.glyphs || createBitmapGlyphSource(fontSize);
+    const size = resolveOutputSize(src, opts.output, { width: cols * glyphs.width, height: rows * glyphs.height });
+
+    if (opts.textMode === 'braille') return convertToBraille(src, cols, rows, opts, size);
+    if (opts.textMode === 'halfblock') return convertToHalfBlock(src, cols, rows, opts, size);
+
+    const imgd = downsample(src, cols, rows).data;
+
+    // Calculate exact dimensions to avoid white borders on edges. Outputs
+    // smaller than the grid get 1px cells (clipped) rather than 0px ones,
+    // which would stack every cell in the corner.
+    const charW = Math.max(1, Math.floor(size.width / cols));
+    const charH = Math.max(1, Math.floor(size.height / rows));
+
+    const ramp = resolveRamp(opts, glyphs);
+
+    // Inverted ramps are meant for dark backgrounds: light ink on black
+    const bg = opts.invert ? 0 : 255;
+    const ink = 255 - bg;
+    const image = createImage(size.width, size.height, [bg, bg, bg, 255]);
+
+    // Cell colors (the downsample is already the per-cell average)
+    const colors = new Uint8ClampedArray(cols * rows * 3);
+    const levels = new Float32Array(cols * rows);
+    for (let cell = 0; cell < cols * rows; cell++) {
+      const i = cell * 4;
+      colors[cell * 3] = imgd[i];
+      colors[cell * 3 + 1] = imgd[i + 1];
+      colors[cell * 3 + 2] = imgd[i + 2];
+      levels[cell] = brightness(imgd[i], imgd[i + 1], imgd[i + 2]);
+    }
+
+    // Tone controls, then brightness-to-ramp quantization (optionally dithered)
+    applyTone(levels, opts);
+    const rampIndex = quantizeLevels(levels, cols, rows, ramp.length, opts.dither);
+
+    // Optional edge pass on the character grid
+    const edges = opts.edges ? sobelGrid(levels, cols, rows) : null;
+    const edgeThreshold = opts.edgeThreshold === undefined ? 0.3 : Number(opts.edgeThreshold);
+    const onEdge = edges ? edgeMask(edges, cols, rows, edgeThreshold) : null;
+
+    // Build plain-text ASCII output and draw to image
+    let text = '';
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const cell = y * cols + x;
+        const r = colors[cell * 3];
+        const g = colors[cell * 3 + 1];
+        const b = colors[cell * 3 + 2];
+
+        let ch;
+        if (onEdge && onEdge[cell]) {
+          ch = edgeChar(edges.gx[cell], edges.gy[cell]);
+        } else {
+          // Ramp runs dark to light, so dark cells pick dense glyphs
+          ch = ramp[rampIndex[cell]];
+        }
+        if (opts.color) {
+          drawGlyph(image, glyphs, ch, x * charW, y * charH, r, g, b);
+        } else {
+          drawGlyph(image, glyphs, ch, x * charW, y * charH, ink, ink, ink);
+        }
+        text += ch;
+      }
+      text += '\n';
+      reportProgress(opts, (y + 1) / rows);
+    }
+
+    return { text, cols, rows, colors, bgColors: null, background: opts.invert ? '#000' : '#fff', image };
+  }
+
+  // ==========================================================================
+  // SUB-CELL TEXT MODES (BRAILLE / HALF-BLOCK)
+  // ==========================================================================
+  // Both modes sample the image on a finer grid than the character grid and
+  // draw their cells procedurally, so output doesn't depend on font coverage.
+
+  /**
+   * Convert an image to Unicode Braille patterns, 2x4 samples per character.
+   * A dot is raised where its sample is dark (light when inverted); tone and
+   * dithering options apply to the individual samples.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {number} cols - Character columns
+   * @param {number} rows - Character rows
+   * @param {Object} opts - ASCII options (color, invert, dither, tone)
+   * @param {{width: number, height: number}} [size] - Output size (defaults to the source's)
+   * @returns {Object} Same shape as convertToASCII's result
+   */
+  function convertToBraille(src, cols, rows, opts, size) {
+    size = size || { width: src.width, height: src.height };
+    const sw = cols * 2;
+    const sh = rows * 4;
+    const samples = downsample(src, sw, sh).data;
+    const levels = new Float32Array(sw * sh);
+    for (let i = 0; i < levels.length; i++) {
+      levels[i] = brightness(samples[i * 4], samples[i * 4 + 1], samples[i * 4 + 2]);
+    }
+    applyTone(levels, opts);
+    const bits = quantizeLevels(levels, sw, sh, 2, opts.dither);
+    const inkBit = opts.invert ? 1 : 0;
+
+    const charW = Math.max(1, Math.floor(size.width / cols));
+    const charH = Math.max(1, Math.floor(size.height / rows));
+    const bg = opts.invert ? 0 : 255;
+    const ink = 255 - bg;
+    const image = createImage(size.width, size.height, [bg, bg, bg, 255]);
+    const colors = new Uint8ClampedArray(cols * rows * 3);
+    const dotRadius = Math.max(0.5, Math.min(charW / 4, charH / 8) * 0.8);
+
+    let text = '';
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        let code = 0x2800;
+        let r = 0, g = 0, b = 0, n = 0;
+        for (let dy = 0; dy < 4; dy++) {
+          for (let dx = 0; dx < 2; dx++) {
+            const si = (y * 4 + dy) * sw + x * 2 + dx;
+            if (bits[si] !== inkBit) continue;
+            code |= BRAILLE_BITS[dy * 2 + dx];
+            r += samples[si * 4];
+            g += samples[si * 4 + 1];
+            b += samples[si * 4 + 2];
+            n++;
+          }
+        }
+
+        // Cell color is the mean of its raised dots (or of the whole cell)
+        const cell = y * cols + x;
+        if (n === 0) {
+          for (let s = 0; s < 8; s++) {
+            const si = (y * 4 + (s >> 1)) * sw + x * 2 + (s & 1);
+            r += samples[si * 4];
+            g += samples[si * 4 + 1];
+            b += samples[si * 4 + 2];
+          }
+          n = 8;
+        }
+        colors[cell * 3] = r / n;
+        colors[cell * 3 + 1] = g / n;
+        colors[cell * 3 + 2] = b / n;
+
+        const cr = opts.color ? colors[cell * 3] : ink;
+        const cg = opts.color ? colors[cell * 3 + 1] : ink;
+        const cb = opts.color ? colors[cell * 3 + 2] : ink;
+        for (let dot = 0; dot < 8; dot++) {
+          if (!(code & BRAILLE_BITS[dot])) continue;
+          const cx = x * charW + ((dot & 1) + 0.5) * charW / 2;
+          const cy = y * charH + ((dot >> 1) + 0.5) * charH / 4;
+          fillCircle(image, cx, cy, dotRadius, cr, cg, cb, 1);
+        }
+        text += String.fromCharCode(code);
+      }
+      text += '\n';
+      reportProgress(opts, (y + 1) / rows);
+    }
+
+    return { text, cols, rows, colors, bgColors: null, background: opts.invert ? '#000' : '#fff', image };
+  }
+
+  /**
+   * Convert an image to half-block characters, 1x2 samples per character.
+   * In color mode every cell is '▀' with the top sample as foreground and the
+   * bottom sample as background. Otherwise each half is thresholded (with
+   * tone and dithering) and the cell becomes ' ', '▀', '▄' or '█'.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {number} cols - Character columns
+   * @param {number} rows - Character rows
+   * @param {Object} opts - ASCII options (color, invert, dither, tone)
+   * @param {{width: number, height: number}} [size] - Output size (defaults to the source's)
+   * @returns {Object} Same shape as convertToASCII's result
+   */
+  function convertToHalfBlock(src, cols, rows, opts, size) {
+    size = size || { width: src.width, height: src.height };
+    const sh = rows * 2;
+    const samples = downsample(src, cols, sh).data;
+    const charW = Math.max(1, Math.floor(size.width / cols));
+    const charH = Math.max(1, Math.floor(size.height / rows));
+    const topH = Math.floor(charH / 2);
+    const bg = opts.invert ? 0 : 255;
+    const ink = 255 - bg;
+    const image = createImage(size.width, size.height, [bg, bg, bg, 255]);
+    const colors = new Uint8ClampedArray(cols * rows * 3);
+    const bgColors = opts.color ? new Uint8ClampedArray(cols * rows * 3) : null;
+
+    let bits = null;
+    if (!opts.color) {
+      const levels = new Float32Array(cols * sh);
+      for (let i = 0; i < levels.length; i++) {
+        levels[i] = brightness(samples[i * 4], samples[i * 4 + 1], samples[i * 4 + 2]);
+      }
+      applyTone(levels, opts);
+      bits = quantizeLevels(levels, cols, sh, 2, opts.dither);
+    }
+    const inkBit = opts.invert ? 1 : 0;
+
+    let text = '';
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const cell = y * cols + x;
+        const top = (y * 2 * cols + x) * 4;
+        const bottom = ((y * 2 + 1) * cols + x) * 4;
+        const px = x * charW;
+        const py = y * charH;
+
+        if (opts.color) {
+          for (let c = 0; c < 3; c++) {
+            colors[cell * 3 + c] = samples[top + c];
+            bgColors[cell * 3 + c] = samples[bottom + c];
+          }
+          fillRect(image, px, py, charW, topH, samples[top], samples[top + 1], samples[top + 2], 1);
+          fillRect(image, px, py + topH, charW, charH - topH, samples[bottom], samples[bottom + 1], samples[bottom + 2], 1);
+          text += '\u2580';
+          continue;
+        }
+
+        const topInk = bits[y * 2 * cols + x] === inkBit;
+        const bottomInk = bits[(y * 2 + 1) * cols + x] === inkBit;
+        for (let c = 0; c < 3; c++) {
+          colors[cell * 3 + c] = (samples[top + c] + samples[bottom + c]) / 2;
+        }
+        if (topInk) fillRect(image, px, py, charW, topH, ink, ink, ink, 1);
+        if (bottomInk) fillRect(image, px, py + topH, charW, charH - topH, ink, ink, ink, 1);
+        text += topInk ? (bottomInk ? '\u2588' : '\u2580') : (bottomInk ? '\u2584' : ' ');
+      }
+      text += '\n';
+      reportProgress(opts, (y + 1) / rows);
+    }
+
+    return { text, cols, rows, colors, bgColors, background: opts.invert ? '#000' : '#fff', image };
+  }
+
+  // ==========================================================================
+  // ASCII EXPORT (HTML / ANSI)
+  // ==========================================================================
+
+  /**
+   * Split an ASCII result into rows of characters.
+   * @param {{text: string}} result - Result of convertToASCII
+   * @returns {string[][]}
+   */
+  function asciiRows(result) {
+    const lines = result.text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines.map(line => Array.from(line));
+  }
+
+  /**
+   * Escape a character for HTML text content.
+   * @param {string} ch - Character
+   * @returns {string}
+   */
+  function escapeHTML(ch) {
+    if (ch === '&') return '&amp;';
+    if (ch === '<') return '&lt;';
+    if (ch === '>') return '&gt;';
+    return ch;
+  }
+
+  /**
+   * Export colored ASCII as a self-contained HTML document.
+   * Every character is wrapped in a span carrying its cell color.
+   * @param {{text: string, cols: number, colors: Uint8ClampedArray}} result - Result of convertToASCII
+   * @param {Object} [opts] - Export options
+   * @param {string} [opts.title='ImageStyler ASCII'] - Document title
+   * @param {number} [opts.fontSize=10] - Font size in pixels
+   * @param {string} [opts.background] - Page background color (defaults to the result's)
+   * @returns {string} HTML source
+   */
+  function asciiToHTML(result, opts) {
+    opts = opts || {};
+    const title = Array.from(opts.title || 'ImageStyler ASCII').map(escapeHTML).join('');
+    const fontSize = Number(opts.fontSize) || 10;
+    const background = opts.background || result.background || '#fff';
+
+    const bgColors = result.bgColors;
+    const body = asciiRows(result).map((chars, y) => chars.map((ch, x) => {
+      const c = (y * result.cols + x) * 3;
+      let style = `color:rgb(${result.colors[c]},${result.colors[c + 1]},${result.colors[c + 2]})`;
+      if (bgColors) style += `;background:rgb(${bgColors[c]},${bgColors[c + 1]},${bgColors[c + 2]})`;
+      return `<span style="${style}">${escapeHTML(ch)}</span>`;
+    }).join('')).join('\n');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { margin: 0; background: ${background}; }
+pre { margin: 0; padding: 8px; font-family: 'Courier New', monospace; font-size: ${fontSize}px; line-height: 1; }
+</style>
+</head>
+<body>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Map an RGB color to the nearest xterm 256-color palette index.
+   * Chooses between the 6x6x6 color cube and the 24-step gray ramp.
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {number} Palette index (16-255)
+   */
+  function rgbToAnsi256(r, g, b) {
+    const levels = [0, 95, 135, 175, 215, 255];
+    const toCube = v => (v < 48 ? 0 : v < 115 ? 1 : Math.min(5, Math.floor((v - 35) / 40)));
+    const cr = toCube(r);
+    const cg = toCube(g);
+    const cb = toCube(b);
+    const cubeDist = (levels[cr] - r) ** 2 + (levels[cg] - g) ** 2 + (levels[cb] - b) ** 2;
+
+    const gray = Math.max(0, Math.min(23, Math.round(((r + g + b) / 3 - 8) / 10)));
+    const grayValue = 8 + gray * 10;
+    const grayDist = (grayValue - r) ** 2 + (grayValue - g) ** 2 + (grayValue - b) ** 2;
+
+    return grayDist < cubeDist ? 232 + gray : 16 + 36 * cr + 6 * cg + cb;
+  }
+
+  /**
+   * Export colored ASCII as text with ANSI color escapes, for `cat` in a terminal.
+   * Escapes are only emitted when the color changes; each line ends with a reset.
+   * Results with background colors (color half-blocks) also set the cell background.
+   * @param {{text: string, cols: number, colors: Uint8ClampedArray}} result - Result of convertToASCII
+   * @param {Object} [opts] - Export options
+   * @param {string} [opts.depth='truecolor'] - 'truecolor' (24-bit) or '256'
+   * @returns {string}
+   */
+  function asciiToANSI(result, opts) {
+    opts = opts || {};
+    const use256 = String(opts.depth) === '256';
+    let out = '';
+
+    asciiRows(result).forEach((chars, y) => {
+      let current = '';
+      chars.forEach((ch, x) => {
+        const c = (y * result.cols + x) * 3;
+        const r = result.colors[c];
+        const g = result.colors[c + 1];
+        const b = result.colors[c + 2];
+        let code = use256 ? `\x1b[38;5;${rgbToAnsi256(r, g, b)}m` : `\x1b[38;2;${r};${g};${b}m`;
+        if (result.bgColors) {
+          const br = result.bgColors[c];
+          const bg = result.bgColors[c + 1];
+          const bb = result.bgColors[c + 2];
+          code += use256 ? `\x1b[48;5;${rgbToAnsi256(br, bg, bb)}m` : `\x1b[48;2;${br};${bg};${bb}m`;
+        }
+        if (code !== current) {
+          out += code;
+          current = code;
+        }
+        out += ch;
+      });
+      out += '\x1b[0m\n';
+    });
+
+    return out;
+  }
+
+  // ==========================================================================
+  // PAINT CONVERSION
+  // ==========================================================================
+
+  /**
+   * Convert an image to painterly style with selectable effects.
+   * With `opts.pipeline` the effects run as an ordered layer stack (see
+   * renderPaintPipeline). Otherwise the fixed legacy passes run: the source
+   * is downsampled to one sample per block and pixel, stroke and texture
+   * passes are painted in that order.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object} opts - Paint conversion options
+   * @param {Object[]} [opts.pipeline] - Effect steps (see normalizePipelineStep)
+   * @param {boolean} opts.pixel - Apply pixelation effect
+   * @param {boolean} opts.brush - Apply brush stroke effect
+   * @param {boolean} opts.gallery - Apply gallery/texture effect
+   * @param {boolean} opts.impression - Apply impressionist effect
+   * @param {boolean} opts.watercolor - Apply watercolor effect
+   * @param {number} opts.pixelSize - Size of pixels (2-128)
+   * @param {number} opts.brushStrength - Brush opacity (0-1)
+   * @param {number} opts.textureStrength - Texture opacity (0-1)
+   * @param {number|string} [opts.seed] - PRNG seed; a random one is picked when omitted
+   * @param {Object} [opts.output] - Output size, { mode: 'source' | 'fixed', width, height }
+   * @returns {{width: number, height: number, data: Uint8ClampedArray, seed: (number|string)}}
+   *   The returned `seed` reproduces this exact image when passed back in
+   */
+  function convertToPaint(src, opts) {
+    opts = Object.assign({}, opts);
+    if (opts.seed === undefined || opts.seed === null || opts.seed === '') opts.seed = randomSeed();
+
+    // Paint at the output size: resize the source first and scale the
+    // effects' pixel lengths so the style looks the same at any size
+    const size = resolveOutputSize(src, opts.output);
+    if (size.width !== src.width || size.height !== src.height) {
+      const factor = Math.sqrt((size.width / src.width) * (size.height / src.height));
+      src = resizeImage(src, size.width, size.height);
+      if (Array.isArray(opts.pipeline)) {
+        opts.pipeline = scalePipeline(opts.pipeline, factor);
+      } else {
+        opts.pixelSize = Math.max(2, Math.round((opts.pixelSize || 8) * factor));
+      }
+    }
+
+    if (Array.isArray(opts.pipeline)) {
+      const image = renderPaintPipeline(src, opts.pipeline, opts);
+      image.seed = opts.seed;
+      return image;
+    }
+    const pixelSize = Math.max(2, Math.round(opts.pixelSize || 8));
+    const smallW = Math.max(Math.floor(src.width / pixelSize), 1);
+    const smallH = Math.max(Math.floor(src.height / pixelSize), 1);
+    const smallData = downsample(src, smallW, smallH).data;
+
+    const out = createImage(src.width, src.height);
+    applyPaintEffects(out, smallData, smallW, smallH, pixelSize, opts);
+    out.seed = opts.seed;
+    return out;
+  }
+
+  /**
+   * Apply paint effects to an image.
+   * Renders pixelated blocks or applies brush/artistic effects.
+   * Uses the downsampled color data to paint effects onto the target.
+   * Handles edge stretching to avoid white borders.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} target - Image to paint onto
+   * @param {Uint8ClampedArray} smallData - Pixel data from downsampled image
+   * @param {number} smallW - Width of downsampled image
+   * @param {number} smallH - Height of downsampled image
+   * @param {number} pixelSize - Size of each pixel block
+   * @param {Object} opts - Paint effect options (opts.seed drives all randomness,
+   *   opts.onProgress receives the completed fraction)
+   * @returns {void}
+   */
+  function applyPaintEffects(target, smallData, smallW, smallH, pixelSize, opts) {
+    const random = createRandom(opts.seed === undefined ? 0 : opts.seed);
+    const canvasWidth = target.width;
+    const canvasHeight = target.height;
+    const d = target.data;
+
+    // Progress is split evenly across the passes that will run
+    const strokes = opts.brush || opts.impression || opts.watercolor || opts.gallery;
+    const texture = opts.gallery || opts.textureStrength;
+    const passes = (opts.pixel ? 1 : 0) + (strokes ? 1 : 0) + (texture ? 1 : 0);
+    let pass = 0;
+    const progress = fraction => reportProgress(opts, (pass + fraction) / Math.max(1, passes));
+
+    // White background
+    d.fill(255);
+
+    if (opts.pixel) {
+      for (let y = 0; y < smallH; y++) {
+        progress(y / smallH);
+        for (let x = 0; x < smallW; x++) {
+          const i = (y * smallW + x) * 4;
+          const a = smallData[i + 3] / 255;
+
+          // Calculate rectangle size to fill remaining space on edges
+          let rectW = pixelSize;
+          let rectH = pixelSize;
+          const rectX = x * pixelSize;
+          const rectY = y * pixelSize;
+
+          // Stretch the last column to fill remaining width
+          if (x === smallW - 1) {
+            rectW = canvasWidth - rectX;
+          }
+
+          // Stretch the last row to fill remaining height
+          if (y === smallH - 1) {
+            rectH = canvasHeight - rectY;
+          }
+
+          fillRect(target, rectX, rectY, rectW, rectH, smallData[i], smallData[i + 1], smallData[i + 2], a);
+        }
+      }
+      pass++;
+    }
+
+    if (strokes) {
+      const brushAlpha = opts.brushStrength || 0.7;
+
+      for (let y = 0; y < smallH; y++) {
+        progress(y / smallH);
+        for (let x = 0; x < smallW; x++) {
+          const i = (y * smallW + x) * 4;
+          const r = smallData[i];
+          const g = smallData[i + 1];
+          const b = smallData[i + 2];
+          const a = smallData[i + 3] / 255;
+
+          // Calculate center position accounting for edge stretching
+          const rectX = x * pixelSize;
+          const rectY = y * pixelSize;
+          let rectW = pixelSize;
+          let rectH = pixelSize;
+
+          if (x === smallW - 1) {
+            rectW = canvasWidth - rectX;
+          }
+          if (y === smallH - 1) {
+            rectH = canvasHeight - rectY;
+          }
+
+          const cx = rectX + rectW / 2;
+          const cy = rectY + rectH / 2;
+
+          if (opts.brush) {
+            const strokes = Math.max(1, Math.round(pixelSize / 2));
+            for (let s = 0; s < strokes; s++) {
+              const jitterX = (random() - 0.5) * pixelSize * 0.6;
+              const jitterY = (random() - 0.5) * pixelSize * 0.6;
+              const radius = pixelSize * (0.45 + random() * 0.4);
+              fillCircle(target, cx + jitterX, cy + jitterY, radius, r, g, b, a * brushAlpha);
+            }
+          }
+
+          if (opts.impression) {
+            if (random() < 0.25) {
+              fillCircle(
+                target,
+                cx + (random() - 0.5) * pixelSize,
+                cy + (random() - 0.5) * pixelSize,
+                pixelSize * 0.8,
+                Math.min(255, r + 20), Math.min(255, g + 10), b, a * 0.9
+              );
+            }
+          }
+
+          if (opts.watercolor) {
+            fillCircle(target, cx, cy, pixelSize, r, g, b, 0.12 * (a + 0.2), 'lighter');
+          }
+        }
+      }
+      pass++;
+    }
+
+    if (texture) {
+      // Grain texture overlaid across the whole image
+      const texAlpha = Math.floor(10 + (opts.textureStrength || 0) * 40) / 255;
+      const globalAlpha = Math.min(0.95, 0.3 + (opts.textureStrength || 0) * 0.7);
+      const alpha = texAlpha * globalAlpha;
+      const rowBytes = canvasWidth * 4;
+      for (let i = 0; i < d.length; i += 4) {
+        if (i % rowBytes === 0) progress(i / d.length);
+        const v = 230 + Math.floor(random() * 25);
+        overlayPixel(d, i, v, alpha);
+      }
+    }
+    reportProgress(opts, 1);
+  }
+
+  // ==========================================================================
+  // STRUCTURE TENSOR & OIL PAINT (ANISOTROPIC KUWAHARA)
+  // ==========================================================================
+  // The smoothed structure tensor gives, per pixel, the direction along which
+  // the image changes least (the local "flow", tangent to edges) and how
+  // strongly oriented the neighbourhood is. The oil paint filter averages
+  // colors inside an ellipse stretched along that flow, split into eight
+  // overlapping sectors, and favours the sectors with the least variance,
+  // which smooths flat areas into strokes while keeping edges sharp.
+  // (Kyprianidis et al., "Anisotropic Kuwahara Filtering with Polynomial
+  // Weighting Functions", 2010.)
+
+  /**
+   * Blur a float field in place with a separable Gaussian.
+   * @param {Float32Array} field - Values, row-major
+   * @param {number} width - Field width
+   * @param {number} height - Field height
+   * @param {number} sigma - Standard deviation in pixels
+   * @returns {void}
+   */
+  function gaussianBlurField(field, width, height, sigma) {
+    const radius = Math.max(1, Math.ceil(sigma * 3));
+    const kernel = new Float32Array(radius * 2 + 1);
+    let sum = 0;
+    for (let k = -radius; k <= radius; k++) {
+      kernel[k + radius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+      sum += kernel[k + radius];
+    }
+    for (let k = 0; k < kernel.length; k++) kernel[k] /= sum;
+
+    const tmp = new Float32Array(field.length);
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < width; x++) {
+        let acc = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const sx = Math.min(width - 1, Math.max(0, x + k));
+          acc += field[row + sx] * kernel[k + radius];
+        }
+        tmp[row + x] = acc;
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let acc = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const sy = Math.min(height - 1, Math.max(0, y + k));
+          acc += tmp[sy * width + x] * kernel[k + radius];
+        }
+        field[y * width + x] = acc;
+      }
+    }
+  }
+
+  /**
+   * Compute the smoothed structure tensor of an image (Sobel gradients of
+   * all three channels, Gaussian-smoothed).
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {number} [sigma=2] - Smoothing in pixels
+   * @returns {{width: number, height: number, tx: Float32Array, ty: Float32Array,
+   *   anisotropy: Float32Array, magnitude: Float32Array}} Per pixel: unit flow
+   *   direction (tx, ty) along edges, anisotropy 0-1, and the major
+   *   eigenvalue (edge strength, squared gradient units of 0-1 colors)
+   */
+  function structureTensor(src, sigma) {
+    const { width, height, data } = src;
+    const n = width * height;
+    const e = new Float32Array(n);
+    const f = new Float32Array(n);
+    const g = new Float32Array(n);
+    const at = (x, y, c) => data[(Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))) * 4 + c] / 255;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let exx = 0, exy = 0, eyy = 0;
+        for (let c = 0; c < 3; c++) {
+          const gx = (at(x + 1, y - 1, c) + 2 * at(x + 1, y, c) + at(x + 1, y + 1, c) -
+            at(x - 1, y - 1, c) - 2 * at(x - 1, y, c) - at(x - 1, y + 1, c)) / 4;
+          const gy = (at(x - 1, y + 1, c) + 2 * at(x, y + 1, c) + at(x + 1, y + 1, c) -
+            at(x - 1, y - 1, c) - 2 * at(x, y - 1, c) - at(x + 1, y - 1, c)) / 4;
+          exx += gx * gx;
+          exy += gx * gy;
+          eyy += gy * gy;
+        }
+        const i = y * width + x;
+        e[i] = exx;
+        f[i] = exy;
+        g[i] = eyy;
+      }
+    }
+    const s = sigma === undefined ? 2 : sigma;
+    gaussianBlurField(e, width, height, s);
+    gaussianBlurField(f, width, height, s);
+    gaussianBlurField(g, width, height, s);
+
+    const tx = new Float32Array(n);
+    const ty = new Float32Array(n);
+    const anisotropy = new Float32Array(n);
+    const magnitude = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const root = Math.sqrt((e[i] - g[i]) * (e[i] - g[i]) + 4 * f[i] * f[i]);
+      const l1 = (e[i] + g[i] + root) / 2;
+      const l2 = (e[i] + g[i] - root) / 2;
+      // Minor eigenvector: the direction of least change
+      let vx = l1 - e[i];
+      let vy = -f[i];
+      const len = Math.sqrt(vx * vx + vy * vy);
+      if (len > 0) {
+        vx /= len;
+        vy /= len;
+      } else {
+        vx = 0;
+        vy = 1;
+      }
+      tx[i] = vx;
+      ty[i] = vy;
+      anisotropy[i] = l1 + l2 > 0 ? (l1 - l2) / (l1 + l2) : 0;
+      magnitude[i] = l1;
+    }
+    return { width, height, tx, ty, anisotropy, magnitude };
+  }
+
+  // Sector weights depend only on the ellipse's orientation and anisotropy,
+  // so they are precomputed for quantized values. Orientation only matters
+  // modulo 180° (the eight sectors map onto each other under a half turn).
+  const KUWAHARA_SECTORS = 8;
+  const KUWAHARA_ANGLE_BINS = 16;
+  const KUWAHARA_ANISOTROPY_BINS = 6;
+
+  /**
+   * Build the sample offsets and per-sector weights for one ellipse shape.
+   * @param {number} radius - Filter radius in pixels
+   * @param {number} phi - Flow angle in radians
+   * @param {number} anisotropy - Anisotropy 0-1
+   * @returns {{count: number, dx: Int16Array, dy: Int16Array, weights: Float32Array}}
+   *   `weights` holds KUWAHARA_SECTORS values per sample (0 where a sample
+   *   is outside a sector)
+   */
+  function buildKuwaharaKernel(radius, phi, anisotropy) {
+    const ALPHA = 1; // ellipse eccentricity tuning
+    const ZETA = 0.33; // sector overlap
+    const ETA = 0.4; // sector curvature
+    const DIAG = Math.SQRT1_2;
+    const a = radius * Math.min(2, Math.max(0.1, (ALPHA + anisotropy) / ALPHA));
+    const b = radius * Math.min(2, Math.max(0.1, ALPHA / (ALPHA + anisotropy)));
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    // Map ellipse offsets to a disk of radius 0.5: v = S * R * (dx, dy)
+    const sr00 = 0.5 * cosPhi / a;
+    const sr01 = 0.5 * sinPhi / a;
+    const sr10 = -0.5 * sinPhi / b;
+    const sr11 = 0.5 * cosPhi / b;
+    const maxX = Math.floor(Math.sqrt(a * a * cosPhi * cosPhi + b * b * sinPhi * sinPhi));
+    const maxY = Math.floor(Math.sqrt(a * a * sinPhi * sinPhi + b * b * cosPhi * cosPhi));
+
+    const dxs = [];
+    const dys = [];
+    const weights = [];
+    const w = new Float64Array(KUWAHARA_SECTORS);
+    for (let dy = -maxY; dy <= maxY; dy++) {
+      for (let dx = -maxX; dx <= maxX; dx++) {
+        let vx = sr00 * dx + sr01 * dy;
+        let vy = sr10 * dx + sr11 * dy;
+        const dist = vx * vx + vy * vy;
+        if (dist > 0.25) continue;
+
+        // Polynomial sector weights: four axis sectors, then four diagonal
+        let sum = 0;
+        let vxx = ZETA - ETA * vx * vx;
+        let vyy = ZETA - ETA * vy * vy;
+        let z;
+        z = Math.max(0, vy + vxx); w[0] = z * z; sum += w[0];
+        z = Math.max(0, -vx + vyy); w[2] = z * z; sum += w[2];
+        z = Math.max(0, -vy + vxx); w[4] = z * z; sum += w[4];
+        z = Math.max(0, vx + vyy); w[6] = z * z; sum += w[6];
+        const rx = DIAG * (vx - vy);
+        const ry = DIAG * (vx + vy);
+        vx = rx;
+        vy = ry;
+        vxx = ZETA - ETA * vx * vx;
+        vyy = ZETA - ETA * vy * vy;
+        z = Math.max(0, vy + vxx); w[1] = z * z; sum += w[1];
+        z = Math.max(0, -vx + vyy); w[3] = z * z; sum += w[3];
+        z = Math.max(0, -vy + vxx); w[5] = z * z; sum += w[5];
+        z = Math.max(0, vx + vyy); w[7] = z * z; sum += w[7];
+        if (sum <= 0) continue;
+
+        const gauss = Math.exp(-3.125 * dist) / sum;
+        dxs.push(dx);
+        dys.push(dy);
+        for (let k = 0; k < KUWAHARA_SECTORS; k++) weights.push(w[k] * gauss);
+      }
+    }
+    return {
+      count: dxs.length,
+      dx: Int16Array.from(dxs),
+      dy: Int16Array.from(dys),
+      weights: Float32Array.from(weights)
+    };
+  }
+
+  /**
+   * Oil paint filter: anisotropic Kuwahara with polynomial sector weights.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object} [opts] - Filter options
+   * @param {number} [opts.radius=6] - Filter radius in pixels (stroke size)
+   * @param {number} [opts.sharpness=8] - Sector selectivity; higher keeps
+   *   edges crisper, lower blends sectors more softly
+   * @param {function(number): void} [opts.onProgress] - Receives the completed fraction per row
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function anisotropicKuwahara(src, opts) {
+    opts = opts || {};
+    const radius = Math.max(1, Number(opts.radius) || 6);
+    const q = Math.max(1, Number(opts.sharpness) || 8);
+    const HARDNESS = 100;
+    const N = KUWAHARA_SECTORS;
+    const { width, height, data } = src;
+    const tensor = structureTensor(src, 2);
+    const out = createImage(width, height);
+    const od = out.data;
+
+    // Colors and their squares as 0-1 floats for the inner loop
+    const rgb = new Float32Array(width * height * 6);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 6) {
+      const r = data[i] / 255, g = data[i + 1] / 255, b = data[i + 2] / 255;
+      rgb[j] = r;
+      rgb[j + 1] = g;
+      rgb[j + 2] = b;
+      rgb[j + 3] = r * r;
+      rgb[j + 4] = g * g;
+      rgb[j + 5] = b * b;
+    }
+
+    const kernels = new Array(KUWAHARA_ANGLE_BINS * KUWAHARA_ANISOTROPY_BINS);
+    // Per sector: weighted sums of r, g, b, r², g², b² and the weight
+    const acc = new Float64Array(N * 7);
+
+    for (let y = 0; y < height; y++) {
+      reportProgress(opts, y / height);
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        let phi = Math.atan2(tensor.ty[p], tensor.tx[p]);
+        if (phi < 0) phi += Math.PI;
+        const angleBin = Math.round(phi / Math.PI * KUWAHARA_ANGLE_BINS) % KUWAHARA_ANGLE_BINS;
+        const anisoBin = Math.round(tensor.anisotropy[p] * (KUWAHARA_ANISOTROPY_BINS - 1));
+        const key = anisoBin * KUWAHARA_ANGLE_BINS + angleBin;
+        let kernel = kernels[key];
+        if (!kernel) {
+          kernel = kernels[key] = buildKuwaharaKernel(
+            radius,
+            angleBin * Math.PI / KUWAHARA_ANGLE_BINS,
+            anisoBin / (KUWAHARA_ANISOTROPY_BINS - 1)
+          );
+        }
+
+        acc.fill(0);
+        const kdx = kernel.dx;
+        const kdy = kernel.dy;
+        const kw = kernel.weights;
+        for (let s = 0, ws = 0; s < kernel.count; s++, ws += N) {
+          const sy = Math.min(height - 1, Math.max(0, y + kdy[s]));
+          const sx = Math.min(width - 1, Math.max(0, x + kdx[s]));
+          const c = (sy * width + sx) * 6;
+          const cr = rgb[c], cg = rgb[c + 1], cb = rgb[c + 2];
+          const cr2 = rgb[c + 3], cg2 = rgb[c + 4], cb2 = rgb[c + 5];
+          for (let k = 0, o = 0; k < N; k++, o += 7) {
+            const wk = kw[ws + k];
+            if (wk === 0) continue;
+            acc[o] += cr * wk;
+            acc[o + 1] += cg * wk;
+            acc[o + 2] += cb * wk;
+            acc[o + 3] += cr2 * wk;
+            acc[o + 4] += cg2 * wk;
+            acc[o + 5] += cb2 * wk;
+            acc[o + 6] += wk;
+          }
+        }
+
+        // Blend sector means, favouring low-variance sectors
+        let or = 0, og = 0, ob = 0, ow = 0;
+        for (let o = 0; o < N * 7; o += 7) {
+          const wsum = acc[o + 6];
+          if (wsum <= 0) continue;
+          const mr = acc[o] / wsum;
+          const mg = acc[o + 1] / wsum;
+          const mb = acc[o + 2] / wsum;
+          const variance = Math.abs(acc[o + 3] / wsum - mr * mr) +
+            Math.abs(acc[o + 4] / wsum - mg * mg) +
+            Math.abs(acc[o + 5] / wsum - mb * mb);
+          const wk = 1 / (1 + Math.pow(HARDNESS * variance, 0.5 * q));
+          or += mr * wk;
+          og += mg * wk;
+          ob += mb * wk;
+          ow += wk;
+        }
+        const o = p * 4;
+        if (ow > 0) {
+          od[o] = (or / ow) * 255;
+          od[o + 1] = (og / ow) * 255;
+          od[o + 2] = (ob / ow) * 255;
+        } else {
+          od[o] = data[o];
+          od[o + 1] = data[o + 1];
+          od[o + 2] = data[o + 2];
+        }
+        od[o + 3] = data[o + 3];
+      }
+    }
+    return out;
+  }
+
+  // ==========================================================================
+  // PENCIL SKETCH
+  // ==========================================================================
+  // Line art by "color dodge" of the gray image with its own blur (flat areas
+  // wash out to paper, edges stay as pencil lines), plus diagonal hatching
+  // whose layers build up in darker tones.
+
+  // Graphite and tinted paper colors for the sketch effect
+  const SKETCH_GRAPHITE = [38, 38, 46];
+  const SKETCH_PAPER_TINT = [238, 226, 198];
+
+  /**
+   * Coverage (0-1) of a family of parallel, slightly wavy hatch lines.
+   * @param {number} u - Position across the lines
+   * @param {number} v - Position along the lines
+   * @param {number} spacing - Distance between lines in pixels
+   * @param {number} width - Line width in pixels
+   * @param {number} phase - Random wobble phase
+   * @returns {number}
+   */
+  function hatchCoverage(u, v, spacing, width, phase) {
+    u += Math.sin(v * 0.05 + phase) * spacing * 0.15;
+    const m = ((u % spacing) + spacing) % spacing;
+    const d = Math.min(m, spacing - m);
+    return Math.max(0, Math.min(1, width / 2 + 0.5 - d));
+  }
+
+  /**
+   * Render a pencil sketch of an image.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object} [opts] - Sketch options
+   * @param {number} [opts.lineWeight=2] - Pencil line thickness in pixels
+   * @param {number} [opts.hatching=0.5] - Hatch density 0-1 (0 = outlines only)
+   * @param {number} [opts.paper=0.3] - Paper tint 0 (white) to 1 (cream)
+   * @param {function(): number} [opts.random] - PRNG for the hatch wobble
+   * @param {function(number): void} [opts.onProgress] - Receives the completed fraction per row
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function renderSketch(src, opts) {
+    opts = opts || {};
+    const lineWeight = Math.max(0.5, Number(opts.lineWeight) || 2);
+    const hatching = Math.min(1, Math.max(0, opts.hatching === undefined ? 0.5 : Number(opts.hatching) || 0));
+    const paperTint = Math.min(1, Math.max(0, opts.paper === undefined ? 0.3 : Number(opts.paper) || 0));
+    const random = opts.random || Math.random;
+    const { width, height, data } = src;
+    const out = createImage(width, height);
+    const od = out.data;
+
+    // Gray image flattened onto white paper
+    const gray = new Float32Array(width * height);
+    for (let p = 0, i = 0; p < gray.length; p++, i += 4) {
+      gray[p] = 1 - (data[i + 3] / 255) * (1 - brightness(data[i], data[i + 1], data[i + 2]));
+    }
+    // Dodge against a blur the size of the line weight; a wider blur for tone
+    const blurred = Float32Array.from(gray);
+    gaussianBlurField(blurred, width, height, lineWeight);
+    const tone = Float32Array.from(gray);
+    gaussianBlurField(tone, width, height, lineWeight * 2);
+
+    const spacing = 3 + lineWeight * 2;
+    const hatchWidth = 0.6 + lineWeight * 0.25;
+    const phases = [random() * 6.28, random() * 6.28, random() * 6.28];
+    const paper = [0, 1, 2].map(c => 255 + (SKETCH_PAPER_TINT[c] - 255) * paperTint);
+
+    for (let y = 0; y < height; y++) {
+      reportProgress(opts, y / height);
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        // Dodge: near 1 in flat regions, dark where the pixel is darker than its surroundings
+        let value = Math.min(1, gray[p] / Math.max(0.02, blurred[p]));
+        value = value * value * value;
+
+        if (hatching > 0) {
+          // Tone thresholds rise with density; each layer adds one direction
+          const t = tone[p];
+          const levels = [0.35 + 0.5 * hatching, 0.2 + 0.35 * hatching, 0.1 + 0.2 * hatching];
+          let shade = 0;
+          if (t < levels[0]) {
+            shade += (levels[0] - t) / levels[0] * hatchCoverage((x + y) * Math.SQRT1_2, (x - y) * Math.SQRT1_2, spacing, hatchWidth, phases[0]);
+          }
+          if (t < levels[1]) {
+            shade += (levels[1] - t) / levels[1] * hatchCoverage((x - y) * Math.SQRT1_2, (x + y) * Math.SQRT1_2, spacing, hatchWidth, phases[1]);
+          }
+          if (t < levels[2]) {
+            shade += (levels[2] - t) / levels[2] * hatchCoverage(y, x, spacing * 0.75, hatchWidth, phases[2]);
+          }
+          value *= 1 - Math.min(1, shade * 0.8);
+        }
+
+        const o = p * 4;
+        od[o] = SKETCH_GRAPHITE[0] + (paper[0] - SKETCH_GRAPHITE[0]) * value;
+        od[o + 1] = SKETCH_GRAPHITE[1] + (paper[1] - SKETCH_GRAPHITE[1]) * value;
+        od[o + 2] = SKETCH_GRAPHITE[2] + (paper[2] - SKETCH_GRAPHITE[2]) * value;
+        od[o + 3] = 255;
+      }
+    }
+    return out;
+  }
+
+  // ==========================================================================
+  // HALFTONE SCREENS
+  // ==========================================================================
+  // Printing-style halftone: each ink is a grid of dots rotated to its screen
+  // angle, with dot area proportional to ink coverage. Inks are accumulated
+  // as coverage fields (0-1 per pixel) and combined subtractively at the end.
+
+  // Classic offset-printing screen angles in degrees
+  const CMYK_SCREEN_ANGLES = { cyan: 15, magenta: 75, yellow: 0, black: 45 };
+
+  /**
+   * Stamp an anti-aliased dot into a coverage field (keeping the maximum
+   * where dots overlap).
+   * @param {Float32Array} field - Coverage per pixel (0-1), row-major
+   * @param {number} width - Field width
+   * @param {number} height - Field height
+   * @param {number} cx - Dot center X
+   * @param {number} cy - Dot center Y
+   * @param {number} radius - Dot radius in pixels
+   * @returns {void}
+   */
+  function stampDot(field, width, height, cx, cy, radius) {
+    if (radius <= 0) return;
+    const x0 = Math.max(0, Math.floor(cx - radius - 1));
+    const x1 = Math.min(width - 1, Math.ceil(cx + radius + 1));
+    const y0 = Math.max(0, Math.floor(cy - radius - 1));
+    const y1 = Math.min(height - 1, Math.ceil(cy + radius + 1));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const dist = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+        // Small dots keep their area: coverage is scaled when radius < 0.5
+        const cover = Math.min(1, Math.max(0, radius + 0.5 - dist)) * Math.min(1, radius * 2);
+        const p = y * width + x;
+        if (cover > field[p]) field[p] = cover;
+      }
+    }
+  }
+
+  /**
+   * Lay one ink's halftone screen into a coverage field.
+   * @param {Float32Array} field - Coverage per pixel (0-1), row-major
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} cell - Screen cell size in pixels
+   * @param {number} angle - Screen angle in degrees
+   * @param {function(number, number): number} inkAt - Ink coverage (0-1) at an image point
+   * @param {function(number): void} [progress] - Receives the completed fraction
+   * @returns {void}
+   */
+  function halftoneScreen(field, width, height, cell, angle, inkAt, progress) {
+    const theta = angle * Math.PI / 180;
+    const ux = Math.cos(theta), uy = Math.sin(theta);
+    const vx = -uy, vy = ux;
+    // Grid index ranges that cover the image: project its corners on u and v
+    const corners = [[0, 0], [width, 0], [0, height], [width, height]];
+    const us = corners.map(([x, y]) => (x * ux + y * uy) / cell);
+    const vs = corners.map(([x, y]) => (x * vx + y * vy) / cell);
+    const i0 = Math.floor(Math.min(...us)) - 1, i1 = Math.ceil(Math.max(...us)) + 1;
+    const j0 = Math.floor(Math.min(...vs)) - 1, j1 = Math.ceil(Math.max(...vs)) + 1;
+    // A full-coverage dot reaches the cell corners so solids close up
+    const maxRadius = cell * Math.SQRT1_2;
+
+    for (let i = i0; i <= i1; i++) {
+      if (progress) progress((i - i0) / (i1 - i0 + 1));
+      for (let j = j0; j <= j1; j++) {
+        const cx = (i + 0.5) * cell * ux + (j + 0.5) * cell * vx;
+        const cy = (i + 0.5) * cell * uy + (j + 0.5) * cell * vy;
+        if (cx < -cell || cy < -cell || cx > width + cell || cy > height + cell) continue;
+        const ink = inkAt(Math.min(width - 1, Math.max(0, cx)), Math.min(height - 1, Math.max(0, cy)));
+        if (ink > 0) stampDot(field, width, height, cx, cy, maxRadius * Math.sqrt(ink));
+      }
+    }
+  }
+
+  // ==========================================================================
+  // FLOW STROKES
+  // ==========================================================================
+  // Painterly rendering with curved brush strokes (after Hertzmann, "Painterly
+  // Rendering with Curved Brush Strokes of Multiple Sizes", 1998). Strokes
+  // follow the structure tensor's flow field, so they run along edges rather
+  // than across them. Layers go from coarse to fine; finer layers only paint
+  // cells the coarser strokes got wrong, which puts detail where the image
+  // has it.
+
+  // Mean per-channel difference (0-255) above which a cell is repainted
+  const FLOW_STROKE_ERROR = 18;
+
+  /**
+   * Trace a stroke along the flow field in both directions from a point.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object} tensor - Result of structureTensor(src)
+   * @param {number} x - Start X
+   * @param {number} y - Start Y
+   * @param {number[]} color - Stroke color [r, g, b]
+   * @param {number} step - Distance between stroke points in pixels
+   * @param {number} maxSteps - Most points in each direction
+   * @returns {number[][]} Stroke points [x, y], end to end
+   */
+  function traceFlowStroke(src, tensor, x, y, color, step, maxSteps) {
+    const { width, height, data } = src;
+    const half = (sign) => {
+      const points = [];
+      let px = x, py = y, dx = 0, dy = 0;
+      for (let n = 0; n < maxSteps; n++) {
+        const p = Math.floor(py) * width + Math.floor(px);
+        let fx = tensor.tx[p] * sign, fy = tensor.ty[p] * sign;
+        // Keep heading the same way (the flow field has no sign)
+        if (n > 0 && fx * dx + fy * dy < 0) { fx = -fx; fy = -fy; }
+        px += fx * step;
+        py += fy * step;
+        if (px < 0 || py < 0 || px >= width || py >= height) break;
+        // Stop where the image no longer matches the stroke color
+        const i = (Math.floor(py) * width + Math.floor(px)) * 4;
+        const diff = (Math.abs(data[i] - color[0]) + Math.abs(data[i + 1] - color[1]) + Math.abs(data[i + 2] - color[2])) / 3;
+        if (diff > FLOW_STROKE_ERROR * 2.5) break;
+        dx = fx;
+        dy = fy;
+        points.push([px, py]);
+      }
+      return points;
+    };
+    return half(-1).reverse().concat([[x, y]], half(1));
+  }
+
+  /**
+   * Paint curved, flow-following strokes in coarse-to-fine layers.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} layer - Target (transparent) image
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object} opts - Stroke options
+   * @param {number} opts.length - Finest stroke length in pixels
+   * @param {number} opts.width - Finest stroke width in pixels
+   * @param {number} opts.layers - Number of passes; each coarser pass doubles the width
+   * @param {function(number): {data: Uint8ClampedArray, w: number, h: number, size: number}} opts.sample
+   *   Block sample of the source at a size (stroke colors)
+   * @param {function(): number} opts.random - PRNG
+   * @param {function(number): void} [opts.onProgress] - Receives the completed fraction
+   * @returns {void}
+   */
+  function paintFlowStrokes(layer, src, opts) {
+    const { width, height, data } = src;
+    const ld = layer.data;
+    const random = opts.random;
+    const tensor = structureTensor(src, 2);
+    const layers = Math.max(1, Math.round(opts.layers));
+
+    for (let level = 0; level < layers; level++) {
+      const scale = Math.pow(2, layers - 1 - level);
+      const brush = Math.max(1, opts.width * scale);
+      const length = Math.max(brush, opts.length * Math.sqrt(scale));
+      const sample = opts.sample(Math.max(2, Math.round(brush)));
+      const sd = sample.data;
+      const cell = sample.size;
+      const step = Math.max(1, brush / 2);
+      const maxSteps = Math.max(1, Math.round(length / 2 / step));
+
+      // Stroke starts: every cell on the first pass, then only cells where
+      // the canvas still differs from the source
+      const starts = [];
+      for (let sy = 0; sy < sample.h; sy++) {
+        for (let sx = 0; sx < sample.w; sx++) {
+          const x0 = sx * cell, y0 = sy * cell;
+          const x1 = sx === sample.w - 1 ? width : x0 + cell;
+          const y1 = sy === sample.h - 1 ? height : y0 + cell;
+          let error = 0, n = 0;
+          if (level > 0) {
+            for (let y = y0; y < y1; y++) {
+              for (let x = x0; x < x1; x++) {
+                const i = (y * width + x) * 4;
+                error += ld[i + 3] === 0 ? 255 : (Math.abs(ld[i] - data[i]) + Math.abs(ld[i + 1] - data[i + 1]) + Math.abs(ld[i + 2] - data[i + 2])) / 3;
+                n++;
+              }
+            }
+          }
+          if (level === 0 || error / n > FLOW_STROKE_ERROR) {
+            starts.push([(sy * sample.w + sx) * 4, x0 + random() * (x1 - x0), y0 + random() * (y1 - y0)]);
+          }
+        }
+      }
+
+      // Paint in random order so strokes overlap naturally
+      for (let k = starts.length - 1; k > 0; k--) {
+        const j = Math.floor(random() * (k + 1));
+        const t = starts[k]; starts[k] = starts[j]; starts[j] = t;
+      }
+      starts.forEach(([i, x, y], n) => {
+        if (n % 64 === 0) reportProgress(opts, (level + n / starts.length) / layers);
+        const shade = (random() - 0.5) * 16;
+        const color = [sd[i] + shade, sd[i + 1] + shade, sd[i + 2] + shade].map(v => Math.min(255, Math.max(0, v)));
+        const alpha = sd[i + 3] / 255;
+        const points = traceFlowStroke(src, tensor, x, y, color, step, maxSteps);
+        // Stamp round dabs along the path, close enough to read as one stroke
+        for (let p = 0; p < points.length; p++) {
+          const [ax, ay] = points[p];
+          const [bx, by] = points[Math.min(points.length - 1, p + 1)];
+          const dabs = Math.max(1, Math.ceil(Math.hypot(bx - ax, by - ay) / Math.max(0.5, brush / 4)));
+          for (let d = 0; d < dabs; d++) {
+            fillCircle(layer, ax + (bx - ax) * d / dabs, ay + (by - ay) * d / dabs, brush / 2, color[0], color[1], color[2], alpha);
+          }
+        }
+      });
+    }
+  }
+
+  // ==========================================================================
+  // COLOR PALETTES
+  // ==========================================================================
+  // Palette quantization for pixel art: automatic palettes (median cut or
+  // k-means), fixed retro palettes and user palettes loaded from .gpl/.hex
+  // files. Palettes are arrays of [r, g, b].
+
+  /**
+   * Expand a list of '#rrggbb' strings into a palette.
+   * @param {string[]} hexes - Hex colors
+   * @returns {number[][]} [r, g, b] entries
+   */
+  function paletteFromHex(hexes) {
+    return hexes.map(parseHexColor).filter(Boolean);
+  }
+
+  // Fixed palettes, listed in the Pixel effect's palette menu
+  const RETRO_PALETTES = {
+    gameboy: {
+      label: 'Game Boy',
+      colors: paletteFromHex(['#0f380f', '#306230', '#8bac0f', '#9bbc0f'])
+    },
+    pico8: {
+      label: 'PICO-8',
+      colors: paletteFromHex([
+        '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+        '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+      ])
+    },
+    cga: {
+      label: 'CGA',
+      colors: paletteFromHex([
+        '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+        '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+      ])
+    },
+    nes: {
+      label: 'NES',
+      colors: paletteFromHex([
+        '#7c7c7c', '#0000fc', '#0000bc', '#4428bc', '#940084', '#a80020', '#a81000', '#881400',
+        '#503000', '#007800', '#006800', '#005800', '#004058', '#000000', '#bcbcbc', '#0078f8',
+        '#0058f8', '#6844fc', '#d800cc', '#e40058', '#f83800', '#e45c10', '#ac7c00', '#00b800',
+        '#00a800', '#00a844', '#008888', '#f8f8f8', '#3cbcfc', '#6888fc', '#9878f8', '#f878f8',
+        '#f85898', '#f87858', '#fca044', '#f8b800', '#b8f818', '#58d854', '#58f898', '#00e8d8',
+        '#787878', '#fcfcfc', '#a4e4fc', '#b8b8f8', '#d8b8f8', '#f8b8f8', '#f8a4c0', '#f0d0b0',
+        '#fce0a8', '#f8d878', '#d8f878', '#b8f8b8', '#b8f8d8', '#00fcfc', '#f8d8f8'
+      ])
+    }
+  };
+
+  // Most colors a custom palette file may contribute
+  const MAX_PALETTE_COLORS = 256;
+
+  /**
+   * Parse a '#rgb' or '#rrggbb' color (the '#' is optional).
+   * @param {string} str - Hex color
+   * @returns {number[]|null} [r, g, b], or null if it isn't a hex color
+   */
+  function parseHexColor(str) {
+    const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(str).trim());
+    if (!m) return null;
+    let hex = m[1];
+    if (hex.length === 3) hex = hex.replace(/./g, c => c + c);
+    const n = parseInt(hex, 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  /**
+   * Format an [r, g, b] color as '#rrggbb'.
+   * @param {number[]} color - [r, g, b]
+   * @returns {string}
+   */
+  function toHexColor(color) {
+    return '#' + color.slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Parse a palette file: GIMP .gpl ("R G B name" lines after a
+   * "GIMP Palette" header) or .hex (one RRGGBB color per line).
+   * @param {string} text - File contents
+   * @returns {string[]} Colors as '#rrggbb', duplicates removed
+   * @throws {Error} If the file contains no colors
+   */
+  function parsePaletteFile(text) {
+    const lines = String(text).split(/\r?\n/);
+    const gimp = /^GIMP Palette/i.test(lines[0].trim());
+    const colors = [];
+    lines.forEach((line, n) => {
+      line = line.trim();
+      if (!line || (gimp && line.startsWith('#')) || line.startsWith(';')) return;
+      let color = null;
+      if (gimp) {
+        if (n === 0 || /^(Name|Columns):/i.test(line)) return;
+        const parts = line.split(/\s+/).slice(0, 3).map(Number);
+        if (parts.length === 3 && parts.every(v => Number.isInteger(v) && v >= 0 && v <= 255)) color = parts;
+      } else {
+        color = parseHexColor(line.split(/\s+/)[0]);
+      }
+      if (!color) throw new Error('Unreadable palette line ' + (n + 1) + ': "' + line + '"');
+      const hex = toHexColor(color);
+      if (!colors.includes(hex) && colors.length < MAX_PALETTE_COLORS) colors.push(hex);
+    });
+    if (colors.length === 0) throw new Error('The palette file contains no colors');
+    return colors;
+  }
+
+  /**
+   * Collect the opaque-ish pixels of an image as [r, g, b] samples,
+   * striding through large images to keep palette building fast.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Image
+   * @param {number} [maxSamples=65536] - Upper bound on samples
+   * @returns {number[][]}
+   */
+  function collectColorSamples(image, maxSamples) {
+    const d = image.data;
+    const pixels = d.length / 4;
+    const stride = Math.max(1, Math.floor(pixels / (maxSamples || 65536)));
+    const samples = [];
+    for (let p = 0; p < pixels; p += stride) {
+      const i = p * 4;
+      if (d[i + 3] >= 128) samples.push([d[i], d[i + 1], d[i + 2]]);
+    }
+    return samples;
+  }
+
+  /**
+   * Build a palette by median cut: repeatedly split the color box with the
+   * widest channel range at its median.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Image
+   * @param {number} count - Number of colors wanted
+   * @returns {number[][]} Up to `count` [r, g, b] colors
+   */
+  function medianCutPalette(image, count) {
+    const samples = collectColorSamples(image);
+    if (samples.length === 0) return [[0, 0, 0]];
+
+    const describe = (colors) => {
+      let channel = 0, range = -1;
+      for (let c = 0; c < 3; c++) {
+        let lo = 255, hi = 0;
+        for (const color of colors) {
+          if (color[c] < lo) lo = color[c];
+          if (color[c] > hi) hi = color[c];
+        }
+        if (hi - lo > range) { range = hi - lo; channel = c; }
+      }
+      return { colors, channel, range };
+    };
+
+    const boxes = [describe(samples)];
+    while (boxes.length < count) {
+      let pick = -1;
+      boxes.forEach((box, n) => {
+        if (box.range > 0 && (pick < 0 || box.range * box.colors.length > boxes[pick].range * boxes[pick].colors.length)) pick = n;
+      });
+      if (pick < 0) break; // every box holds a single color
+      const box = boxes[pick];
+      const c = box.channel;
+      box.colors.sort((a, b) => a[c] - b[c]);
+      const mid = box.colors.length >> 1;
+      boxes.splice(pick, 1, describe(box.colors.slice(0, mid)), describe(box.colors.slice(mid)));
+    }
+
+    return boxes.map(({ colors }) => {
+      const sum = [0, 0, 0];
+      for (const color of colors) {
+        sum[0] += color[0];
+        sum[1] += color[1];
+        sum[2] += color[2];
+      }
+      return sum.map(v => Math.round(v / colors.length));
+    });
+  }
+
+  /**
+   * Build a palette by k-means clustering, starting from the median-cut
+   * palette so the result is deterministic.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Image
+   * @param {number} count - Number of colors wanted
+   * @param {number} [iterations=8] - Refinement passes
+   * @returns {number[][]} Up to `count` [r, g, b] colors
+   */
+  function kMeansPalette(image, count, iterations) {
+    const samples = collectColorSamples(image, 16384);
+    const centers = medianCutPalette(image, count);
+    if (samples.length === 0) return centers;
+
+    for (let iter = 0; iter < (iterations || 8); iter++) {
+      const sums = centers.map(() => [0, 0, 0, 0]);
+      for (const color of samples) {
+        const s = sums[nearestColorIndex(centers, color[0], color[1], color[2])];
+        s[0] += color[0];
+        s[1] += color[1];
+        s[2] += color[2];
+        s[3]++;
+      }
+      let moved = false;
+      sums.forEach((s, k) => {
+        if (s[3] === 0) return; // empty cluster keeps its center
+        const next = [Math.round(s[0] / s[3]), Math.round(s[1] / s[3]), Math.round(s[2] / s[3])];
+        if (next[0] !== centers[k][0] || next[1] !== centers[k][1] || next[2] !== centers[k][2]) moved = true;
+        centers[k] = next;
+      });
+      if (!moved) break;
+    }
+    return centers;
+  }
+
+  /**
+   * Index of the palette color closest to (r, g, b) (squared RGB distance).
+   * @param {number[][]} palette - [r, g, b] colors
+   * @param {number} r - Red
+   * @param {number} g - Green
+   * @param {number} b - Blue
+   * @returns {number}
+   */
+  function nearestColorIndex(palette, r, g, b) {
+    let best = 0, bestDist = Infinity;
+    for (let k = 0; k < palette.length; k++) {
+      const c = palette[k];
+      const dr = r - c[0], dg = g - c[1], db = b - c[2];
+      const dist = dr * dr + dg * dg + db * db;
+      if (dist < bestDist) { bestDist = dist; best = k; }
+    }
+    return best;
+  }
+
+  /**
+   * Map every pixel of an image to its nearest palette color, optionally
+   * dithered. Alpha is kept; fully transparent pixels are left alone.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Image
+   * @param {number[][]} palette - [r, g, b] colors
+   * @param {string} [method='none'] - 'none', 'floyd-steinberg', 'atkinson' or 'bayer'
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}} New image
+   */
+  function quantizeToPalette(image, palette, method) {
+    const { width, height, data } = image;
+    const out = createImage(width, height);
+    const od = out.data;
+    const kernel = DIFFUSION_KERNELS[method];
+    const work = kernel ? Float32Array.from(data) : null;
+    // Ordered dither spreads each channel by about one palette step
+    const spread = method === 'bayer' ? 255 / Math.max(1, Math.cbrt(palette.length)) : 0;
+    const cache = new Map();
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        od[i + 3] = data[i + 3];
+        if (data[i + 3] === 0) continue;
+
+        let r, g, b;
+        if (work) {
+          r = work[i]; g = work[i + 1]; b = work[i + 2];
+        } else {
+          const offset = spread ? ((BAYER_4X4[(y % 4) * 4 + (x % 4)] + 0.5) / 16 - 0.5) * spread : 0;
+          r = data[i] + offset; g = data[i + 1] + offset; b = data[i + 2] + offset;
+        }
+        r = Math.min(255, Math.max(0, Math.round(r)));
+        g = Math.min(255, Math.max(0, Math.round(g)));
+        b = Math.min(255, Math.max(0, Math.round(b)));
+
+        const key = (r << 16) | (g << 8) | b;
+        let index = cache.get(key);
+        if (index === undefined) {
+          index = nearestColorIndex(palette, r, g, b);
+          cache.set(key, index);
+        }
+        const c = palette[index];
+        od[i] = c[0];
+        od[i + 1] = c[1];
+        od[i + 2] = c[2];
+
+        if (work) {
+          const er = work[i] - c[0], eg = work[i + 1] - c[1], eb = work[i + 2] - c[2];
+          for (const [dx, dy, weight] of kernel) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny >= height) continue;
+            const n = (ny * width + nx) * 4;
+            work[n] += er * weight;
+            work[n + 1] += eg * weight;
+            work[n + 2] += eb * weight;
+          }
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Pick the palette described by Pixel effect parameters.
+   * @param {Object} params - { palette, colors, method, customColors }
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Image
+   *   the automatic palettes are built from
+   * @returns {number[][]|null} Palette, or null to keep the source colors
+   */
+  function resolvePalette(params, image) {
+    if (params.palette === 'auto') {
+      const count = Math.max(2, Math.round(params.colors));
+      return params.method === 'k-means' ? kMeansPalette(image, count) : medianCutPalette(image, count);
+    }
+    if (params.palette === 'custom') {
+      const colors = paletteFromHex(params.customColors || []);
+      return colors.length > 0 ? colors : null;
+    }
+    const fixed = RETRO_PALETTES[params.palette];
+    return fixed ? fixed.colors : null;
+  }
+
+  // ==========================================================================
+  // PAINT PIPELINE
+  // ==========================================================================
+  // An ordered stack of effect steps. Each step paints onto its own
+  // transparent layer, which is then composited onto the result so far with
+  // the step's opacity and blend mode. Steps may repeat and appear in any
+  // order; each gets its own PRNG (derived from the seed and its position),
+  // so toggling one step doesn't reshuffle the others.
+  //
+  // A step is { effect, enabled, opacity (0-1), blend, params }.
+
+  // Blend modes for compositing a step layer onto the image below
+  const BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'add'];
+
+  /**
+   * Blend one channel (all values 0-1).
+   * @param {string} mode - One of BLEND_MODES
+   * @param {number} cb - Backdrop value
+   * @param {number} cs - Layer value
+   * @returns {number}
+   */
+  function blendChannel(mode, cb, cs) {
+    switch (mode) {
+      case 'multiply': return cb * cs;
+      case 'screen': return cb + cs - cb * cs;
+      case 'overlay': return cb <= 0.5 ? 2 * cb * cs : 1 - 2 * (1 - cb) * (1 - cs);
+      case 'darken': return Math.min(cb, cs);
+      case 'lighten': return Math.max(cb, cs);
+      case 'add': return Math.min(1, cb + cs);
+      default: return cs;
+    }
+  }
+
+  /**
+   * Composite a layer onto an image in place.
+   * Where the layer is transparent the image is unchanged.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} base - Image to draw onto
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} layer - Same-size layer
+   * @param {number} opacity - Layer opacity (0-1)
+   * @param {string} mode - One of BLEND_MODES
+   * @returns {void}
+   */
+  function compositeLayer(base, layer, opacity, mode) {
+    const bd = base.data;
+    const ld = layer.data;
+    for (let i = 0; i < bd.length; i += 4) {
+      const a = (ld[i + 3] / 255) * opacity;
+      if (a <= 0) continue;
+      for (let c = 0; c < 3; c++) {
+        const cb = bd[i + c] / 255;
+        const blended = blendChannel(mode, cb, ld[i + c] / 255);
+        bd[i + c] = (cb + (blended - cb) * a) * 255;
+      }
+      bd[i + 3] = bd[i + 3] + (255 - bd[i + 3]) * a;
+    }
+  }
+
+  /**
+   * Visit every block of a block-sampled image, stretching the last row
+   * and column so blocks cover the whole image (no white borders).
+   * @param {{width: number, height: number}} image - Full-size image
+   * @param {{w: number, h: number, size: number}} sample - Block sample
+   * @param {function(number, number, number, number, number, number, number): void} fn
+   *   Called with (sample index, rectX, rectY, rectW, rectH, cx, cy)
+   * @param {function(number): void} [progress] - Receives the completed fraction per row
+   * @returns {void}
+   */
+  function forEachBlock(image, sample, fn, progress) {
+    const size = sample.size;
+    for (let y = 0; y < sample.h; y++) {
+      if (progress) progress(y / sample.h);
+      for (let x = 0; x < sample.w; x++) {
+        const rectX = x * size;
+        const rectY = y * size;
+        const rectW = x === sample.w - 1 ? image.width - rectX : size;
+        const rectH = y === sample.h - 1 ? image.height - rectY : size;
+        fn((y * sample.w + x) * 4, rectX, rectY, rectW, rectH, rectX + rectW / 2, rectY + rectH / 2);
+      }
+    }
+  }
+
+  /**
+   * Average a source image into blocks of a given size (the grid every
+   * block-based effect works on).
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {number} size - Block size in pixels
+   * @returns {{data: Uint8ClampedArray, w: number, h: number, size: number}}
+   */
+  function sampleBlocks(src, size) {
+    size = Math.max(2, Math.round(size));
+    const w = Math.max(Math.floor(src.width / size), 1);
+    const h = Math.max(Math.floor(src.height / size), 1);
+    return { data: downsample(src, w, h).data, w, h, size };
+  }
+
+  /**
+   * Block colors for the Pixel effect, snapped to its palette if it has one.
+   * Quantizing the blocks (not the full image) makes dithering work on
+   * whole blocks, like real pixel art.
+   * @param {{data: Uint8ClampedArray, w: number, h: number}} sample - Block sample
+   * @param {Object} params - Pixel effect parameters
+   * @returns {Uint8ClampedArray} RGBA per block (the sample's own data when unchanged)
+   */
+  function pixelBlockColors(sample, params) {
+    const blocks = { width: sample.w, height: sample.h, data: sample.data };
+    const palette = resolvePalette(params, blocks);
+    return palette ? quantizeToPalette(blocks, palette, params.dither).data : sample.data;
+  }
+
+  // Effect registry. `params` describes each step parameter for UIs: numbers
+  // have min/max/step, choices list `options` ({ value, label }), and
+  // `type: 'colors'` holds a list of '#rrggbb' strings. Params marked
+  // `spatial` are lengths in pixels (scaled with the image for previews).
+  // `render(layer, params, ctx)` paints the step onto a blank layer.
+  const PAINT_EFFECTS = {
+    pixel: {
+      label: 'Pixel',
+      blend: 'normal',
+      params: [
+        { key: 'size', label: 'Block size', min: 2, max: 64, step: 1, default: 8, spatial: true },
+        {
+          key: 'palette',
+          label: 'Palette',
+          options: [{ value: 'none', label: 'Source colors' }, { value: 'auto', label: 'Automatic' }]
+            .concat(Object.keys(RETRO_PALETTES).map(key => ({ value: key, label: RETRO_PALETTES[key].label })))
+            .concat([{ value: 'custom', label: 'Custom (loaded file)' }]),
+          default: 'none'
+        },
+        { key: 'colors', label: 'Colors (automatic)', min: 2, max: 64, step: 1, default: 16 },
+        {
+          key: 'method',
+          label: 'Method (automatic)',
+          options: [{ value: 'median-cut', label: 'Median cut' }, { value: 'k-means', label: 'K-means' }],
+          default: 'median-cut'
+        },
+        {
+          key: 'dither',
+          label: 'Dither',
+          options: [
+            { value: 'none', label: 'None' },
+            { value: 'floyd-steinberg', label: 'Floyd-Steinberg' },
+            { value: 'atkinson', label: 'Atkinson' },
+            { value: 'bayer', label: 'Ordered (Bayer)' }
+          ],
+          default: 'none'
+        },
+        { key: 'customColors', label: 'Custom palette', type: 'colors', default: [] }
+      ],
+      render(layer, params, ctx) {
+        const sample = ctx.sample(params.size);
+        const sd = pixelBlockColors(sample, params);
+        forEachBlock(layer, sample, (i, x, y, w, h) => {
+          fillRect(layer, x, y, w, h, sd[i], sd[i + 1], sd[i + 2], sd[i + 3] / 255);
+        }, ctx.progress);
+      }
+    },
+    brush: {
+      label: 'Brush',
+      blend: 'normal',
+      params: [
+        { key: 'size', label: 'Brush size', min: 2, max: 64, step: 1, default: 8, spatial: true },
+        { key: 'strength', label: 'Strength', min: 0, max: 1, step: 0.01, default: 0.7 }
+      ],
+      render(layer, params, ctx) {
+        const sample = ctx.sample(params.size);
+        const sd = sample.data;
+        const size = sample.size;
+        const random = ctx.random;
+        const strokes = Math.max(1, Math.round(size / 2));
+        forEachBlock(layer, sample, (i, x, y, w, h, cx, cy) => {
+          for (let s = 0; s < strokes; s++) {
+            const jitterX = (random() - 0.5) * size * 0.6;
+            const jitterY = (random() - 0.5) * size * 0.6;
+            const radius = size * (0.45 + random() * 0.4);
+            fillCircle(layer, cx + jitterX, cy + jitterY, radius, sd[i], sd[i + 1], sd[i + 2], (sd[i + 3] / 255) * params.strength);
+          }
+        }, ctx.progress);
+      }
+    },
+    impression: {
+      label: 'Impression',
+      blend: 'normal',
+      params: [
+        { key: 'size', label: 'Dab size', min: 2, max: 64, step: 1, default: 8, spatial: true },
+        { key: 'density', label: 'Density', min: 0, max: 1, step: 0.01, default: 0.25 }
+      ],
+      render(layer, params, ctx) {
+        const sample = ctx.sample(params.size);
+        const sd = sample.data;
+        const size = sample.size;
+        const random = ctx.random;
+        forEachBlock(layer, sample, (i, x, y, w, h, cx, cy) => {
+          if (random() >= params.density) return;
+          fillCircle(
+            layer,
+            cx + (random() - 0.5) * size,
+            cy + (random() - 0.5) * size,
+            size * 0.8,
+            Math.min(255, sd[i] + 20), Math.min(255, sd[i + 1] + 10), sd[i + 2], (sd[i + 3] / 255) * 0.9
+          );
+        }, ctx.progress);
+      }
+    },
+    watercolor: {
+      label: 'Watercolor',
+      blend: 'add',
+      params: [
+        { key: 'size', label: 'Wash size', min: 2, max: 64, step: 1, default: 8, spatial: true },
+        { key: 'strength', label: 'Strength', min: 0, max: 0.5, step: 0.01, default: 0.12 }
+      ],
+      render(layer, params, ctx) {
+        const sample = ctx.sample(params.size);
+        const sd = sample.data;
+        forEachBlock(layer, sample, (i, x, y, w, h, cx, cy) => {
+          fillCircle(layer, cx, cy, sample.size, sd[i], sd[i + 1], sd[i + 2], params.strength * (sd[i + 3] / 255 + 0.2), 'lighter');
+        }, ctx.progress);
+      }
+    },
+    oil: {
+      label: 'Oil paint',
+      blend: 'normal',
+      params: [
+        { key: 'radius', label: 'Radius', min: 2, max: 20, step: 1, default: 6, spatial: true },
+        { key: 'sharpness', label: 'Sharpness', min: 1, max: 16, step: 1, default: 8 }
+      ],
+      render(layer, params, ctx) {
+        // Full-resolution filter of the source (not the block samples)
+        const filtered = anisotropicKuwahara(ctx.source, {
+          radius: params.radius,
+          sharpness: params.sharpness,
+          onProgress: ctx.progress
+        });
+        layer.data.set(filtered.data);
+      }
+    },
+    strokes: {
+      label: 'Flow strokes',
+      blend: 'normal',
+      params: [
+        { key: 'length', label: 'Stroke length', min: 2, max: 80, step: 1, default: 16, spatial: true },
+        { key: 'width', label: 'Stroke width', min: 1, max: 32, step: 1, default: 4, spatial: true },
+        { key: 'layers', label: 'Layers', min: 1, max: 4, step: 1, default: 3 }
+      ],
+      render(layer, params, ctx) {
+        paintFlowStrokes(layer, ctx.source, {
+          length: params.length,
+          width: params.width,
+          layers: params.layers,
+          sample: ctx.sample,
+          random: ctx.random,
+          onProgress: ctx.progress
+        });
+      }
+    },
+    sketch: {
+      label: 'Pencil sketch',
+      blend: 'normal',
+      params: [
+        { key: 'lineWeight', label: 'Line weight', min: 1, max: 8, step: 0.5, default: 2, spatial: true },
+        { key: 'hatching', label: 'Hatching', min: 0, max: 1, step: 0.01, default: 0.5 },
+        { key: 'paper', label: 'Paper tint', min: 0, max: 1, step: 0.01, default: 0.3 }
+      ],
+      render(layer, params, ctx) {
+        const sketch = renderSketch(ctx.source, {
+          lineWeight: params.lineWeight,
+          hatching: params.hatching,
+          paper: params.paper,
+          random: ctx.random,
+          onProgress: ctx.progress
+        });
+        layer.data.set(sketch.data);
+      }
+    },
+    halftone: {
+      label: 'Halftone',
+      blend: 'normal',
+      params: [
+        { key: 'size', label: 'Cell size', min: 2, max: 64, step: 1, default: 8, spatial: true },
+        {
+          key: 'inks',
+          label: 'Inks',
+          options: [{ value: 'mono', label: 'Single color' }, { value: 'cmyk', label: 'CMYK' }],
+          default: 'mono'
+        },
+        { key: 'angle', label: 'Black angle', min: 0, max: 90, step: 1, default: CMYK_SCREEN_ANGLES.black },
+        { key: 'cyanAngle', label: 'Cyan angle', min: 0, max: 90, step: 1, default: CMYK_SCREEN_ANGLES.cyan },
+        { key: 'magentaAngle', label: 'Magenta angle', min: 0, max: 90, step: 1, default: CMYK_SCREEN_ANGLES.magenta },
+        { key: 'yellowAngle', label: 'Yellow angle', min: 0, max: 90, step: 1, default: CMYK_SCREEN_ANGLES.yellow }
+      ],
+      render(layer, params, ctx) {
+        // Dot sizes come from the block sample (cell-sized averages)
+        const sample = ctx.sample(params.size);
+        const sd = sample.data;
+        const cell = sample.size;
+        const { width, height } = layer;
+        const at = (x, y) => {
+          const sx = Math.min(sample.w - 1, Math.floor(x / cell));
+          const sy = Math.min(sample.h - 1, Math.floor(y / cell));
+          return (sy * sample.w + sx) * 4;
+        };
+        // Ink amounts per sample: CMY with full black replacement, or gray
+        const inkOf = (i, channel) => {
+          const alpha = sd[i + 3] / 255;
+          const r = sd[i] / 255, g = sd[i + 1] / 255, b = sd[i + 2] / 255;
+          if (params.inks === 'mono') return alpha * (1 - brightness(sd[i], sd[i + 1], sd[i + 2]));
+          const k = 1 - Math.max(r, g, b);
+          if (channel === 3) return alpha * k;
+          if (k >= 1) return 0;
+          return alpha * (1 - [r, g, b][channel] - k) / (1 - k);
+        };
+
+        const screens = params.inks === 'mono'
+          ? [{ channel: 3, angle: params.angle }]
+          : [
+            { channel: 0, angle: params.cyanAngle },
+            { channel: 1, angle: params.magentaAngle },
+            { channel: 2, angle: params.yellowAngle },
+            { channel: 3, angle: params.angle }
+          ];
+        const fields = [null, null, null, null];
+        screens.forEach((screen, n) => {
+          const field = fields[screen.channel] = new Float32Array(width * height);
+          halftoneScreen(field, width, height, cell, screen.angle,
+            (x, y) => inkOf(at(x, y), screen.channel),
+            fraction => ctx.progress((n + fraction) / screens.length));
+        });
+
+        // Subtractive inks on white paper: C absorbs red, M green, Y blue
+        const d = layer.data;
+        for (let p = 0, o = 0; p < width * height; p++, o += 4) {
+          const k = 1 - fields[3][p];
+          d[o] = 255 * k * (fields[0] ? 1 - fields[0][p] : 1);
+          d[o + 1] = 255 * k * (fields[1] ? 1 - fields[1][p] : 1);
+          d[o + 2] = 255 * k * (fields[2] ? 1 - fields[2][p] : 1);
+          d[o + 3] = 255;
+        }
+      }
+    },
+    pointillism: {
+      label: 'Pointillism',
+      blend: 'normal',
+      params: [
+        { key: 'size', label: 'Cell size', min: 2, max: 64, step: 1, default: 8, spatial: true },
+        { key: 'density', label: 'Density', min: 0.1, max: 1, step: 0.01, default: 0.6 },
+        { key: 'variation', label: 'Variation', min: 0, max: 1, step: 0.01, default: 0.5 }
+      ],
+      render(layer, params, ctx) {
+        const sample = ctx.sample(params.size);
+        const sd = sample.data;
+        const size = sample.size;
+        const random = ctx.random;
+        const dots = Math.max(1, Math.round(params.density * 6));
+        const jitter = params.variation * 60;
+        const shift = v => Math.min(255, Math.max(0, v + (random() - 0.5) * jitter));
+        forEachBlock(layer, sample, (i, x, y, w, h) => {
+          for (let n = 0; n < dots; n++) {
+            const radius = size * (0.3 - params.variation * 0.15 + random() * (0.1 + params.variation * 0.3));
+            // Each dot shifts the cell color a little, so neighbours mix optically
+            fillCircle(
+              layer,
+              x + random() * w,
+              y + random() * h,
+              radius,
+              shift(sd[i]),
+              shift(sd[i + 1]),
+              shift(sd[i + 2]),
+              sd[i + 3] / 255
+            );
+          }
+        }, ctx.progress);
+      }
+    },
+    texture: {
+      label: 'Canvas texture',
+      blend: 'overlay',
+      params: [
+        { key: 'strength', label: 'Strength', min: 0, max: 1, step: 0.01, default: 0.4 }
+      ],
+      render(layer, params, ctx) {
+        // Light grain; its alpha follows the same curve as the legacy texture pass
+        const texAlpha = Math.floor(10 + params.strength * 40) / 255;
+        const globalAlpha = Math.min(0.95, 0.3 + params.strength * 0.7);
+        const alpha = Math.round(texAlpha * globalAlpha * 255);
+        const d = layer.data;
+        const rowBytes = layer.width * 4;
+        for (let i = 0; i < d.length; i += 4) {
+          if (i % rowBytes === 0) ctx.progress(i / d.length);
+          const v = 230 + Math.floor(ctx.random() * 25);
+          d[i] = d[i + 1] = d[i + 2] = v;
+          d[i + 3] = alpha;
+        }
+      }
+    }
+  };
+
+  /**
+   * Fill in defaults and clamp a pipeline step.
+   * @param {Object} step - { effect, enabled?, opacity?, blend?, params? }
+   * @returns {{effect: string, enabled: boolean, opacity: number, blend: string, params: Object}}
+   * @throws {Error} For an unknown effect
+   */
+  function normalizePipelineStep(step) {
+    const def = step && PAINT_EFFECTS[step.effect];
+    if (!def) throw new Error('Unknown paint effect "' + (step && step.effect) + '"');
+    const params = {};
+    def.params.forEach((p) => {
+      const raw = step.params ? step.params[p.key] : undefined;
+      if (p.options) {
+        params[p.key] = p.options.some(o => o.value === raw) ? raw : p.default;
+      } else if (p.type === 'colors') {
+        params[p.key] = Array.isArray(raw)
+          ? paletteFromHex(raw).slice(0, MAX_PALETTE_COLORS).map(toHexColor)
+          : p.default.slice();
+      } else {
+        const v = Number(raw);
+        params[p.key] = Number.isFinite(v) ? Math.min(p.max, Math.max(p.min, v)) : p.default;
+      }
+    });
+    const opacity = Number(step.opacity);
+    return {
+      effect: step.effect,
+      enabled: step.enabled !== false,
+      opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1,
+      blend: BLEND_MODES.includes(step.blend) ? step.blend : def.blend,
+      params
+    };
+  }
+
+  /**
+   * Build a pipeline equivalent to the legacy effect checkboxes.
+   * (Same effects and parameters; the random jitter differs.)
+   * @param {Object} opts - Legacy paint options (pixel, brush, ..., pixelSize)
+   * @returns {Object[]} Pipeline steps
+   */
+  function pipelineFromLegacy(opts) {
+    const size = Math.max(2, Math.round(opts.pixelSize || 8));
+    const steps = [];
+    if (opts.pixel) steps.push({ effect: 'pixel', params: { size } });
+    if (opts.brush) steps.push({ effect: 'brush', params: { size, strength: opts.brushStrength || 0.7 } });
+    if (opts.impression) steps.push({ effect: 'impression', params: { size } });
+    if (opts.watercolor) steps.push({ effect: 'watercolor', params: { size } });
+    if (opts.gallery || opts.textureStrength) steps.push({ effect: 'texture', params: { strength: opts.textureStrength || 0 } });
+    return steps.map(normalizePipelineStep);
+  }
+
+  /**
+   * Scale the pixel-length parameters of a pipeline, e.g. to preview it on a
+   * reduced copy of the image.
+   * @param {Object[]} pipeline - Pipeline steps
+   * @param {number} factor - Scale factor
+   * @returns {Object[]} New, normalized steps
+   */
+  function scalePipeline(pipeline, factor) {
+    return pipeline.map((step) => {
+      const s = normalizePipelineStep(step);
+      PAINT_EFFECTS[s.effect].params.forEach((p) => {
+        if (p.spatial) s.params[p.key] = Math.max(p.min, Math.round(s.params[p.key] * factor / p.step) * p.step);
+      });
+      return s;
+    });
+  }
+
+  /**
+   * Render a paint pipeline over a white canvas.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object[]} pipeline - Effect steps, bottom to top
+   * @param {Object} opts - { seed, onProgress }
+   * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+   */
+  function renderPaintPipeline(src, pipeline, opts) {
+    const steps = pipeline.map(normalizePipelineStep);
+    const active = steps.filter(step => step.enabled && step.opacity > 0);
+    const out = createImage(src.width, src.height, [255, 255, 255, 255]);
+    const seed = seedToInt(opts.seed === undefined ? 0 : opts.seed);
+
+    // Block samples are shared by steps using the same size
+    const samples = new Map();
+    const sample = (size) => {
+      size = Math.max(2, Math.round(size));
+      if (!samples.has(size)) samples.set(size, sampleBlocks(src, size));
+      return samples.get(size);
+    };
+
+    active.forEach((step, n) => {
+      const layer = createImage(src.width, src.height);
+      const position = steps.indexOf(step);
+      PAINT_EFFECTS[step.effect].render(layer, step.params, {
+        source: src,
+        base: out,
+        sample,
+        random: createRandom((seed + Math.imul(position + 1, 0x9E3779B9)) >>> 0),
+        progress: fraction => reportProgress(opts, (n + fraction) / active.length)
+      });
+      compositeLayer(out, layer, step.opacity, step.blend);
+    });
+
+    reportProgress(opts, 1);
+    return out;
+  }
+
+  // ==========================================================================
+  // SVG EXPORT
+  // ==========================================================================
+  // Vector versions of results whose structure is simple enough to describe
+  // exactly: pixel art (one rect per block) and ASCII (one text element per
+  // row). `scale` sets the SVG's display size; coordinates stay in image pixels.
+
+  /**
+   * Escape a string for an XML attribute value or text content.
+   * @param {string} str - Raw text
+   * @returns {string}
+   */
+  function escapeXML(str) {
+    return Array.from(String(str)).map(ch => (ch === '"' ? '&quot;' : escapeHTML(ch))).join('');
+  }
+
+  /**
+   * Opening <svg> tag sized for an image and a display scale.
+   * @param {number} width - Image width (viewBox units)
+   * @param {number} height - Image height (viewBox units)
+   * @param {number} [scale=1] - Display scale
+   * @returns {string}
+   */
+  function svgHeader(width, height, scale) {
+    const s = Number(scale) > 0 ? Number(scale) : 1;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width * s}" height="${height * s}" ` +
+      `viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">\n`;
+  }
+
+  /**
+   * Export the Pixel effect as SVG: one rect per block over white paper.
+   * Gives the same blocks (and palette) as the raster Pixel step.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+   * @param {Object} step - Pixel pipeline step (see normalizePipelineStep)
+   * @param {Object} [opts] - Export options
+   * @param {number} [opts.scale=1] - Display scale
+   * @param {Object} [opts.output] - Output size, as for convertToPaint
+   * @returns {string} SVG source
+   */
+  function pixelArtToSVG(src, step, opts) {
+    opts = opts || {};
+    step = normalizePipelineStep(step);
+    if (step.effect !== 'pixel') throw new Error('SVG export needs a Pixel step');
+    const size = resolveOutputSize(src, opts.output);
+    if (size.width !== src.width || size.height !== src.height) {
+      step = scalePipeline([step], Math.sqrt((size.width / src.width) * (size.height / src.height)))[0];
+      src = resizeImage(src, size.width, size.height);
+    }
+    const sample = sampleBlocks(src, step.params.size);
+    const sd = pixelBlockColors(sample, step.params);
+    const parts = [svgHeader(src.width, src.height, opts.scale), `<rect width="${src.width}" height="${src.height}" fill="#fff"/>\n`];
+    forEachBlock(src, sample, (i, x, y, w, h) => {
+      const alpha = (sd[i + 3] / 255) * step.opacity;
+      if (alpha <= 0) return;
+      const opacity = alpha < 1 ? ` fill-opacity="${+alpha.toFixed(3)}"` : '';
+      parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${toHexColor([sd[i], sd[i + 1], sd[i + 2]])}"${opacity}/>\n`);
+    });
+    parts.push('</svg>\n');
+    return parts.join('');
+  }
+
+  /**
+   * Export an ASCII result as SVG text: one <text> per row, with a tspan per
+   * run of same-colored characters, each character centered in its cell.
+   * @param {{text: string, cols: number, rows: number, colors: Uint8ClampedArray,
+   *   bgColors: (Uint8ClampedArray|null), background: string, image: Object}} result - Result of convertToASCII
+   * @param {Object} [opts] - Export options
+   * @param {boolean} [opts.color=true] - Use cell colors (otherwise plain ink)
+   * @param {string} [opts.fontFamily='monospace'] - CSS font family
+   * @param {number} [opts.scale=1] - Display scale
+   * @returns {string} SVG source
+   */
+  function asciiToSVG(result, opts) {
+    opts = opts || {};
+    const width = result.image.width;
+    const height = result.image.height;
+    // Same cell grid the raster conversion drew on
+    const cellW = Math.floor(width / result.cols) || width / result.cols;
+    const cellH = Math.floor(height / result.rows) || height / result.rows;
+    // Monospace advance is about 0.6em; fit the glyph inside the cell
+    const fontSize = +Math.min(cellH, cellW / 0.6).toFixed(2);
+    const background = result.background || '#fff';
+    const ink = background === '#000' ? '#fff' : '#000';
+    const useColor = opts.color !== false;
+    const hexAt = (colors, cell) => toHexColor([colors[cell * 3], colors[cell * 3 + 1], colors[cell * 3 + 2]]);
+    const coord = v => +v.toFixed(2);
+
+    const parts = [svgHeader(width, height, opts.scale), `<rect width="${width}" height="${height}" fill="${background}"/>\n`];
+    const rows = asciiRows(result);
+
+    // Cell backgrounds (color half-blocks), merged into runs per row
+    if (result.bgColors) {
+      rows.forEach((chars, y) => {
+        let start = 0;
+        for (let x = 1; x <= chars.length; x++) {
+          const fill = hexAt(result.bgColors, y * result.cols + start);
+          if (x < chars.length && hexAt(result.bgColors, y * result.cols + x) === fill) continue;
+          parts.push(`<rect x="${coord(start * cellW)}" y="${coord(y * cellH)}" width="${coord((x - start) * cellW)}" height="${coord(cellH)}" fill="${fill}"/>\n`);
+          start = x;
+        }
+      });
+    }
+
+    parts.push(`<g font-family="${escapeXML(opts.fontFamily || 'monospace')}" font-size="${fontSize}" text-anchor="middle">\n`);
+    rows.forEach((chars, y) => {
+      const spans = [];
+      let run = null;
+      chars.forEach((ch, x) => {
+        if (ch === ' ' || ch === '\u2800') { run = null; return; }
+        const fill = useColor ? hexAt(result.colors, y * result.cols + x) : ink;
+        if (!run || run.fill !== fill) {
+          run = { fill, xs: [], text: '' };
+          spans.push(run);
+        }
+        run.xs.push(coord((x + 0.5) * cellW));
+        run.text += escapeXML(ch);
+      });
+      if (spans.length === 0) return;
+      const baseline = coord(y * cellH + cellH * 0.8);
+      parts.push(`<text y="${baseline}">` +
+        spans.map(sp => `<tspan x="${sp.xs.join(' ')}" fill="${sp.fill}">${sp.text}</tspan>`).join('') +
+        '</text>\n');
+    });
+    parts.push('</g>\n</svg>\n');
+    return parts.join('');
+  }
+
+  return {
+    ASCII_CHARS,
+    RAMP_PRESETS,
+    EDGE_CHARS,
+    createImage,
+    downsample,
+    resizeImage,
+    MAX_OUTPUT_SIDE,
+    resolveOutputSize,
+    seedToInt,
+    createRandom,
+    randomSeed,
+    brightness,
+    reportProgress,
+    blendPixel,
+    fillRect,
+    fillCircle,
+    overlayPixel,
+    createBitmapGlyphSource,
+    createCanvasGlyphSource,
+    drawGlyph,
+    glyphCoverage,
+    orderRampByCoverage,
+    applyTone,
+    quantizeLevels,
+    sobelGrid,
+    edgeMask,
+    edgeChar,
+    convertToASCII,
+    convertToBraille,
+    convertToHalfBlock,
+    asciiToHTML,
+    asciiToANSI,
+    rgbToAnsi256,
+    convertToPaint,
+    applyPaintEffects,
+    BLEND_MODES,
+    PAINT_EFFECTS,
+    compositeLayer,
+    normalizePipelineStep,
+    pipelineFromLegacy,
+    scalePipeline,
+    renderPaintPipeline,
+    sampleBlocks,
+    pixelArtToSVG,
+    asciiToSVG,
+    structureTensor,
+    anisotropicKuwahara,
+    paintFlowStrokes,
+    renderSketch,
+    CMYK_SCREEN_ANGLES,
+    RETRO_PALETTES,
+    parseHexColor,
+    toHexColor,
+    parsePaletteFile,
+    medianCutPalette,
+    kMeansPalette,
+    quantizeToPalette
+  };
+});
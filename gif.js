@@ -0,0 +1,518 @@
+// ============================================================================
+// IMAGE STYLER GIF CODEC
+// ============================================================================
+// Reads and writes animated GIFs for the page, with no dependencies.
+//
+// decodeGIF composites every frame onto the logical screen (honouring
+// transparency and the disposal methods), so each decoded frame is a full
+// RGBA image shaped like ImageData: { width, height, data }.
+// encodeGIF writes full-size frames, each with its own color table; the
+// caller picks the palettes (e.g. with ImageStylerEngine.medianCutPalette).
+//
+// Works in the page, in workers and under Node, like engine.js:
+//   const anim = ImageStylerGIF.decodeGIF(bytes);
+//   const bytes = ImageStylerGIF.encodeGIF(frames, { loop: 0 });
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ImageStylerGIF = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MAX_CODE = 4095; // GIF LZW codes are at most 12 bits
+  // Browsers play frames with a delay of 0-10 ms at this speed instead
+  const MIN_FRAME_DELAY = 20;
+  const DEFAULT_FRAME_DELAY = 100;
+
+  /**
+   * Whether a byte sequence starts with a GIF signature.
+   * @param {Uint8Array} bytes - File contents
+   * @returns {boolean}
+   */
+  function isGIF(bytes) {
+    return bytes.length >= 6 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 &&
+      bytes[3] === 0x38 && (bytes[4] === 0x37 || bytes[4] === 0x39) && bytes[5] === 0x61;
+  }
+
+  // ============================================================================
+  // DECODING
+  // ============================================================================
+
+  /**
+   * Read a color table of `size` entries.
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} pos - Offset of the table
+   * @param {number} size - Number of colors
+   * @returns {Uint8Array} RGB triples
+   */
+  function readColorTable(bytes, pos, size) {
+    if (pos + size * 3 > bytes.length) throw new Error('Corrupt GIF: truncated color table');
+    return bytes.subarray(pos, pos + size * 3);
+  }
+
+  /**
+   * Join a chain of data sub-blocks.
+   * @param {Uint8Array} bytes - File contents
+   * @param {number} pos - Offset of the first sub-block's length byte
+   * @returns {{data: Uint8Array, end: number}} Joined data and the offset after the terminator
+   */
+  function readSubBlocks(bytes, pos) {
+    const parts = [];
+    let total = 0;
+    while (pos < bytes.length) {
+      const len = bytes[pos++];
+      if (len === 0) break;
+      parts.push(bytes.subarray(pos, Math.min(pos + len, bytes.length)));
+      total += len;
+      pos += len;
+    }
+    const data = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach((part) => { data.set(part, offset); offset += part.length; });
+    return { data: data.subarray(0, offset), end: pos };
+  }
+
+  /**
+   * Decompress GIF LZW image data into color indices.
+   * Missing data leaves the remaining pixels at index 0, as browsers do.
+   * @param {Uint8Array} data - Joined sub-block data
+   * @param {number} minCodeSize - LZW minimum code size (2-8)
+   * @param {number} pixelCount - Number of indices expected
+   * @returns {Uint8Array}
+   */
+  function lzwDecode(data, minCodeSize, pixelCount) {
+    const out = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    // Each code is stored as (prefix code, last byte); first byte kept for KwKwK
+    const prefix = new Int16Array(MAX_CODE + 1);
+    const suffix = new Uint8Array(MAX_CODE + 1);
+    const first = new Uint8Array(MAX_CODE + 1);
+    const length = new Uint16Array(MAX_CODE + 1);
+    for (let c = 0; c < clearCode; c++) {
+      prefix[c] = -1;
+      suffix[c] = c;
+      first[c] = c;
+      length[c] = 1;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let prev = -1;
+    let bits = 0, bitCount = 0, pos = 0, written = 0;
+
+    while (written < pixelCount) {
+      while (bitCount < codeSize && pos < data.length) {
+        bits |= data[pos++] << bitCount;
+        bitCount += 8;
+      }
+      if (bitCount < codeSize) break;
+      const code = bits & ((1 << codeSize) - 1);
+      bits >>>= codeSize;
+      bitCount -= codeSize;
+
+      if (code === clearCode) {
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+        prev = -1;
+        continue;
+      }
+      if (code === endCode) break;
+
+      let entry;
+      if (code < nextCode) {
+        entry = code;
+      } else if (code === nextCode && prev >= 0) {
+        entry = -1; // KwKwK: the previous string plus its own first byte
+      } else {
+        break; // corrupt stream
+      }
+
+      if (prev >= 0 && nextCode <= MAX_CODE) {
+        prefix[nextCode] = prev;
+        suffix[nextCode] = entry < 0 ? first[prev] : first[entry];
+        first[nextCode] = first[prev];
+        length[nextCode] = length[prev] + 1;
+        if (entry < 0) entry = nextCode;
+        nextCode++;
+        if (nextCode === 1 << codeSize && codeSize < 12) codeSize++;
+      }
+      if (entry < 0) break;
+
+      // Write the string backwards from its last byte
+      const len = length[entry];
+      const room = pixelCount - written;
+      let c = entry;
+      for (let k = len - 1; k >= 0; k--) {
+        if (k < room) out[written + k] = suffix[c];
+        c = prefix[c];
+      }
+      written += Math.min(len, room);
+      prev = entry;
+    }
+    return out;
+  }
+
+  /**
+   * Decode a GIF file into fully composited RGBA frames.
+   * @param {Uint8Array} bytes - GIF file contents
+   * @returns {{width: number, height: number, loop: number,
+   *   frames: {image: {width: number, height: number, data: Uint8ClampedArray}, delay: number}[]}}
+   *   `loop` is the repeat count (0 = forever); `delay` is in milliseconds
+   * @throws {Error} If the data is not a GIF or holds no frames
+   */
+  function decodeGIF(bytes) {
+    if (!isGIF(bytes)) throw new Error('Not a GIF file');
+    if (bytes.length < 13) throw new Error('Corrupt GIF: truncated header');
+
+    const width = bytes[6] | (bytes[7] << 8);
+    const height = bytes[8] | (bytes[9] << 8);
+    if (!width || !height) throw new Error('Corrupt GIF: empty logical screen');
+    const packed = bytes[10];
+    let pos = 13;
+    let globalTable = null;
+    if (packed & 0x80) {
+      const size = 1 << ((packed & 0x07) + 1);
+      globalTable = readColorTable(bytes, pos, size);
+      pos += size * 3;
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let loop = 1; // without a NETSCAPE extension the animation plays once
+    let control = null; // pending graphic control extension
+
+    while (pos < bytes.length) {
+      const block = bytes[pos++];
+      if (block === 0x3B) break; // trailer
+
+      if (block === 0x21) {
+        const label = bytes[pos++];
+        if (label === 0xF9 && bytes[pos] >= 4) {
+          const flags = bytes[pos + 1];
+          control = {
+            disposal: (flags >> 2) & 0x07,
+            transparent: flags & 0x01 ? bytes[pos + 4] : -1,
+            delay: (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10
+          };
+        }
+        const ext = readSubBlocks(bytes, pos);
+        if (label === 0xFF && ext.data.length >= 14) {
+          const id = String.fromCharCode.apply(null, ext.data.subarray(0, 11));
+          if ((id === 'NETSCAPE2.0' || id === 'ANIMEXTS1.0') && ext.data[11] === 1) {
+            loop = ext.data[12] | (ext.data[13] << 8);
+          }
+        }
+        pos = ext.end;
+        continue;
+      }
+
+      if (block !== 0x2C) break; // unknown block: stop with what we have
+      if (pos + 9 > bytes.length) break;
+
+      const left = bytes[pos] | (bytes[pos + 1] << 8);
+      const top = bytes[pos + 2] | (bytes[pos + 3] << 8);
+      const fw = bytes[pos + 4] | (bytes[pos + 5] << 8);
+      const fh = bytes[pos + 6] | (bytes[pos + 7] << 8);
+      const flags = bytes[pos + 8];
+      pos += 9;
+      let table = globalTable;
+      if (flags & 0x80) {
+        const size = 1 << ((flags & 0x07) + 1);
+        table = readColorTable(bytes, pos, size);
+        pos += size * 3;
+      }
+      if (!table) throw new Error('Corrupt GIF: frame without a color table');
+      const minCodeSize = bytes[pos++];
+      if (minCodeSize < 2 || minCodeSize > 8) throw new Error('Corrupt GIF: bad LZW code size');
+      const sub = readSubBlocks(bytes, pos);
+      pos = sub.end;
+
+      const gce = control || { disposal: 0, transparent: -1, delay: 0 };
+      control = null;
+      const indices = lzwDecode(sub.data, minCodeSize, fw * fh);
+      const saved = gce.disposal === 3 ? canvas.slice() : null;
+
+      // Interlaced rows arrive in four passes
+      const rowOrder = new Array(fh);
+      if (flags & 0x40) {
+        let row = 0;
+        [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+          for (let y = start; y < fh; y += step) rowOrder[row++] = y;
+        });
+      } else {
+        for (let y = 0; y < fh; y++) rowOrder[y] = y;
+      }
+
+      const colors = table.length / 3;
+      for (let row = 0; row < fh; row++) {
+        const y = top + rowOrder[row];
+        if (y >= height) continue;
+        for (let x = 0; x < fw; x++) {
+          const cx = left + x;
+          if (cx >= width) break;
+          const index = indices[row * fw + x];
+          if (index === gce.transparent || index >= colors) continue;
+          const o = (y * width + cx) * 4;
+          canvas[o] = table[index * 3];
+          canvas[o + 1] = table[index * 3 + 1];
+          canvas[o + 2] = table[index * 3 + 2];
+          canvas[o + 3] = 255;
+        }
+      }
+
+      frames.push({
+        image: { width, height, data: canvas.slice() },
+        delay: gce.delay < MIN_FRAME_DELAY ? DEFAULT_FRAME_DELAY : gce.delay
+      });
+
+      if (gce.disposal === 2) {
+        // Restore to background: browsers clear to transparent
+        for (let y = top; y < Math.min(height, top + fh); y++) {
+          canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + fw)) * 4);
+        }
+      } else if (saved) {
+        canvas.set(saved);
+      }
+    }
+
+    if (frames.length === 0) throw new Error('Corrupt GIF: no frames');
+    return { width, height, loop, frames };
+  }
+
+  // ============================================================================
+  // ENCODING
+  // ============================================================================
+
+  /**
+   * Growable byte buffer.
+   * @param {number} [capacity=4096] - Initial size
+   */
+  function ByteWriter(capacity) {
+    this.bytes = new Uint8Array(capacity || 4096);
+    this.length = 0;
+  }
+
+  ByteWriter.prototype.byte = function (value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  };
+
+  ByteWriter.prototype.word = function (value) {
+    this.byte(value & 0xFF);
+    this.byte((value >> 8) & 0xFF);
+  };
+
+  ByteWriter.prototype.text = function (str) {
+    for (let i = 0; i < str.length; i++) this.byte(str.charCodeAt(i));
+  };
+
+  /**
+   * LZW-compress color indices and append them as data sub-blocks.
+   * @param {ByteWriter} out - Output buffer
+   * @param {Uint8Array} indices - Color indices
+   * @param {number} minCodeSize - LZW minimum code size (2-8)
+   * @returns {void}
+   */
+  function lzwEncode(out, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    // (prefix code << 8 | next byte) -> code
+    let dict = new Map();
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+
+    const block = new Uint8Array(255);
+    let blockLen = 0;
+    let bits = 0, bitCount = 0;
+    const emit = (code) => {
+      bits |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block[blockLen++] = bits & 0xFF;
+        bits >>>= 8;
+        bitCount -= 8;
+        if (blockLen === 255) {
+          out.byte(255);
+          for (let i = 0; i < 255; i++) out.byte(block[i]);
+          blockLen = 0;
+        }
+      }
+    };
+
+    out.byte(minCodeSize);
+    emit(clearCode);
+    let prefix = indices.length ? indices[0] : 0;
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      const code = dict.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      emit(prefix);
+      if (nextCode <= MAX_CODE) {
+        dict.set(key, nextCode++);
+        if (nextCode > 1 << codeSize && codeSize < 12) codeSize++;
+      } else {
+        emit(clearCode);
+        dict = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      }
+      prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+      block[blockLen++] = bits & 0xFF;
+      if (blockLen === 255) {
+        out.byte(255);
+        for (let i = 0; i < 255; i++) out.byte(block[i]);
+        blockLen = 0;
+      }
+    }
+    if (blockLen > 0) {
+      out.byte(blockLen);
+      for (let i = 0; i < blockLen; i++) out.byte(block[i]);
+    }
+    out.byte(0);
+  }
+
+  /**
+   * Map an image's pixels to palette indices. Pixels with alpha below 128
+   * get `transparentIndex`; others their exact palette color, or the
+   * nearest one when the image was not quantized to this palette.
+   * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Frame
+   * @param {number[][]} palette - [r, g, b] colors
+   * @param {number} transparentIndex - Index for transparent pixels (-1 if none)
+   * @returns {Uint8Array}
+   */
+  function indexPixels(image, palette, transparentIndex) {
+    const d = image.data;
+    const indices = new Uint8Array(image.width * image.height);
+    const lookup = new Map();
+    palette.forEach((c, k) => {
+      const key = (c[0] << 16) | (c[1] << 8) | c[2];
+      if (!lookup.has(key)) lookup.set(key, k);
+    });
+    for (let p = 0; p < indices.length; p++) {
+      const i = p * 4;
+      if (transparentIndex >= 0 && d[i + 3] < 128) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+      const key = (d[i] << 16) | (d[i + 1] << 8) | d[i + 2];
+      let index = lookup.get(key);
+      if (index === undefined) {
+        let best = Infinity;
+        palette.forEach((c, k) => {
+          const dr = d[i] - c[0], dg = d[i + 1] - c[1], db = d[i + 2] - c[2];
+          const dist = dr * dr + dg * dg + db * db;
+          if (dist < best) { best = dist; index = k; }
+        });
+        lookup.set(key, index);
+      }
+      indices[p] = index;
+    }
+    return indices;
+  }
+
+  /**
+   * Encode frames as an animated GIF. Every frame covers the whole image
+   * and carries its own color table.
+   * @param {{image: {width: number, height: number, data: Uint8ClampedArray},
+   *   palette: number[][], delay: number}[]} frames - Frames with their
+   *   palettes (at most 255 colors when the frame has transparent pixels,
+   *   256 otherwise) and delays in milliseconds
+   * @param {Object} [options]
+   * @param {number} [options.loop=0] - Repeat count (0 = forever)
+   * @returns {Uint8Array} GIF file contents
+   * @throws {Error} If there are no frames or their sizes differ
+   */
+  function encodeGIF(frames, options) {
+    const opts = options || {};
+    if (!frames.length) throw new Error('No frames to encode');
+    const { width, height } = frames[0].image;
+    if (width > 0xFFFF || height > 0xFFFF) throw new Error('GIF images are limited to 65535 pixels per side');
+    const out = new ByteWriter(width * height);
+
+    out.text('GIF89a');
+    out.word(width);
+    out.word(height);
+    out.byte(0); // no global color table
+    out.byte(0); // background color index
+    out.byte(0); // pixel aspect ratio
+
+    if (frames.length > 1) {
+      out.byte(0x21);
+      out.byte(0xFF);
+      out.byte(11);
+      out.text('NETSCAPE2.0');
+      out.byte(3);
+      out.byte(1);
+      out.word(opts.loop || 0);
+      out.byte(0);
+    }
+
+    const alpha = frames.map((frame) => {
+      const image = frame.image;
+      if (image.width !== width || image.height !== height) throw new Error('All GIF frames must have the same size');
+      for (let i = 3; i < image.data.length; i += 4) {
+        if (image.data[i] < 128) return true;
+      }
+      return false;
+    });
+
+    frames.forEach((frame, index) => {
+      const image = frame.image;
+      const hasAlpha = alpha[index];
+      let palette = frame.palette.length ? frame.palette.slice(0, hasAlpha ? 255 : 256) : [[0, 0, 0]];
+      const transparentIndex = hasAlpha ? palette.length : -1;
+      if (hasAlpha) palette = palette.concat([[0, 0, 0]]);
+
+      let tableBits = 1;
+      while (1 << tableBits < palette.length) tableBits++;
+
+      // Graphic control: delay, transparency. Disposal happens after a frame
+      // is shown, so a frame followed by one with holes clears itself
+      // (disposal 2) to keep it from showing through
+      const disposal = alpha[index + 1] ? 2 : 1;
+      out.byte(0x21);
+      out.byte(0xF9);
+      out.byte(4);
+      out.byte(disposal << 2 | (hasAlpha ? 1 : 0));
+      out.word(Math.round((frame.delay || DEFAULT_FRAME_DELAY) / 10));
+      out.byte(hasAlpha ? transparentIndex : 0);
+      out.byte(0);
+
+      out.byte(0x2C);
+      out.word(0);
+      out.word(0);
+      out.word(width);
+      out.word(height);
+      out.byte(0x80 | (tableBits - 1)); // local color table, not interlaced
+      for (let k = 0; k < 1 << tableBits; k++) {
+        const c = palette[k] || [0, 0, 0];
+        out.byte(c[0]);
+        out.byte(c[1]);
+        out.byte(c[2]);
+      }
+
+      lzwEncode(out, indexPixels(image, palette, transparentIndex), Math.max(2, tableBits));
+    });
+
+    out.byte(0x3B);
+    return out.bytes.slice(0, out.length);
+  }
+
+  return { isGIF, decodeGIF, encodeGIF };
+});
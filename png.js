@@ -0,0 +1,243 @@
+// ============================================================================
+// IMAGE STYLER PNG CODEC (Node)
+// ============================================================================
+// Minimal PNG reader/writer for the command-line converter, built only on
+// Node's zlib so the CLI needs no installed packages.
+//
+// Decodes every standard color type (gray, RGB, palette, gray+alpha, RGBA)
+// at bit depths 1-16, including Adam7-interlaced files, into 8-bit RGBA
+// images shaped like ImageData: { width, height, data }.
+// Encodes RGBA images as non-interlaced 8-bit truecolor+alpha PNGs.
+// ============================================================================
+
+'use strict';
+
+const zlib = require('zlib');
+// The zip writer's CRC32 is the same checksum PNG chunks use
+const { crc32 } = require('./zip.js');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Channels per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Undo PNG scanline filtering in place for one (sub)image.
+ * @param {Buffer} raw - Inflated data starting at this image's first filter byte
+ * @param {number} offset - Offset of the first scanline in `raw`
+ * @param {number} rowBytes - Bytes per scanline (excluding the filter byte)
+ * @param {number} rows - Number of scanlines
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ * @returns {Uint8Array} Unfiltered scanlines, rowBytes * rows long
+ */
+function unfilter(raw, offset, rowBytes, rows, bpp) {
+  const out = new Uint8Array(rowBytes * rows);
+  for (let y = 0; y < rows; y++) {
+    const filter = raw[offset + y * (rowBytes + 1)];
+    const line = offset + y * (rowBytes + 1) + 1;
+    const o = y * rowBytes;
+    const p = o - rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const cur = raw[line + x];
+      const a = x >= bpp ? out[o + x - bpp] : 0;
+      const b = y > 0 ? out[p + x] : 0;
+      const c = x >= bpp && y > 0 ? out[p + x - bpp] : 0;
+      let v;
+      switch (filter) {
+        case 0: v = cur; break;
+        case 1: v = cur + a; break;
+        case 2: v = cur + b; break;
+        case 3: v = cur + ((a + b) >> 1); break;
+        case 4: {
+          const pa = Math.abs(b - c);
+          const pb = Math.abs(a - c);
+          const pc = Math.abs(a + b - 2 * c);
+          v = cur + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+          break;
+        }
+        default: throw new Error('Corrupt PNG: unknown filter type ' + filter);
+      }
+      out[o + x] = v & 0xFF;
+    }
+  }
+  return out;
+}
+
+/**
+ * Decode a PNG file into an 8-bit RGBA image.
+ * @param {Buffer} buf - PNG file contents
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function decodePNG(buf) {
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let width = 0, height = 0, depth = 0, colorType = 0, interlace = 0;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let pos = 8;
+  while (pos + 8 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      depth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!width || !height) throw new Error('Corrupt PNG: missing IHDR');
+  if (!(colorType in CHANNELS)) throw new Error('Unsupported PNG color type ' + colorType);
+  if (colorType === 3 && !palette) throw new Error('Corrupt PNG: missing palette');
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const out = new Uint8ClampedArray(width * height * 4);
+  const maxSample = (1 << Math.min(depth, 8)) - 1;
+
+  // Read sample `n` of a scanline as an 8-bit value
+  function sample(line, n) {
+    if (depth === 8) return line[n];
+    if (depth === 16) return line[n * 2];
+    const bit = n * depth;
+    const v = (line[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+    return colorType === 3 ? v : Math.round(v * 255 / maxSample);
+  }
+
+  // Raw (unscaled) sample, used for tRNS matching and palette indices
+  function rawSample(line, n) {
+    if (depth === 16) return (line[n * 2] << 8) | line[n * 2 + 1];
+    if (depth === 8) return line[n];
+    const bit = n * depth;
+    return (line[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+  }
+
+  function writePixel(line, px, x, y) {
+    const o = (y * width + x) * 4;
+    const s = px * channels;
+    if (colorType === 3) {
+      const idx = rawSample(line, s);
+      out[o] = palette[idx * 3];
+      out[o + 1] = palette[idx * 3 + 1];
+      out[o + 2] = palette[idx * 3 + 2];
+      out[o + 3] = transparency && idx < transparency.length ? transparency[idx] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      const v = sample(line, s);
+      out[o] = out[o + 1] = out[o + 2] = v;
+      if (colorType === 4) {
+        out[o + 3] = sample(line, s + 1);
+      } else {
+        const key = transparency ? transparency.readUInt16BE(0) : -1;
+        out[o + 3] = rawSample(line, s) === key ? 0 : 255;
+      }
+    } else {
+      out[o] = sample(line, s);
+      out[o + 1] = sample(line, s + 1);
+      out[o + 2] = sample(line, s + 2);
+      if (colorType === 6) {
+        out[o + 3] = sample(line, s + 3);
+      } else {
+        const opaque = !transparency ||
+          rawSample(line, s) !== transparency.readUInt16BE(0) ||
+          rawSample(line, s + 1) !== transparency.readUInt16BE(2) ||
+          rawSample(line, s + 2) !== transparency.readUInt16BE(4);
+        out[o + 3] = opaque ? 255 : 0;
+      }
+    }
+  }
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const rowBytes = Math.ceil(pw * bitsPerPixel / 8);
+    const lines = unfilter(raw, offset, rowBytes, ph, bpp);
+    offset += ph * (rowBytes + 1);
+    for (let py = 0; py < ph; py++) {
+      const line = lines.subarray(py * rowBytes, (py + 1) * rowBytes);
+      for (let px = 0; px < pw; px++) writePixel(line, px, x0 + px * dx, y0 + py * dy);
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Build one PNG chunk (length, type, body, CRC).
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} body - Chunk data
+ * @returns {Buffer}
+ */
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * Encode an RGBA image as a PNG file.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Image to encode
+ * @returns {Buffer} PNG file contents
+ */
+function encodePNG(image) {
+  const { width, height, data } = image;
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+
+  // Filter type 0 (None) on every scanline; zlib does the heavy lifting
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { decodePNG, encodePNG, crc32 };
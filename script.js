@@ -10,8 +10,18 @@
 //   * originalCanvas: Pristine, unmodified copy of loaded image (conversion source)
 //   * exportCanvas: Working copy showing current conversion result
 //   * outputCanvas: 800x600 preview canvas (letterboxed display)
-// - History Stack: Tracks up to 12 conversion states for undo functionality
+// - History Stack: Keeps every conversion for undo; rendered states are
+//   cached within a memory budget and regenerated when evicted
 // - State Management: Single global loadedImage + canvas-based image storage
+// - Conversion engine: engine.js (ImageStylerEngine) does all pixel math
+//   with no DOM access; this file only wires the page UI to it
+// - Conversions run in worker.js (main-thread fallback) with progress/cancel
+// - Optional live preview renders a reduced proxy on every settings change
+// - History stores operations + settings and regenerates states on demand
+// - Project files (JSON) bundle the original, settings and history
+// - Batch queue converts many images and downloads them as one zip (zip.js)
+// - Animated GIFs are converted frame by frame, played back in the preview
+//   and exported as GIF again (gif.js)
 // - No dependencies: Pure HTML5/Canvas/JavaScript
 //
 // CRITICAL: Always read from originalCanvas for conversions to prevent
@@ -28,6 +38,9 @@ const dropArea = document.getElementById('drop-area');
 const modeSelect = document.getElementById('modeSelect');
 const convertBtn = document.getElementById('convertBtn');
 const downloadBtn = document.getElementById('downloadBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+const convertStatus = document.getElementById('convertStatus');
+const convertProgress = document.getElementById('convertProgress');
 
 // Preview Canvas (800x600 display area with letterboxing)
 const outputCanvas = document.getElementById('outputCanvas');
@@ -56,7 +69,7 @@ function resizeOutputCanvas() {
 
 // Resize on load and on window resize to keep UI sharp and consistent
 window.addEventListener('resize', () => {
-  try { resizeOutputCanvas(); renderPreviewFromExport(); } catch (e) { /* ignore */ }
+  try { resizeOutputCanvas(); renderPreviewFromExport(); scheduleLivePreview(); } catch (e) { /* ignore */ }
 });
 
 // Initial placeholder in preview
@@ -86,26 +99,93 @@ const originalCtx = originalCanvas.getContext('2d');
 
 // UI Controls - Settings and Sliders
 const fontSizeInput = document.getElementById('fontSize');
-const pixelSizeInput = document.getElementById('pixelSize');
 const resetBtn = document.getElementById('resetBtn');
 const fontSizeValue = document.getElementById('fontSizeValue');
-const pixelSizeValue = document.getElementById('pixelSizeValue');
 const asciiColsInput = document.getElementById('asciiCols');
+const asciiColorInput = document.getElementById('asciiColor');
+const asciiTextModeSelect = document.getElementById('asciiTextMode');
+const asciiFontSelect = document.getElementById('asciiFont');
+const asciiRampPreset = document.getElementById('asciiRampPreset');
+const asciiRampInput = document.getElementById('asciiRamp');
+const asciiAutoOrderInput = document.getElementById('asciiAutoOrder');
+const asciiInvertInput = document.getElementById('asciiInvert');
+const asciiEdgesInput = document.getElementById('asciiEdges');
+const asciiEdgeThresholdInput = document.getElementById('asciiEdgeThreshold');
+const asciiEdgeThresholdValue = document.getElementById('asciiEdgeThresholdValue');
+const asciiDitherSelect = document.getElementById('asciiDither');
+const asciiBrightnessInput = document.getElementById('asciiBrightness');
+const asciiContrastInput = document.getElementById('asciiContrast');
+const asciiGammaInput = document.getElementById('asciiGamma');
 let lastAsciiOutput = '';
+let lastAsciiResult = null; // Full engine result (text + per-character colors) for HTML/ANSI export
+const exportHtmlBtn = document.getElementById('exportHtmlBtn');
+const exportAnsiBtn = document.getElementById('exportAnsiBtn');
+const exportFramesBtn = document.getElementById('exportFramesBtn');
+const ansiDepthSelect = document.getElementById('ansiDepth');
 const copyAsciiBtn = document.getElementById('copyAsciiBtn');
 const previewAsciiBtn = document.getElementById('previewAsciiBtn');
 const undoBtn = document.getElementById('undoBtn');
-
-// ASCII character set: ordered from darkest to lightest
-// Used to map image brightness to characters
-const ASCII_CHARS = '@%#*+=-:. ';
+const redoBtn = document.getElementById('redoBtn');
+const historyList = document.getElementById('historyList');
+const historyMemoryInput = document.getElementById('historyMemory');
+const historyMemoryUsage = document.getElementById('historyMemoryUsage');
+const saveProjectBtn = document.getElementById('saveProjectBtn');
+const openProjectBtn = document.getElementById('openProjectBtn');
+const projectFileElem = document.getElementById('projectFileElem');
+const presetSelect = document.getElementById('presetSelect');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const renamePresetBtn = document.getElementById('renamePresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+const importPresetsBtn = document.getElementById('importPresetsBtn');
+const presetFileElem = document.getElementById('presetFileElem');
+const paintPipelineInput = document.getElementById('paintPipeline');
+const pipelineList = document.getElementById('pipelineList');
+const pipelineAddSelect = document.getElementById('pipelineAddSelect');
+const pipelineAddBtn = document.getElementById('pipelineAddBtn');
+const paintSeedInput = document.getElementById('paintSeed');
+const randomizeSeedBtn = document.getElementById('randomizeSeedBtn');
+const paintSeedUsed = document.getElementById('paintSeedUsed');
+const outputSizeModeSelect = document.getElementById('outputSizeMode');
+const outputWidthInput = document.getElementById('outputWidth');
+const outputHeightInput = document.getElementById('outputHeight');
+const livePreviewInput = document.getElementById('livePreview');
+const compareModeSelect = document.getElementById('compareMode');
+const peekBtn = document.getElementById('peekBtn');
+const zoomFitBtn = document.getElementById('zoomFitBtn');
+const zoomActualBtn = document.getElementById('zoomActualBtn');
+const zoomLevelLabel = document.getElementById('zoomLevel');
+const batchCount = document.getElementById('batchCount');
+const batchList = document.getElementById('batchList');
+const batchRunBtn = document.getElementById('batchRunBtn');
+const batchZipBtn = document.getElementById('batchZipBtn');
+const batchClearBtn = document.getElementById('batchClearBtn');
 
 // Application State
 let loadedImage = null; // Current loaded image element
-let originalImageData = null; // Base64 PNG of original for reset
+let originalImageData = null; // Base64 PNG of original (the GIF itself for animations) for reset
 let asciiConversionCount = 0; // Counter for secret easter egg (triggers at 10)
-const historyStack = []; // Undo stack: stores PNG data URLs
-const MAX_HISTORY = 12; // Maximum undo states
+let currentSeed = null; // Seed of the paint result shown in exportCanvas (null otherwise)
+const DEFAULT_HISTORY_MEMORY_MB = 256; // Default cache budget for rendered history states
+const PROJECT_FORMAT_VERSION = 1; // Bump when the project file layout changes
+const LIVE_PREVIEW_MAX_SIDE = 512; // Longest side of the live preview proxy (px)
+const LIVE_PREVIEW_DELAY = 150; // Debounce for live preview re-renders (ms)
+
+// Preview compare view
+let compareMode = 'none'; // 'none' | 'split' | 'side'
+let compareSplit = 0.5; // Split divider position across the image (0-1)
+let peeking = false; // Hold-to-peek: show the original while held
+let lastPreview = null; // Last { source, fullW, fullH } drawn into the preview
+let previewLayout = null; // Image rectangle of the last single-pane draw (CSS px)
+let previewRects = []; // Image rectangles of every pane in the last draw (CSS px)
+const PREVIEW_TOOLBAR_H = 32; // Space kept clear for the floating preview toolbar (CSS px)
+
+// Preview zoom/pan: zoom is CSS pixels per full-resolution image pixel
+// (null = fit to the preview); pan offsets the image center from the pane center
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 32;
+let previewZoom = null;
+const previewPan = { x: 0, y: 0 };
 
 // ============================================================================
 // EVENT LISTENERS & HANDLERS
@@ -131,14 +211,14 @@ dropArea.addEventListener('drop', (e) => {
   dropArea.classList.remove('highlight');
   const dt = e.dataTransfer;
   if (!dt) return;
-  const file = dt.files && dt.files[0];
-  if (file) handleFile(file);
+  if (dt.files && dt.files.length) handleFiles(dt.files);
 });
 
 // Handle file input selection
 fileElem.addEventListener('change', (e) => {
-  const f = e.target.files && e.target.files[0];
-  if (f) handleFile(f);
+  if (e.target.files && e.target.files.length) handleFiles(e.target.files);
+  // Allow choosing the same files again
+  e.target.value = '';
 });
 
 // Tab switching for settings
@@ -180,13 +260,179 @@ modeSelect.addEventListener('change', () => {
 
 // Main action buttons
 convertBtn.addEventListener('click', convert);
+if (cancelBtn) cancelBtn.addEventListener('click', cancelConversion);
 // Show modal dialog to choose filename before downloading
 downloadBtn.addEventListener('click', showDownloadDialog);
 resetBtn.addEventListener('click', resetToOriginal);
 
 // Slider value displays
 if (fontSizeInput) fontSizeInput.addEventListener('input', (e) => { if (fontSizeValue) fontSizeValue.textContent = e.target.value; });
-if (pixelSizeInput) pixelSizeInput.addEventListener('input', (e) => { if (pixelSizeValue) pixelSizeValue.textContent = e.target.value; });
+if (asciiEdgeThresholdInput) asciiEdgeThresholdInput.addEventListener('input', (e) => { if (asciiEdgeThresholdValue) asciiEdgeThresholdValue.textContent = e.target.value; });
+[['asciiBrightness', v => v], ['asciiContrast', v => v], ['asciiGamma', v => (v / 100).toFixed(2)]].forEach(([id, format]) => {
+  const input = document.getElementById(id);
+  const label = document.getElementById(id + 'Value');
+  if (input && label) input.addEventListener('input', () => { label.textContent = format(Number(input.value)); });
+});
+
+// Ramp editor: a preset fills the text box; typing in it switches to Custom
+if (asciiRampPreset) asciiRampPreset.addEventListener('change', () => {
+  const preset = ImageStylerEngine.RAMP_PRESETS[asciiRampPreset.value];
+  if (preset && asciiRampInput) asciiRampInput.value = preset;
+});
+if (asciiRampInput) asciiRampInput.addEventListener('input', () => {
+  if (asciiRampPreset) asciiRampPreset.value = 'custom';
+});
+
+// Seed controls: the dice button picks a fresh seed for the next Convert
+if (randomizeSeedBtn) randomizeSeedBtn.addEventListener('click', () => {
+  if (paintSeedInput) paintSeedInput.value = ImageStylerEngine.randomSeed();
+  scheduleLivePreview();
+});
+
+// Output size: the width/height boxes only apply to a fixed size
+if (outputSizeModeSelect) outputSizeModeSelect.addEventListener('change', updateOutputSizeControls);
+
+// Compare view: split divider, side by side, or hold to peek at the original
+if (compareModeSelect) compareModeSelect.addEventListener('change', () => {
+  compareMode = compareModeSelect.value;
+  outputCanvas.classList.toggle('compare-split', compareMode === 'split');
+  redrawPreview();
+});
+
+if (peekBtn) {
+  const setPeeking = (value) => {
+    if (peeking === value) return;
+    peeking = value;
+    redrawPreview();
+  };
+  peekBtn.addEventListener('pointerdown', (e) => { peekBtn.setPointerCapture(e.pointerId); setPeeking(true); });
+  peekBtn.addEventListener('pointerup', () => setPeeking(false));
+  peekBtn.addEventListener('pointercancel', () => setPeeking(false));
+  peekBtn.addEventListener('keydown', (e) => { if (e.key === ' ' || e.key === 'Enter') { e.preventDefault(); setPeeking(true); } });
+  peekBtn.addEventListener('keyup', () => setPeeking(false));
+  peekBtn.addEventListener('blur', () => setPeeking(false));
+}
+
+// Pointer input on the preview: drag the split divider, drag to pan when
+// zoomed, pinch to zoom. At fit size a split-view drag anywhere moves the
+// divider; when zoomed only a drag near the divider does.
+const activePointers = new Map(); // pointerId -> { x, y } (CSS px)
+let previewDrag = null; // 'split' | 'pan' | null
+let pinchDistance = 0;
+
+function getPointerPosition(e) {
+  const bounds = outputCanvas.getBoundingClientRect();
+  return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+}
+
+function updateSplitFromPointer(pos) {
+  if (!previewLayout) return;
+  compareSplit = Math.min(1, Math.max(0, (pos.x - previewLayout.x) / previewLayout.w));
+  redrawPreview();
+}
+
+function pinchState() {
+  const [a, b] = Array.from(activePointers.values());
+  return { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+outputCanvas.addEventListener('pointerdown', (e) => {
+  if (!lastPreview) return;
+  const pos = getPointerPosition(e);
+  activePointers.set(e.pointerId, pos);
+  outputCanvas.setPointerCapture(e.pointerId);
+
+  if (activePointers.size === 2) {
+    previewDrag = null;
+    pinchDistance = pinchState().distance;
+    return;
+  }
+
+  if (compareMode === 'split' && previewLayout && !peeking) {
+    const splitX = previewLayout.x + previewLayout.w * compareSplit;
+    if (previewZoom === null || Math.abs(pos.x - splitX) <= 20) {
+      previewDrag = 'split';
+      updateSplitFromPointer(pos);
+      return;
+    }
+  }
+  if (previewZoom !== null) {
+    previewDrag = 'pan';
+    outputCanvas.classList.add('panning');
+  }
+});
+
+outputCanvas.addEventListener('pointermove', (e) => {
+  const prev = activePointers.get(e.pointerId);
+  if (!prev) return;
+  const pos = getPointerPosition(e);
+
+  if (activePointers.size === 2) {
+    const before = pinchState();
+    activePointers.set(e.pointerId, pos);
+    const after = pinchState();
+    // Zoom by the change in finger spread and follow the midpoint
+    zoomPreviewAt(getPreviewScale() * after.distance / pinchDistance, before.x, before.y, after.x, after.y);
+    pinchDistance = after.distance;
+    return;
+  }
+
+  activePointers.set(e.pointerId, pos);
+  if (previewDrag === 'split') {
+    updateSplitFromPointer(pos);
+  } else if (previewDrag === 'pan') {
+    previewPan.x += pos.x - prev.x;
+    previewPan.y += pos.y - prev.y;
+    redrawPreview();
+  }
+});
+
+function endPreviewPointer(e) {
+  activePointers.delete(e.pointerId);
+  if (activePointers.size === 0) {
+    previewDrag = null;
+    outputCanvas.classList.remove('panning');
+  }
+}
+outputCanvas.addEventListener('pointerup', endPreviewPointer);
+outputCanvas.addEventListener('pointercancel', endPreviewPointer);
+
+// Mouse wheel / trackpad pinch (ctrl+wheel) zooms around the cursor
+outputCanvas.addEventListener('wheel', (e) => {
+  if (!lastPreview) return;
+  e.preventDefault();
+  const pos = getPointerPosition(e);
+  zoomPreviewAt(getPreviewScale() * Math.exp(-e.deltaY * 0.0015), pos.x, pos.y);
+}, { passive: false });
+
+if (zoomFitBtn) zoomFitBtn.addEventListener('click', () => setPreviewZoom(null));
+if (zoomActualBtn) zoomActualBtn.addEventListener('click', () => setPreviewZoom(1));
+
+// Live preview: any settings change (or mode switch) re-renders a proxy
+const settingsTabs = document.querySelector('.settings-tabs');
+if (settingsTabs) {
+  settingsTabs.addEventListener('input', scheduleLivePreview);
+  settingsTabs.addEventListener('change', scheduleLivePreview);
+}
+modeSelect.addEventListener('change', scheduleLivePreview);
+if (livePreviewInput) livePreviewInput.addEventListener('change', () => {
+  if (livePreviewInput.checked) {
+    scheduleLivePreview();
+  } else {
+    cancelLivePreview();
+    renderPreviewFromExport();
+  }
+});
+
+/**
+ * Record the seed of the result now shown in exportCanvas.
+ * @param {(number|string|null)} seed - Seed, or null for unseeded results
+ * @returns {void}
+ */
+function setCurrentSeed(seed) {
+  currentSeed = seed === undefined ? null : seed;
+  if (paintSeedUsed) paintSeedUsed.textContent = 'Result seed: ' + (currentSeed === null ? '—' : currentSeed);
+}
 
 // ASCII Control: Copy the full ASCII output stored in `lastAsciiOutput`
 if (copyAsciiBtn) copyAsciiBtn.addEventListener('click', async () => {
@@ -194,6 +440,45 @@ if (copyAsciiBtn) copyAsciiBtn.addEventListener('click', async () => {
   catch (e) { console.error('Copy failed', e); alert('Copy failed: ' + e.message); }
 });
 
+/**
+ * Trigger a browser download of generated text content.
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ * @returns {void}
+ */
+function downloadText(content, fileName, mimeType) {
+  downloadBlob(new Blob([content], { type: mimeType }), fileName);
+}
+
+/**
+ * Trigger a browser download of a Blob.
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ * @returns {void}
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ASCII Export: colored HTML page and ANSI terminal text
+if (exportHtmlBtn) exportHtmlBtn.addEventListener('click', () => {
+  if (!lastAsciiResult) { alert('No ASCII generated yet. Click Convert to generate.'); return; }
+  downloadText(ImageStylerEngine.asciiToHTML(lastAsciiResult, { fontSize: Number(fontSizeInput.value) }), 'ascii.html', 'text/html');
+});
+if (exportAnsiBtn) exportAnsiBtn.addEventListener('click', () => {
+  if (!lastAsciiResult) { alert('No ASCII generated yet. Click Convert to generate.'); return; }
+  const depth = ansiDepthSelect ? ansiDepthSelect.value : 'truecolor';
+  downloadText(ImageStylerEngine.asciiToANSI(lastAsciiResult, { depth }), 'ascii.ans', 'text/plain');
+});
+
 // ASCII preview modal handlers
 const asciiPreviewModal = document.getElementById('asciiPreviewModal');
 const asciiPreviewText = document.getElementById('asciiPreviewText');
@@ -286,19 +571,53 @@ if (asciiPreviewCopyBtn) asciiPreviewCopyBtn.addEventListener('click', async ()
 if (asciiPreviewCloseBtn) asciiPreviewCloseBtn.addEventListener('click', closeAsciiPreview);
 // Do not close ascii preview modal by clicking outside; require explicit Close action.
 
-// Undo button: restore previous conversion state
-if (undoBtn) undoBtn.addEventListener('click', () => {
-  if (historyStack.length === 0) return;
-  const prev = historyStack.pop();
-  const img = new Image();
-  img.onload = () => {
-    exportCanvas.width = img.width; exportCanvas.height = img.height;
-    exportCtx.clearRect(0,0,img.width,img.height);
-    exportCtx.drawImage(img,0,0);
-    renderPreviewFromExport();
-    if (historyStack.length === 0) undoBtn.disabled = true;
-  };
-  img.src = prev;
+// History: Undo/Redo step through states, the list jumps to any state
+if (undoBtn) undoBtn.addEventListener('click', () => jumpToHistory(historyIndex - 1));
+if (redoBtn) redoBtn.addEventListener('click', () => jumpToHistory(historyIndex + 1));
+if (historyMemoryInput) historyMemoryInput.addEventListener('change', () => {
+  const mb = Math.max(16, Math.round(Number(historyMemoryInput.value) || DEFAULT_HISTORY_MEMORY_MB));
+  historyMemoryInput.value = mb;
+  try {
+    localStorage.setItem('historyMemoryMB', String(mb));
+  } catch (e) {
+    console.warn('Could not save history memory limit', e);
+  }
+  enforceHistoryBudget();
+  renderHistoryList();
+});
+
+// Project files: save/open the original, settings and history as JSON
+if (saveProjectBtn) saveProjectBtn.addEventListener('click', saveProject);
+if (openProjectBtn && projectFileElem) openProjectBtn.addEventListener('click', () => projectFileElem.click());
+if (projectFileElem) projectFileElem.addEventListener('change', (e) => {
+  const f = e.target.files && e.target.files[0];
+  if (f) openProjectFile(f);
+  projectFileElem.value = '';
+});
+
+// Paint layer stack: add a step on top; the hidden input changes when a
+// project or preset is applied
+if (pipelineAddBtn) pipelineAddBtn.addEventListener('click', () => {
+  const effect = pipelineAddSelect ? pipelineAddSelect.value : 'pixel';
+  paintPipeline.push(ImageStylerEngine.normalizePipelineStep({ effect }));
+  pipelineChanged();
+});
+
+// Style presets: pick to apply; save/rename/delete user presets; share as JSON
+if (presetSelect) presetSelect.addEventListener('change', () => {
+  const preset = getSelectedPreset();
+  if (preset) applyPreset(preset);
+  updatePresetButtons();
+});
+if (savePresetBtn) savePresetBtn.addEventListener('click', saveCurrentAsPreset);
+if (renamePresetBtn) renamePresetBtn.addEventListener('click', renameSelectedPreset);
+if (deletePresetBtn) deletePresetBtn.addEventListener('click', deleteSelectedPreset);
+if (exportPresetsBtn) exportPresetsBtn.addEventListener('click', exportPresets);
+if (importPresetsBtn && presetFileElem) importPresetsBtn.addEventListener('click', () => presetFileElem.click());
+if (presetFileElem) presetFileElem.addEventListener('change', (e) => {
+  const f = e.target.files && e.target.files[0];
+  if (f) importPresetsFile(f);
+  presetFileElem.value = '';
 });
 
 // ---------------------------
@@ -308,6 +627,49 @@ const downloadModal = document.getElementById('downloadModal');
 const downloadNameInput = document.getElementById('downloadName');
 const downloadNowBtn = document.getElementById('downloadNowBtn');
 const downloadCancelBtn = document.getElementById('downloadCancelBtn');
+const downloadFormatSelect = document.getElementById('downloadFormat');
+const downloadScaleSelect = document.getElementById('downloadScale');
+const downloadQualityRow = document.getElementById('downloadQualityRow');
+const downloadQualityInput = document.getElementById('downloadQuality');
+const downloadQualityValue = document.getElementById('downloadQualityValue');
+
+// Download formats: MIME type, file extension and whether quality applies
+const DOWNLOAD_FORMATS = {
+  png: { label: 'PNG', mime: 'image/png', ext: 'png', lossy: false },
+  jpeg: { label: 'JPEG', mime: 'image/jpeg', ext: 'jpg', lossy: true },
+  webp: { label: 'WebP', mime: 'image/webp', ext: 'webp', lossy: true },
+  svg: { label: 'SVG', mime: 'image/svg+xml', ext: 'svg', lossy: false },
+  gif: { label: 'GIF', mime: 'image/gif', ext: 'gif', lossy: false }
+};
+const DOWNLOAD_EXT_RE = /\.(png|jpe?g|webp|svg|gif)$/i;
+
+/**
+ * Currently selected download format key.
+ * @returns {string} Key of DOWNLOAD_FORMATS
+ */
+function getDownloadFormat() {
+  const format = downloadFormatSelect && downloadFormatSelect.value;
+  return DOWNLOAD_FORMATS[format] ? format : 'png';
+}
+
+/**
+ * Give a file name the extension of a download format, replacing any image
+ * extension it already has.
+ * @param {string} name - File name
+ * @param {string} format - Key of DOWNLOAD_FORMATS
+ * @returns {string}
+ */
+function withDownloadExtension(name, format) {
+  return name.replace(DOWNLOAD_EXT_RE, '') + '.' + DOWNLOAD_FORMATS[format].ext;
+}
+
+/**
+ * Show the quality slider only for lossy formats.
+ * @returns {void}
+ */
+function updateDownloadQualityRow() {
+  if (downloadQualityRow) downloadQualityRow.classList.toggle('hidden', !DOWNLOAD_FORMATS[getDownloadFormat()].lossy);
+}
 
 function showDownloadDialog() {
   if (!downloadModal) {
@@ -315,7 +677,13 @@ function showDownloadDialog() {
     downloadImage();
     return;
   }
-  downloadNameInput.value = downloadNameInput.value || 'converted.png';
+  // Keep a user-typed name, but refresh our own default so it names the current seed
+  const name = downloadNameInput.value;
+  if (!name || /^converted(-seed-[\w-]+)?\.(png|jpe?g|webp|svg|gif)$/i.test(name)) {
+    const base = currentSeed === null ? 'converted' : `converted-seed-${currentSeed}`;
+    downloadNameInput.value = withDownloadExtension(base, getDownloadFormat());
+  }
+  updateDownloadQualityRow();
   downloadModal.classList.remove('hidden');
   downloadModal.setAttribute('aria-hidden', 'false');
   // focus and select filename for quick edit
@@ -332,15 +700,92 @@ function closeDownloadDialog() {
   downloadBtn.focus();
 }
 
+/**
+ * Copy a canvas at another scale for export. Upscaling keeps hard pixel
+ * edges; downscaling is smoothed.
+ * @param {HTMLCanvasElement} source - Canvas to copy
+ * @param {number} scale - Scale factor
+ * @param {boolean} opaque - Flatten onto white (for formats without alpha)
+ * @returns {HTMLCanvasElement} `source` itself when nothing needs to change
+ */
+function scaleCanvasForExport(source, scale, opaque) {
+  if (scale === 1 && !opaque) return source;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(source.width * scale));
+  canvas.height = Math.max(1, Math.round(source.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = scale < 1;
+  if (opaque) {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Build an SVG of the result currently shown: ASCII results become text,
+ * Paint results whose only active step is Pixel become one rect per block.
+ * @param {number} scale - Display scale of the SVG
+ * @returns {string|null} SVG source, or null (after telling the user) when
+ *   the current result has no vector form
+ */
+function buildSVGExport(scale) {
+  const entry = historyEntries[historyIndex];
+  if (entry && entry.mode === 'ascii' && lastAsciiResult) {
+    return ImageStylerEngine.asciiToSVG(lastAsciiResult, {
+      color: !!entry.options.color,
+      fontFamily: entry.options.fontFamily,
+      scale
+    });
+  }
+  if (entry && entry.mode === 'paint') {
+    const pipeline = Array.isArray(entry.options.pipeline)
+      ? entry.options.pipeline
+      : ImageStylerEngine.pipelineFromLegacy(entry.options);
+    const active = pipeline.map(ImageStylerEngine.normalizePipelineStep).filter(step => step.enabled && step.opacity > 0);
+    if (active.length === 1 && active[0].effect === 'pixel' && active[0].blend === 'normal') {
+      return ImageStylerEngine.pixelArtToSVG(getSourceImageData(), active[0], { scale, output: entry.options.output });
+    }
+  }
+  alert('SVG export is available for ASCII results and for Paint results whose only active step is Pixel. Choose PNG, JPEG or WebP for this image.');
+  return null;
+}
+
+/**
+ * Download the current result in the format chosen in the download modal.
+ * @param {string} fileName - File name (its extension is fixed to match the format)
+ * @returns {void}
+ */
 function downloadImageWithName(fileName) {
+  const format = getDownloadFormat();
+  const info = DOWNLOAD_FORMATS[format];
+  const scale = downloadScaleSelect ? Number(downloadScaleSelect.value) || 1 : 1;
+  const quality = downloadQualityInput ? Number(downloadQualityInput.value) / 100 : 0.92;
+  fileName = withDownloadExtension(fileName || 'converted', format);
   try {
-    const url = exportCanvas.toDataURL('image/png');
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = fileName || 'converted.png';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+    if (format === 'svg') {
+      const svg = buildSVGExport(scale);
+      if (svg === null) return;
+      downloadText(svg, fileName, info.mime);
+    } else if (format === 'gif') {
+      // Encoded here rather than by the browser, which has no GIF encoder
+      downloadGIF(fileName, scale);
+    } else {
+      const canvas = scaleCanvasForExport(exportCanvas, scale, format === 'jpeg');
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          alert('Could not encode the image as ' + info.label + '.');
+          return;
+        }
+        // Browsers fall back to PNG for types they cannot encode
+        if (blob.type !== info.mime) {
+          alert(`This browser cannot save ${info.label} images; saved as PNG instead.`);
+          fileName = withDownloadExtension(fileName, 'png');
+        }
+        downloadBlob(blob, fileName);
+      }, info.mime, info.lossy ? quality : undefined);
+    }
   } catch (e) {
     console.error('Download failed', e);
     // fallback to original download behavior
@@ -353,11 +798,28 @@ if (downloadNowBtn) {
   downloadNowBtn.addEventListener('click', () => {
     let name = (downloadNameInput && downloadNameInput.value) || 'converted.png';
     name = name.trim() || 'converted.png';
-    if (!/\.[a-zA-Z0-9]{1,5}$/.test(name)) name += '.png';
     downloadImageWithName(name);
   });
 }
 
+if (downloadFormatSelect) downloadFormatSelect.addEventListener('change', () => {
+  if (downloadNameInput) downloadNameInput.value = withDownloadExtension(downloadNameInput.value.trim() || 'converted', getDownloadFormat());
+  updateDownloadQualityRow();
+});
+
+// Typing a known extension picks the matching format
+if (downloadNameInput && downloadFormatSelect) downloadNameInput.addEventListener('input', () => {
+  const m = DOWNLOAD_EXT_RE.exec(downloadNameInput.value.trim());
+  if (!m) return;
+  const ext = m[1].toLowerCase();
+  downloadFormatSelect.value = ext === 'jpg' ? 'jpeg' : ext;
+  updateDownloadQualityRow();
+});
+
+if (downloadQualityInput && downloadQualityValue) downloadQualityInput.addEventListener('input', () => {
+  downloadQualityValue.textContent = downloadQualityInput.value;
+});
+
 if (downloadCancelBtn) downloadCancelBtn.addEventListener('click', closeDownloadDialog);
 
 // Do not close download modal by clicking outside; require explicit Cancel/Close.
@@ -383,7 +845,26 @@ document.addEventListener('keydown', (e) => {
 function renderPreviewFromExport() {
   const startTime = performance.now();
   console.log('renderPreviewFromExport called, exportCanvas:', exportCanvas.width, 'x', exportCanvas.height);
+  renderPreviewImage(exportCanvas, exportCanvas.width, exportCanvas.height);
+  const endTime = performance.now();
+  console.log('renderPreviewFromExport completed in', (endTime - startTime).toFixed(2), 'ms');
+}
 
+/**
+ * Draw an image into the preview canvas, letterboxed as if it were
+ * `fullW` x `fullH`. Live preview proxies are drawn at the size the
+ * full-resolution result will have, so committing doesn't jump.
+ * Applies the compare view (split / side by side / peek) when an original
+ * is loaded.
+ * @param {HTMLCanvasElement} source - Canvas to draw
+ * @param {number} fullW - Layout width (full-resolution pixels)
+ * @param {number} fullH - Layout height (full-resolution pixels)
+ * @returns {void}
+ */
+function renderPreviewImage(source, fullW, fullH) {
+  lastPreview = { source, fullW, fullH };
+  previewLayout = null;
+  previewRects = [];
   try {
     // Ensure output canvas internal size matches its CSS size and dpr
     resizeOutputCanvas();
@@ -394,39 +875,277 @@ function renderPreviewFromExport() {
     ctx.fillStyle = '#ffffff';
     ctx.fillRect(0, 0, PREVIEW_W, PREVIEW_H);
 
-    if (exportCanvas.width === 0 || exportCanvas.height === 0) {
+    if (source.width === 0 || source.height === 0) {
       console.warn('Export canvas has no dimensions, skipping draw');
       return;
     }
 
-    // Use 'contain' scaling so the entire image is visible and not cropped.
-    // Apply a small padding factor so the image doesn't touch container edges.
-    const srcW = exportCanvas.width || exportCanvas.clientWidth || 1;
-    const srcH = exportCanvas.height || exportCanvas.clientHeight || 1;
+    const srcW = fullW || 1;
+    const srcH = fullH || 1;
+    const hasOriginal = originalCanvas.width > 0 && originalCanvas.height > 0;
+
+    // Keep blocks and glyphs crisp when zoomed past 1:1
+    const applySmoothing = (rect) => { ctx.imageSmoothingEnabled = rect.scale <= 1; };
+
+    if (hasOriginal && peeking) {
+      const rect = layoutPreviewRect(srcW, srcH, 0, 0, PREVIEW_W, PREVIEW_H);
+      previewRects = [rect];
+      applySmoothing(rect);
+      drawOriginalInRect(rect);
+      drawPreviewLabel('Original', 8, 8 + PREVIEW_TOOLBAR_H);
+      return;
+    }
+
+    if (hasOriginal && compareMode === 'side') {
+      const half = PREVIEW_W / 2;
+      const left = layoutPreviewRect(srcW, srcH, 0, 0, half, PREVIEW_H);
+      const right = layoutPreviewRect(srcW, srcH, half, 0, half, PREVIEW_H);
+      previewRects = [left, right];
+      applySmoothing(left);
+      drawClippedToPane(left, () => drawOriginalInRect(left));
+      drawClippedToPane(right, () => ctx.drawImage(source, 0, 0, source.width, source.height, right.x, right.y, right.w, right.h));
+      ctx.fillStyle = '#dddddd';
+      ctx.fillRect(Math.round(half) - 1, 0, 2, PREVIEW_H);
+      drawPreviewLabel('Before', 8, 8 + PREVIEW_TOOLBAR_H);
+      drawPreviewLabel('After', half + 8, 8 + PREVIEW_TOOLBAR_H);
+      return;
+    }
+
+    const rect = layoutPreviewRect(srcW, srcH, 0, 0, PREVIEW_W, PREVIEW_H);
+    previewRects = [rect];
+    applySmoothing(rect);
+    ctx.drawImage(source, 0, 0, source.width, source.height, rect.x, rect.y, rect.w, rect.h);
+    previewLayout = rect;
+
+    if (hasOriginal && compareMode === 'split') {
+      // Original on the left of the divider, result on the right
+      const splitX = rect.x + Math.round(rect.w * compareSplit);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, splitX - rect.x, rect.h);
+      ctx.clip();
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+      drawOriginalInRect(rect);
+      ctx.restore();
+      drawSplitDivider(splitX, rect, PREVIEW_H);
+      drawPreviewLabel('Before', Math.max(8, rect.x + 8), Math.max(8 + PREVIEW_TOOLBAR_H, rect.y + 8));
+      drawPreviewLabel('After', Math.min(PREVIEW_W - 8, rect.x + rect.w - 8), Math.max(8 + PREVIEW_TOOLBAR_H, rect.y + 8), 'right');
+    }
+  } catch (error) {
+    console.error('Error in renderPreviewImage:', error);
+  }
+}
+
+/**
+ * Redraw the preview with whatever was last rendered (result or live proxy).
+ * Used when only the compare view changes.
+ * @returns {void}
+ */
+function redrawPreview() {
+  if (lastPreview) {
+    renderPreviewImage(lastPreview.source, lastPreview.fullW, lastPreview.fullH);
+  } else {
+    renderPreviewFromExport();
+  }
+}
+
+/**
+ * Place an image in a pane.
+ * At fit zoom this is 'contain' scaling with a small padding factor so the
+ * image doesn't touch container edges, never upscaling small images.
+ * Otherwise the image is drawn at `previewZoom`, offset by `previewPan`.
+ * @param {number} srcW - Image width
+ * @param {number} srcH - Image height
+ * @param {number} x - Pane left (CSS pixels)
+ * @param {number} y - Pane top (CSS pixels)
+ * @param {number} w - Pane width (CSS pixels)
+ * @param {number} h - Pane height (CSS pixels)
+ * @returns {{x: number, y: number, w: number, h: number, scale: number, pane: Object}} Drawing rectangle
+ */
+function layoutPreviewRect(srcW, srcH, x, y, w, h) {
+  const pane = { x, y, w, h };
+  let scale;
+  let cx = x + w / 2;
+  let cy = y + h / 2;
+  if (previewZoom === null) {
     const paddingFactor = 0.95; // leave slight margin inside preview
-    let scale = Math.min(PREVIEW_W / srcW, PREVIEW_H / srcH);
+    scale = Math.min(w / srcW, h / srcH);
     // Prevent excessive upscaling on very small images; cap scale to 1 (no upscale)
     scale = Math.min(scale, 1) * paddingFactor;
-    const dw = Math.round(srcW * scale);
-    const dh = Math.round(srcH * scale);
-    const dx = Math.round((PREVIEW_W - dw) / 2);
-    const dy = Math.round((PREVIEW_H - dh) / 2);
+  } else {
+    scale = previewZoom;
+    cx += previewPan.x;
+    cy += previewPan.y;
+  }
+  const dw = Math.round(srcW * scale);
+  const dh = Math.round(srcH * scale);
+  return { x: Math.round(cx - dw / 2), y: Math.round(cy - dh / 2), w: dw, h: dh, scale, pane };
+}
+
+/**
+ * Draw originalCanvas fitted (contain) and centered inside a result's
+ * rectangle. The result may have a different aspect ratio than the source
+ * (fixed output sizes, fit-glyphs), so the original keeps its own.
+ * @param {{x: number, y: number, w: number, h: number}} rect - Rectangle from layoutPreviewRect
+ * @returns {void}
+ */
+function drawOriginalInRect(rect) {
+  const scale = Math.min(rect.w / originalCanvas.width, rect.h / originalCanvas.height);
+  const dw = Math.round(originalCanvas.width * scale);
+  const dh = Math.round(originalCanvas.height * scale);
+  const dx = rect.x + Math.round((rect.w - dw) / 2);
+  const dy = rect.y + Math.round((rect.h - dh) / 2);
+  ctx.drawImage(originalCanvas, dx, dy, dw, dh);
+}
 
-    console.log('Drawing preview (contain) at', dx, dy, 'size', dw, 'x', dh, 'scale', scale.toFixed(2));
-    ctx.drawImage(exportCanvas, 0, 0, srcW, srcH, dx, dy, dw, dh);
+/**
+ * Run a draw call clipped to a rectangle's pane (side-by-side view).
+ * @param {{pane: Object}} rect - Rectangle from layoutPreviewRect
+ * @param {Function} draw - Drawing callback
+ * @returns {void}
+ */
+function drawClippedToPane(rect, draw) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(rect.pane.x, rect.pane.y, rect.pane.w, rect.pane.h);
+  ctx.clip();
+  draw();
+  ctx.restore();
+}
 
-    const endTime = performance.now();
-    console.log('renderPreviewFromExport completed in', (endTime - startTime).toFixed(2), 'ms');
-  } catch (error) {
-    console.error('Error in renderPreviewFromExport:', error);
-  }
+/**
+ * Current preview scale (CSS pixels per image pixel), resolving fit zoom.
+ * @returns {number}
+ */
+function getPreviewScale() {
+  if (previewZoom !== null) return previewZoom;
+  return previewRects.length ? previewRects[0].scale : 1;
+}
+
+/**
+ * Set the preview zoom and recenter.
+ * @param {(number|null)} zoom - Scale, or null to fit
+ * @returns {void}
+ */
+function setPreviewZoom(zoom) {
+  previewZoom = zoom;
+  previewPan.x = 0;
+  previewPan.y = 0;
+  outputCanvas.classList.toggle('zoomed', zoom !== null);
+  updateZoomLabel();
+  redrawPreview();
+}
+
+/**
+ * Zoom the preview, keeping the image point under (x, y) in place
+ * (or moving it to (toX, toY), for pinch gestures that also pan).
+ * @param {number} zoom - New scale (clamped to MIN_ZOOM..MAX_ZOOM)
+ * @param {number} x - Anchor x (CSS pixels)
+ * @param {number} y - Anchor y (CSS pixels)
+ * @param {number} [toX=x] - Where the anchor ends up, x
+ * @param {number} [toY=y] - Where the anchor ends up, y
+ * @returns {void}
+ */
+function zoomPreviewAt(zoom, x, y, toX = x, toY = y) {
+  if (!previewRects.length) return;
+  const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+  // Anchor in whichever pane the point falls in
+  const rect = previewRects.find(r => x >= r.pane.x && x < r.pane.x + r.pane.w) || previewRects[0];
+  const u = (x - rect.x) / rect.scale;
+  const v = (y - rect.y) / rect.scale;
+  const srcW = rect.w / rect.scale;
+  const srcH = rect.h / rect.scale;
+  previewPan.x = toX - u * next + (srcW * next) / 2 - (rect.pane.x + rect.pane.w / 2);
+  previewPan.y = toY - v * next + (srcH * next) / 2 - (rect.pane.y + rect.pane.h / 2);
+  previewZoom = next;
+  outputCanvas.classList.add('zoomed');
+  updateZoomLabel();
+  redrawPreview();
+}
+
+/**
+ * Show the zoom level next to the Fit / 1:1 buttons.
+ * @returns {void}
+ */
+function updateZoomLabel() {
+  if (zoomLevelLabel) zoomLevelLabel.textContent = previewZoom === null ? 'Fit' : Math.round(previewZoom * 100) + '%';
+}
+
+/**
+ * Draw the split-view divider line and its drag handle.
+ * @param {number} splitX - Divider position (CSS pixels)
+ * @param {{x: number, y: number, w: number, h: number}} rect - Image rectangle
+ * @param {number} viewH - Preview height (CSS pixels), to keep the handle visible
+ * @returns {void}
+ */
+function drawSplitDivider(splitX, rect, viewH) {
+  ctx.save();
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 2;
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+  ctx.shadowBlur = 4;
+  ctx.beginPath();
+  ctx.moveTo(splitX, Math.max(0, rect.y));
+  ctx.lineTo(splitX, Math.min(viewH, rect.y + rect.h));
+  ctx.stroke();
+
+  const cy = (Math.max(0, rect.y) + Math.min(viewH, rect.y + rect.h)) / 2;
+  ctx.fillStyle = '#ffffff';
+  ctx.beginPath();
+  ctx.arc(splitX, cy, 12, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.shadowBlur = 0;
+  ctx.fillStyle = '#333';
+  ctx.font = '12px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('⇆', splitX, cy);
+  ctx.restore();
+}
+
+/**
+ * Draw a small caption badge on the preview.
+ * @param {string} text - Caption
+ * @param {number} x - Anchor x (CSS pixels)
+ * @param {number} y - Top (CSS pixels)
+ * @param {string} [align='left'] - 'left' or 'right' of the anchor
+ * @returns {void}
+ */
+function drawPreviewLabel(text, x, y, align) {
+  ctx.save();
+  ctx.font = '12px Arial';
+  ctx.textBaseline = 'top';
+  const w = ctx.measureText(text).width + 12;
+  const left = align === 'right' ? x - w : x;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+  ctx.fillRect(left, y, w, 20);
+  ctx.fillStyle = '#ffffff';
+  ctx.textAlign = 'left';
+  ctx.fillText(text, left + 6, y + 4);
+  ctx.restore();
 }
-// animateGifPreview removed (no animated GIF support)
 
 // ============================================================================
 // IMAGE LOADING
 // ============================================================================
 
+/**
+ * Route dropped or chosen files: a single file opens in the editor as
+ * before; several files (or any file while a batch is queued) go to the
+ * batch queue.
+ * @param {FileList|File[]} fileList - Files from the drop or file input
+ * @returns {void}
+ */
+function handleFiles(fileList) {
+  const files = Array.from(fileList);
+  if (files.length === 1 && batchItems.length === 0) {
+    handleFile(files[0]);
+    return;
+  }
+  addBatchFiles(files);
+}
+
 /**
  * Handle file upload - validates and reads image file as DataURL.
  * Clears conversion history and loads the image for processing.
@@ -443,6 +1162,12 @@ function handleFile(file) {
     lastModified: file.lastModified
   });
   
+  // Project files can be dropped on the upload area too
+  if (isProjectFile(file)) {
+    openProjectFile(file);
+    return;
+  }
+
   // Validate file
   if (!file.type.startsWith('image/')) {
     console.warn('File validation failed: not an image type');
@@ -464,9 +1189,10 @@ function handleFile(file) {
     try {
       const dataURL = e.target.result;
 
-      // Clear history when loading a new image
-      historyStack.length = 0;
-      undoBtn.disabled = true;
+      // A running conversion belongs to the previous image
+      cancelConversion();
+
+      setCurrentSeed(null);
 
       loadStaticImage(dataURL);
 
@@ -501,9 +1227,10 @@ function handleFile(file) {
  * Stores original image data for reset functionality.
  * Renders preview and enables download button.
  * @param {string} dataURL - Base64-encoded image data URL
+ * @param {Function} [onReady] - Called once the image is in place
  * @returns {void}
  */
-function loadStaticImage(dataURL) {
+function loadStaticImage(dataURL, onReady) {
   console.log('loadStaticImage called');
   
   // Clear undo history when loading new image handled elsewhere
@@ -523,6 +1250,14 @@ function loadStaticImage(dataURL) {
       }
       
       loadedImage = img;
+      stopPlayback();
+
+      // Animated GIFs keep every frame; the canvases get the first one
+      sourceAnimation = decodeAnimation(dataURL);
+      if (sourceAnimation && (sourceAnimation.width !== img.width || sourceAnimation.height !== img.height)) {
+        console.warn('GIF frame size does not match the image, using the first frame only');
+        sourceAnimation = null;
+      }
 
       // Initialize export canvas with proper dimensions
       console.log('Setting exportCanvas dimensions to', img.width, 'x', img.height);
@@ -533,24 +1268,42 @@ function loadStaticImage(dataURL) {
       exportCtx.clearRect(0, 0, img.width, img.height);
       
       console.log('Drawing image to exportCanvas');
-      exportCtx.drawImage(img, 0, 0);
+      if (sourceAnimation) {
+        exportCtx.putImageData(sourceAnimation.frames[0].image, 0, 0);
+      } else {
+        exportCtx.drawImage(img, 0, 0);
+      }
 
       // Also save to originalCanvas for conversion source (pristine copy)
       originalCanvas.width = img.width;
       originalCanvas.height = img.height;
       originalCtx.clearRect(0, 0, img.width, img.height);
-      originalCtx.drawImage(img, 0, 0);
+      originalCtx.drawImage(exportCanvas, 0, 0);
+      livePreviewSource = null;
 
-      // Store original for reset
-      originalImageData = exportCanvas.toDataURL('image/png');
+      // History starts over from the new original
+      resetHistory();
+
+      // Store original for reset (animations keep the GIF so projects do too)
+      originalImageData = sourceAnimation ? dataURL : exportCanvas.toDataURL('image/png');
       console.log('Original image data saved');
 
+      // New images start fitted to the preview
+      previewZoom = null;
+      previewPan.x = 0;
+      previewPan.y = 0;
+      outputCanvas.classList.remove('zoomed');
+      updateZoomLabel();
+
       // Render preview
       console.log('Calling renderPreviewFromExport');
       renderPreviewFromExport();
+      playSourceAnimation();
       
       downloadBtn.disabled = false;
       console.log('Image preview rendered successfully');
+      if (onReady) onReady();
+      scheduleLivePreview();
     } catch (error) {
       console.error('Error in img.onload:', error, error.stack);
       alert('Error processing image: ' + error.message);
@@ -574,474 +1327,2256 @@ function loadStaticImage(dataURL) {
 
 
 // ============================================================================
-// CONVERSION ORCHESTRATION
+// PROJECT FILES
 // ============================================================================
+// A project is a JSON file holding everything needed to get back to the
+// same state: the original image (PNG data URL), the mode, every control in
+// the settings tabs, and the history as operations (mode + options, which
+// include the paint seed). Results are not stored; the current state is
+// regenerated from the original on open.
 
 /**
- * Check for secret easter egg - triggers on 10th ASCII conversion.
- * Increments conversion counter and performs easter egg action.
- * @returns {void}
+ * Whether a file looks like a saved project rather than an image.
+ * @param {File} file - Picked or dropped file
+ * @returns {boolean}
  */
-function checkEasterEgg() {
-  asciiConversionCount++;
-  if (asciiConversionCount === 10) {
-    triggerEasterEgg();
-    asciiConversionCount = 0;
-  }
+function isProjectFile(file) {
+  return file.type === 'application/json' || /\.json$/i.test(file.name);
 }
 
 /**
- * Trigger surprise easter egg display.
- * Shows celebratory text and attempts to load a neutral surprise image from web.
- * Plays optional celebratory audio accompaniment.
- * @async
- * @returns {void}
+ * Read every settings control, keyed by element id.
+ * @param {string} [scope='.settings-tabs'] - Selector of the container to read
+ * @returns {Object} Checkbox states and input/select values
  */
-async function triggerEasterEgg() {
-  // Create a surprise display sized to current preview
-  resizeOutputCanvas();
-  const PREVIEW_W = outputCanvas.clientWidth || 800;
-  const PREVIEW_H = outputCanvas.clientHeight || 600;
+function collectSettings(scope = '.settings-tabs') {
+  const settings = {};
+  document.querySelectorAll(`${scope} input[id], ${scope} select[id]`).forEach((el) => {
+    settings[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  return settings;
+}
 
-  ctx.clearRect(0, 0, PREVIEW_W, PREVIEW_H);
-  ctx.fillStyle = '#1a1a1a';
-  ctx.fillRect(0, 0, PREVIEW_W, PREVIEW_H);
+/**
+ * Restore settings controls saved by collectSettings.
+ * Unknown ids are ignored so older projects still open.
+ * @param {Object} settings - Saved control values
+ * @returns {void}
+ */
+function applySettings(settings) {
+  settings = migrateLegacyPaintSettings(settings || {});
+  Object.keys(settings).forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el || !el.closest('.settings-tabs')) return;
+    if (el.type === 'checkbox') {
+      el.checked = !!settings[id];
+    } else {
+      el.value = settings[id];
+    }
+  });
+  // Rebuild the layer stack first, then refresh the static sliders' value
+  // labels. The stack's own sliders (no id) write the pipeline back to
+  // #paintPipeline on input, so they must not be fired here.
+  if (settings.paintPipeline !== undefined) loadPipelineFromInput();
+  document.querySelectorAll('.settings-tabs input[type="range"][id]').forEach((el) => {
+    el.dispatchEvent(new Event('input'));
+  });
+  updateOutputSizeControls();
+}
 
-  // Draw surprise text
-  ctx.fillStyle = '#FFD700';
-  ctx.font = 'bold 64px Arial';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText('🎉 SURPRISE! 🎉', PREVIEW_W / 2, PREVIEW_H / 2 - 80);
+/**
+ * Convert Paint settings saved before the layer stack (effect checkboxes
+ * and shared sliders) into a `paintPipeline` setting.
+ * @param {Object} settings - Saved control values
+ * @returns {Object} Settings with the legacy ids replaced
+ */
+function migrateLegacyPaintSettings(settings) {
+  if (settings.paintPipeline !== undefined || settings.stylePixel === undefined) return settings;
+  const migrated = Object.assign({}, settings);
+  const pipeline = ImageStylerEngine.pipelineFromLegacy({
+    pixel: settings.stylePixel,
+    brush: settings.styleBrush,
+    gallery: settings.styleGallery,
+    impression: settings.styleImpression,
+    watercolor: settings.styleWatercolor,
+    pixelSize: Number(settings.pixelSize),
+    brushStrength: Number(settings.brushStrength) / 100,
+    textureStrength: Number(settings.textureStrength) / 100
+  });
+  ['stylePixel', 'styleBrush', 'styleGallery', 'styleImpression', 'styleWatercolor',
+    'pixelSize', 'brushStrength', 'textureStrength'].forEach(id => delete migrated[id]);
+  migrated.paintPipeline = JSON.stringify(pipeline);
+  return migrated;
+}
+
+/**
+ * Build the project object for the current state.
+ * @returns {Object} Serializable project
+ */
+function buildProject() {
+  return {
+    app: 'ImageStyler',
+    version: PROJECT_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    image: originalImageData,
+    mode: modeSelect.value,
+    settings: collectSettings(),
+    history: {
+      index: historyIndex,
+      entries: historyEntries.slice(1).map(entry => ({ mode: entry.mode, options: entry.options }))
+    }
+  };
+}
+
+/**
+ * Download the current project as a JSON file.
+ * @returns {void}
+ */
+function saveProject() {
+  if (!originalImageData) {
+    alert('Please upload an image first.');
+    return;
+  }
+  downloadText(JSON.stringify(buildProject()), 'imagestyler-project.json', 'application/json');
+}
+
+/**
+ * Read a project file and restore it.
+ * @param {File} file - Project JSON file
+ * @returns {void}
+ */
+function openProjectFile(file) {
+  const reader = new FileReader();
+  reader.onerror = () => {
+    console.error('FileReader error:', reader.error);
+    alert('Error reading file: ' + reader.error);
+  };
+  reader.onload = () => {
+    let project;
+    try {
+      project = JSON.parse(reader.result);
+    } catch (e) {
+      alert('This is not a valid project file.');
+      return;
+    }
+    loadProject(project);
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Restore a project: image, mode, settings, then history. The saved
+ * current state is regenerated from the original.
+ * @param {Object} project - Parsed project file
+ * @returns {void}
+ */
+function loadProject(project) {
+  if (!project || project.app !== 'ImageStyler' || typeof project.image !== 'string' || !project.image.startsWith('data:image/')) {
+    alert('This is not a valid project file.');
+    return;
+  }
+  if (project.version > PROJECT_FORMAT_VERSION) {
+    alert('This project was saved by a newer version of ImageStyler.');
+    return;
+  }
+
+  cancelConversion();
+  setCurrentSeed(null);
+
+  if (project.mode === 'ascii' || project.mode === 'paint') {
+    modeSelect.value = project.mode;
+    modeSelect.dispatchEvent(new Event('change'));
+  }
+  applySettings(project.settings);
+
+  loadStaticImage(project.image, () => {
+    const saved = (project.history && Array.isArray(project.history.entries)) ? project.history.entries : [];
+    saved
+      .filter(entry => (entry.mode === 'ascii' || entry.mode === 'paint') && entry.options)
+      .forEach((entry) => {
+        historyEntries.push({
+          mode: entry.mode,
+          options: entry.options,
+          label: describeHistoryEntry(entry.mode, entry.options),
+          result: null,
+          bytes: 0,
+          lastUsed: 0
+        });
+      });
+    renderHistoryList();
+    const index = Math.min(Math.max(0, Number(project.history && project.history.index) || 0), historyEntries.length - 1);
+    jumpToHistory(index);
+  });
+
+  try {
+    localStorage.setItem('savedImage', project.image);
+  } catch (e) {
+    console.warn('Could not save to localStorage', e);
+  }
+}
+
+// ============================================================================
+// PAINT PIPELINE
+// ============================================================================
+// The Paint tab edits an ordered layer stack (bottom step first). Each step
+// has its own parameters, opacity and blend mode and can be toggled,
+// reordered or removed; effects can be added more than once. The stack is
+// mirrored as JSON in the hidden #paintPipeline input so project files and
+// presets pick it up like any other control.
+
+const DEFAULT_PAINT_PIPELINE = [
+  { effect: 'pixel', params: { size: 8 } },
+  { effect: 'brush', params: { size: 8, strength: 0.7 } },
+  { effect: 'texture', params: { strength: 0.4 } }
+];
+
+let paintPipeline = DEFAULT_PAINT_PIPELINE.map(ImageStylerEngine.normalizePipelineStep);
+
+/**
+ * Read the layer stack from the hidden input (after a project or preset
+ * set it) and redraw the editor.
+ * @returns {void}
+ */
+function loadPipelineFromInput() {
+  if (!paintPipelineInput) return;
+  try {
+    const steps = JSON.parse(paintPipelineInput.value || '[]');
+    paintPipeline = steps
+      .filter(step => step && ImageStylerEngine.PAINT_EFFECTS[step.effect])
+      .map(ImageStylerEngine.normalizePipelineStep);
+  } catch (e) {
+    console.warn('Invalid paint pipeline, keeping the current one', e);
+  }
+  syncPipelineInput();
+  renderPipelineEditor();
+}
+
+/**
+ * Write the layer stack to the hidden input.
+ * @returns {void}
+ */
+function syncPipelineInput() {
+  if (paintPipelineInput) paintPipelineInput.value = JSON.stringify(paintPipeline);
+}
+
+/**
+ * Record a structural stack change (add/move/remove) and refresh.
+ * @returns {void}
+ */
+function pipelineChanged() {
+  syncPipelineInput();
+  renderPipelineEditor();
+  scheduleLivePreview();
+}
+
+/**
+ * Format a step parameter for its value label.
+ * @param {Object} param - Parameter description from PAINT_EFFECTS
+ * @param {number} value - Current value
+ * @returns {string}
+ */
+function formatPipelineParam(param, value) {
+  return param.step < 1 ? Math.round(value * 100) + '%' : String(value);
+}
+
+/**
+ * Build a labelled range slider for the step editor.
+ * @param {string} label - Caption
+ * @param {{min: number, max: number, step: number}} range - Slider range
+ * @param {number} value - Current value
+ * @param {function(number): string} format - Value label formatter
+ * @param {function(number): void} onInput - Receives the new value
+ * @returns {HTMLElement}
+ */
+function createPipelineSlider(label, range, value, format, onInput) {
+  const row = document.createElement('label');
+  row.className = 'pipeline-param';
+  const caption = document.createElement('span');
+  caption.textContent = label;
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.className = 'range-input';
+  input.min = range.min;
+  input.max = range.max;
+  input.step = range.step;
+  input.value = value;
+  const valueLabel = document.createElement('span');
+  valueLabel.className = 'range-value';
+  valueLabel.textContent = format(value);
+  input.addEventListener('input', () => {
+    const v = Number(input.value);
+    valueLabel.textContent = format(v);
+    onInput(v);
+    syncPipelineInput();
+  });
+  row.append(caption, input, valueLabel);
+  return row;
+}
+
+/**
+ * Build a labelled dropdown for the step editor.
+ * @param {string} label - Caption
+ * @param {{value: string, label: string}[]} options - Choices
+ * @param {string} value - Current value
+ * @param {function(string): void} onChange - Receives the new value
+ * @returns {HTMLElement}
+ */
+function createPipelineSelect(label, options, value, onChange) {
+  const row = document.createElement('label');
+  row.className = 'pipeline-param';
+  const caption = document.createElement('span');
+  caption.textContent = label;
+  const select = document.createElement('select');
+  select.className = 'select-input';
+  options.forEach((choice) => {
+    const option = document.createElement('option');
+    option.value = choice.value;
+    option.textContent = choice.label;
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.addEventListener('change', () => {
+    onChange(select.value);
+    syncPipelineInput();
+  });
+  row.append(caption, select);
+  return row;
+}
+
+/**
+ * Build the custom palette row: color swatches plus Load/Clear buttons.
+ * Loading a .gpl/.hex file also switches the step's palette to "custom".
+ * @param {Object} step - Pipeline step being edited
+ * @param {Object} param - 'colors' parameter description from PAINT_EFFECTS
+ * @returns {HTMLElement}
+ */
+function createPaletteParam(step, param) {
+  const row = document.createElement('div');
+  row.className = 'pipeline-param pipeline-palette';
+  const caption = document.createElement('span');
+  caption.textContent = param.label;
+  const swatches = document.createElement('div');
+  swatches.className = 'pipeline-swatches';
+  const colors = step.params[param.key];
+  if (colors.length === 0) swatches.textContent = 'None loaded';
+  colors.forEach((hex) => {
+    const swatch = document.createElement('span');
+    swatch.className = 'pipeline-swatch';
+    swatch.style.background = hex;
+    swatch.title = hex;
+    swatches.appendChild(swatch);
+  });
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.gpl,.hex,.txt';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onerror = () => {
+      console.error('FileReader error:', reader.error);
+      alert('Error reading file: ' + reader.error);
+    };
+    reader.onload = () => {
+      try {
+        step.params[param.key] = ImageStylerEngine.parsePaletteFile(reader.result);
+      } catch (e) {
+        alert('Could not load palette: ' + e.message);
+        return;
+      }
+      if ('palette' in step.params) step.params.palette = 'custom';
+      pipelineChanged();
+    };
+    reader.readAsText(file);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'pipeline-step-actions';
+  actions.append(
+    createPipelineButton('Load…', 'Load a GIMP .gpl or .hex palette file', false, () => fileInput.click()),
+    createPipelineButton('Clear', 'Remove the custom palette', colors.length === 0, () => {
+      step.params[param.key] = [];
+      pipelineChanged();
+    })
+  );
+  row.append(caption, swatches, actions, fileInput);
+  return row;
+}
+
+/**
+ * Create a small icon button for a step header.
+ * @param {string} text - Button text
+ * @param {string} title - Tooltip
+ * @param {boolean} disabled - Whether the action is unavailable
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createPipelineButton(text, title, disabled, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn';
+  btn.textContent = text;
+  btn.title = title;
+  btn.disabled = disabled;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/**
+ * Redraw the layer stack editor. Steps are listed top layer first, the way
+ * layer panels usually read; paintPipeline itself is bottom first.
+ * @returns {void}
+ */
+function renderPipelineEditor() {
+  if (!pipelineList) return;
+  pipelineList.innerHTML = '';
+  if (paintPipeline.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'pipeline-empty';
+    empty.textContent = 'No effects yet - add one below.';
+    pipelineList.appendChild(empty);
+    return;
+  }
+
+  for (let index = paintPipeline.length - 1; index >= 0; index--) {
+    const step = paintPipeline[index];
+    const def = ImageStylerEngine.PAINT_EFFECTS[step.effect];
+    const item = document.createElement('li');
+    item.className = 'pipeline-step' + (step.enabled ? '' : ' disabled');
+
+    const header = document.createElement('div');
+    header.className = 'pipeline-step-header';
+    const toggle = document.createElement('label');
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = step.enabled;
+    enabled.addEventListener('change', () => {
+      step.enabled = enabled.checked;
+      item.classList.toggle('disabled', !step.enabled);
+      syncPipelineInput();
+    });
+    toggle.append(enabled, ' ' + def.label);
+
+    const actions = document.createElement('div');
+    actions.className = 'pipeline-step-actions';
+    actions.append(
+      createPipelineButton('↑', 'Move up (later in the stack)', index === paintPipeline.length - 1, () => {
+        paintPipeline.splice(index, 2, paintPipeline[index + 1], step);
+        pipelineChanged();
+      }),
+      createPipelineButton('↓', 'Move down (earlier in the stack)', index === 0, () => {
+        paintPipeline.splice(index - 1, 2, step, paintPipeline[index - 1]);
+        pipelineChanged();
+      }),
+      createPipelineButton('✕', 'Remove this step', false, () => {
+        paintPipeline.splice(index, 1);
+        pipelineChanged();
+      })
+    );
+    header.append(toggle, actions);
+
+    const body = document.createElement('div');
+    body.className = 'pipeline-step-body';
+    def.params.forEach((param) => {
+      if (param.options) {
+        body.appendChild(createPipelineSelect(param.label, param.options, step.params[param.key],
+          (v) => { step.params[param.key] = v; }));
+      } else if (param.type === 'colors') {
+        body.appendChild(createPaletteParam(step, param));
+      } else {
+        body.appendChild(createPipelineSlider(param.label, param, step.params[param.key],
+          v => formatPipelineParam(param, v), (v) => { step.params[param.key] = v; }));
+      }
+    });
+    body.appendChild(createPipelineSlider('Opacity', { min: 0, max: 1, step: 0.01 }, step.opacity,
+      v => Math.round(v * 100) + '%', (v) => { step.opacity = v; }));
+
+    const blendModes = ImageStylerEngine.BLEND_MODES.map(mode => ({
+      value: mode,
+      label: mode.charAt(0).toUpperCase() + mode.slice(1)
+    }));
+    body.appendChild(createPipelineSelect('Blend', blendModes, step.blend, (v) => { step.blend = v; }));
+
+    item.append(header, body);
+    pipelineList.appendChild(item);
+  }
+}
+
+/**
+ * Fill the "add effect" dropdown from the engine's effect registry.
+ * @returns {void}
+ */
+function initPipelineEditor() {
+  if (pipelineAddSelect) {
+    Object.keys(ImageStylerEngine.PAINT_EFFECTS).forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = ImageStylerEngine.PAINT_EFFECTS[key].label;
+      pipelineAddSelect.appendChild(option);
+    });
+  }
+  syncPipelineInput();
+  renderPipelineEditor();
+}
+
+// ============================================================================
+// STYLE PRESETS
+// ============================================================================
+// A preset is a named set of control values for one mode's tab:
+// { name, mode, settings } with settings keyed by element id (the same
+// format project files use). Built-ins ship with the app; user presets live
+// in localStorage and can be exported/imported as JSON. The paint seed is
+// left out so a preset keeps producing fresh variations.
+
+const PRESET_STORAGE_KEY = 'stylePresets';
+const PRESET_EXCLUDED_IDS = ['paintSeed', 'pipelineAddSelect'];
+
+const BUILTIN_PRESETS = [
+  {
+    name: '8-bit',
+    mode: 'paint',
+    settings: {
+      paintPipeline: JSON.stringify([
+        { effect: 'pixel', params: { size: 12 } }
+      ])
+    }
+  },
+  {
+    name: 'Game Boy',
+    mode: 'paint',
+    settings: {
+      paintPipeline: JSON.stringify([
+        { effect: 'pixel', params: { size: 6, palette: 'gameboy', dither: 'bayer' } }
+      ])
+    }
+  },
+  {
+    name: 'Soft watercolor',
+    mode: 'paint',
+    settings: {
+      paintPipeline: JSON.stringify([
+        { effect: 'pixel', params: { size: 6 }, opacity: 0.5 },
+        { effect: 'brush', params: { size: 6, strength: 0.55 } },
+        { effect: 'watercolor', params: { size: 10, strength: 0.15 } },
+        { effect: 'texture', params: { strength: 0.25 } }
+      ])
+    }
+  },
+  {
+    name: 'Impressionist canvas',
+    mode: 'paint',
+    settings: {
+      paintPipeline: JSON.stringify([
+        { effect: 'brush', params: { size: 10, strength: 0.8 } },
+        { effect: 'impression', params: { size: 10, density: 0.35 } },
+        { effect: 'texture', params: { strength: 0.5 } }
+      ])
+    }
+  },
+  {
+    name: 'Expressive strokes',
+    mode: 'paint',
+    settings: {
+      paintPipeline: JSON.stringify([
+        { effect: 'strokes', params: { length: 20, width: 4, layers: 3 } },
+        { effect: 'texture', params: { strength: 0.35 } }
+      ])
+    }
+  },
+  {
+    name: 'Pencil sketch',
+    mode: 'paint',
+    settings: {
+      paintPipeline: JSON.stringify([
+        { effect: 'sketch', params: { lineWeight: 2, hatching: 0.6, paper: 0.35 } },
+        { effect: 'texture', params: { strength: 0.2 } }
+      ])
+    }
+  },
+  {
+    name: 'Newsprint halftone',
+    mode: 'paint',
+    settings: {
+      paintPipeline: JSON.stringify([
+        { effect: 'halftone', params: { size: 6, inks: 'cmyk' } },
+        { effect: 'texture', params: { strength: 0.3 } }
+      ])
+    }
+  },
+  {
+    name: 'Terminal ASCII',
+    mode: 'ascii',
+    settings: {
+      fontSize: 10, asciiCols: 120, asciiTextMode: 'ascii', asciiFont: 'monospace',
+      asciiRampPreset: 'standard', asciiRamp: ImageStylerEngine.RAMP_PRESETS.standard,
+      asciiAutoOrder: false, asciiInvert: true, asciiColor: false, asciiEdges: false,
+      asciiDither: 'none', asciiBrightness: 0, asciiContrast: 10, asciiGamma: 100
+    }
+  },
+  {
+    name: 'Braille detail',
+    mode: 'ascii',
+    settings: {
+      fontSize: 10, asciiCols: 160, asciiTextMode: 'braille', asciiInvert: true, asciiColor: false,
+      asciiEdges: false, asciiDither: 'atkinson', asciiBrightness: 0, asciiContrast: 0, asciiGamma: 100
+    }
+  },
+  {
+    name: 'Color blocks',
+    mode: 'ascii',
+    settings: {
+      fontSize: 12, asciiCols: 100, asciiTextMode: 'halfblock', asciiColor: true, asciiInvert: false,
+      asciiDither: 'none', asciiBrightness: 0, asciiContrast: 0, asciiGamma: 100
+    }
+  }
+];
+
+let userPresets = []; // { name, mode, settings } saved by the user
+
+/**
+ * Load user presets from localStorage.
+ * @returns {void}
+ */
+function loadUserPresets() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+    userPresets = Array.isArray(saved) ? saved.filter(isValidPreset) : [];
+  } catch (e) {
+    console.warn('Could not read saved presets', e);
+    userPresets = [];
+  }
+}
+
+/**
+ * Persist user presets to localStorage.
+ * @returns {void}
+ */
+function storeUserPresets() {
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(userPresets));
+  } catch (e) {
+    console.warn('Could not save presets', e);
+  }
+}
+
+/**
+ * Check the shape of a preset read from storage or a file.
+ * @param {*} preset - Candidate preset
+ * @returns {boolean}
+ */
+function isValidPreset(preset) {
+  return !!preset && typeof preset.name === 'string' && preset.name.trim() !== '' &&
+    (preset.mode === 'ascii' || preset.mode === 'paint') &&
+    !!preset.settings && typeof preset.settings === 'object';
+}
+
+/**
+ * Rebuild the preset dropdown, keeping a selection if given.
+ * @param {string} [selectValue=''] - Option value to select ('builtin:N' or 'user:N')
+ * @returns {void}
+ */
+function renderPresetSelect(selectValue = '') {
+  if (!presetSelect) return;
+  presetSelect.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = '— Choose a preset —';
+  presetSelect.appendChild(placeholder);
+
+  const addGroup = (label, presets, kind) => {
+    if (presets.length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    presets.forEach((preset, i) => {
+      const option = document.createElement('option');
+      option.value = `${kind}:${i}`;
+      option.textContent = `${preset.name} (${preset.mode === 'ascii' ? 'ASCII' : 'Paint'})`;
+      group.appendChild(option);
+    });
+    presetSelect.appendChild(group);
+  };
+  addGroup('Built-in', BUILTIN_PRESETS, 'builtin');
+  addGroup('My presets', userPresets, 'user');
+
+  presetSelect.value = selectValue;
+  if (presetSelect.value !== selectValue) presetSelect.value = '';
+  updatePresetButtons();
+}
+
+/**
+ * Resolve the preset chosen in the dropdown.
+ * @returns {({name: string, mode: string, settings: Object, builtin: boolean, index: number}|null)}
+ */
+function getSelectedPreset() {
+  if (!presetSelect || !presetSelect.value) return null;
+  const [kind, i] = presetSelect.value.split(':');
+  const list = kind === 'builtin' ? BUILTIN_PRESETS : userPresets;
+  const preset = list[Number(i)];
+  return preset ? Object.assign({ builtin: kind === 'builtin', index: Number(i) }, preset) : null;
+}
+
+/**
+ * Enable Rename/Delete only for a selected user preset.
+ * @returns {void}
+ */
+function updatePresetButtons() {
+  const preset = getSelectedPreset();
+  const editable = !!preset && !preset.builtin;
+  if (renamePresetBtn) renamePresetBtn.disabled = !editable;
+  if (deletePresetBtn) deletePresetBtn.disabled = !editable;
+  if (exportPresetsBtn) exportPresetsBtn.disabled = userPresets.length === 0;
+}
+
+/**
+ * Switch to a preset's mode and apply its settings.
+ * @param {{mode: string, settings: Object}} preset - Preset to apply
+ * @returns {void}
+ */
+function applyPreset(preset) {
+  if (modeSelect.value !== preset.mode) {
+    modeSelect.value = preset.mode;
+    modeSelect.dispatchEvent(new Event('change'));
+  }
+  applySettings(preset.settings);
+  scheduleLivePreview();
+}
+
+/**
+ * Prompt for a preset name.
+ * @param {string} message - Prompt text
+ * @param {string} [initial=''] - Prefilled name
+ * @returns {(string|null)} Trimmed name, or null if cancelled/empty
+ */
+function promptPresetName(message, initial = '') {
+  const name = prompt(message, initial);
+  if (name === null) return null;
+  const trimmed = name.trim();
+  if (!trimmed) {
+    alert('Please enter a preset name.');
+    return null;
+  }
+  return trimmed;
+}
+
+/**
+ * Save the current mode's settings as a user preset (replacing one with the
+ * same name and mode after confirmation).
+ * @returns {void}
+ */
+function saveCurrentAsPreset() {
+  const mode = modeSelect.value;
+  const name = promptPresetName(`Name for this ${mode === 'ascii' ? 'ASCII' : 'Paint'} preset:`);
+  if (!name) return;
+
+  const settings = collectSettings(`#${mode}-tab`);
+  PRESET_EXCLUDED_IDS.forEach(id => delete settings[id]);
+
+  const existing = userPresets.findIndex(p => p.name === name && p.mode === mode);
+  if (existing >= 0 && !confirm(`Replace the preset "${name}"?`)) return;
+  const preset = { name, mode, settings };
+  let index;
+  if (existing >= 0) {
+    userPresets[existing] = preset;
+    index = existing;
+  } else {
+    userPresets.push(preset);
+    index = userPresets.length - 1;
+  }
+  storeUserPresets();
+  renderPresetSelect(`user:${index}`);
+}
+
+/**
+ * Rename the selected user preset.
+ * @returns {void}
+ */
+function renameSelectedPreset() {
+  const preset = getSelectedPreset();
+  if (!preset || preset.builtin) return;
+  const name = promptPresetName('New preset name:', preset.name);
+  if (!name) return;
+  userPresets[preset.index].name = name;
+  storeUserPresets();
+  renderPresetSelect(`user:${preset.index}`);
+}
+
+/**
+ * Delete the selected user preset after confirmation.
+ * @returns {void}
+ */
+function deleteSelectedPreset() {
+  const preset = getSelectedPreset();
+  if (!preset || preset.builtin) return;
+  if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+  userPresets.splice(preset.index, 1);
+  storeUserPresets();
+  renderPresetSelect();
+}
+
+/**
+ * Download all user presets as a JSON file.
+ * @returns {void}
+ */
+function exportPresets() {
+  if (userPresets.length === 0) {
+    alert('There are no saved presets to export.');
+    return;
+  }
+  const file = { app: 'ImageStyler', type: 'presets', version: 1, presets: userPresets };
+  downloadText(JSON.stringify(file, null, 2), 'imagestyler-presets.json', 'application/json');
+}
+
+/**
+ * Import presets from a JSON file exported by exportPresets. Presets with
+ * the same name and mode as an existing one replace it.
+ * @param {File} file - Presets JSON file
+ * @returns {void}
+ */
+function importPresetsFile(file) {
+  const reader = new FileReader();
+  reader.onerror = () => {
+    console.error('FileReader error:', reader.error);
+    alert('Error reading file: ' + reader.error);
+  };
+  reader.onload = () => {
+    let imported;
+    try {
+      const parsed = JSON.parse(reader.result);
+      imported = Array.isArray(parsed) ? parsed : parsed.presets;
+    } catch (e) {
+      imported = null;
+    }
+    if (!Array.isArray(imported)) {
+      alert('This is not a valid presets file.');
+      return;
+    }
+    const valid = imported.filter(isValidPreset);
+    valid.forEach((preset) => {
+      const clean = { name: preset.name.trim(), mode: preset.mode, settings: preset.settings };
+      const existing = userPresets.findIndex(p => p.name === clean.name && p.mode === clean.mode);
+      if (existing >= 0) {
+        userPresets[existing] = clean;
+      } else {
+        userPresets.push(clean);
+      }
+    });
+    storeUserPresets();
+    renderPresetSelect();
+    const skipped = imported.length - valid.length;
+    alert(`Imported ${valid.length} preset${valid.length === 1 ? '' : 's'}` + (skipped ? ` (${skipped} invalid skipped)` : '') + '.');
+  };
+  reader.readAsText(file);
+}
+
+// ============================================================================
+// CONVERSION ORCHESTRATION
+// ============================================================================
+
+/**
+ * Check for secret easter egg - triggers on 10th ASCII conversion.
+ * Increments conversion counter and performs easter egg action.
+ * @returns {void}
+ */
+function checkEasterEgg() {
+  asciiConversionCount++;
+  if (asciiConversionCount === 10) {
+    triggerEasterEgg();
+    asciiConversionCount = 0;
+  }
+}
+
+/**
+ * Trigger surprise easter egg display.
+ * Shows celebratory text and attempts to load a neutral surprise image from web.
+ * Plays optional celebratory audio accompaniment.
+ * @async
+ * @returns {void}
+ */
+async function triggerEasterEgg() {
+  // Create a surprise display sized to current preview
+  resizeOutputCanvas();
+  const PREVIEW_W = outputCanvas.clientWidth || 800;
+  const PREVIEW_H = outputCanvas.clientHeight || 600;
+
+  ctx.clearRect(0, 0, PREVIEW_W, PREVIEW_H);
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, PREVIEW_W, PREVIEW_H);
+
+  // Draw surprise text
+  ctx.fillStyle = '#FFD700';
+  ctx.font = 'bold 64px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('🎉 SURPRISE! 🎉', PREVIEW_W / 2, PREVIEW_H / 2 - 80);
 
   // Draw celebratory message
   ctx.fillStyle = '#00FF00';
   ctx.font = 'bold 32px Arial';
   ctx.fillText("You've unlocked a surprise!", PREVIEW_W / 2, PREVIEW_H / 2);
 
-  // Draw friendly message
-  ctx.fillStyle = '#FF1493';
-  ctx.font = '24px Arial';
-  ctx.fillText('Enjoy the moment!', PREVIEW_W / 2, PREVIEW_H / 2 + 80);
-  
-  // Try to load and show a neutral surprise image
-  const surpriseImageUrls = [
-    'https://via.placeholder.com/400x300.png?text=Surprise',
-    'https://picsum.photos/400/300'
-  ];
-  
-  // Try each URL until one works
-  for (let url of surpriseImageUrls) {
+  // Draw friendly message
+  ctx.fillStyle = '#FF1493';
+  ctx.font = '24px Arial';
+  ctx.fillText('Enjoy the moment!', PREVIEW_W / 2, PREVIEW_H / 2 + 80);
+  
+  // Try to load and show a neutral surprise image
+  const surpriseImageUrls = [
+    'https://via.placeholder.com/400x300.png?text=Surprise',
+    'https://picsum.photos/400/300'
+  ];
+  
+  // Try each URL until one works
+  for (let url of surpriseImageUrls) {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      // Draw image if successfully loaded
+      const ratio = img.width / img.height;
+      let w = PREVIEW_W * 0.6;
+      let h = w / ratio;
+      if (h > PREVIEW_H * 0.4) {
+        h = PREVIEW_H * 0.4;
+        w = h * ratio;
+      }
+      const x = (PREVIEW_W - w) / 2;
+      const y = PREVIEW_H / 2 + 120;
+      if (y + h <= PREVIEW_H) {
+        ctx.drawImage(img, x, y, w, h);
+      }
+    };
+    img.onerror = () => {
+      console.warn('Could not load surprise image from', url);
+    };
+    img.src = url;
+  }
+  
+  // Play celebratory sound (optional)
+  playEasterAudio();
+}
+
+/**
+ * Play celebratory audio from external source.
+ * Handles audio load failures gracefully.
+ * @returns {void}
+ */
+function playEasterAudio() {
+  try {
+    const audio = new Audio('https://cdn.pixabay.com/download/audio/2021/08/27/audio_a2c5d8b34e.mp3');
+    audio.volume = 0.3;
+    audio.play().catch(() => {
+      console.log('Could not play audio');
+    });
+  } catch (e) {
+    console.log('Audio not available');
+  }
+}
+
+/**
+ * Main conversion orchestration function.
+ * Validates loaded image, saves current state to undo history,
+ * routes to ASCII or Paint conversion based on selected mode.
+ * Renders preview after conversion.
+ * @returns {void}
+ */
+function convert() {
+  if (!loadedImage) {
+    alert('Please upload an image first.');
+    return;
+  }
+  if (batchRunning || (activeJob && !activeJob.preview)) return;
+  // The full-resolution result replaces any live preview
+  cancelLivePreview();
+  const mode = modeSelect.value;
+
+  if (mode === 'ascii') checkEasterEgg();
+  const options = getConversionOptions(mode);
+
+  setConversionBusy(true);
+  runSourceConversion(mode, options)
+    .then((result) => {
+      if (mode === 'ascii') {
+        applyAsciiResult(result);
+      } else {
+        applyPaintResult(result);
+      }
+      pushHistoryEntry(mode, options, result);
+      renderPreviewFromExport();
+    })
+    .catch((error) => {
+      if (error && error.cancelled) return;
+      console.error('Conversion failed', error);
+      alert('Conversion failed: ' + (error && error.message ? error.message : error));
+    })
+    .finally(() => setConversionBusy(false));
+}
+
+/**
+ * Collect the engine options for a mode from the settings tabs.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {boolean} [preview=false] - Live preview: leave the form untouched
+ * @returns {Object} Options for ImageStylerEngine.convertToASCII / convertToPaint
+ */
+function getConversionOptions(mode, preview) {
+  if (mode === 'ascii') {
+    return Object.assign({
+      fontSize: Number(fontSizeInput.value),
+      cols: Number(asciiColsInput.value),
+      output: getOutputOptions()
+    }, getAsciiOptions());
+  }
+  return Object.assign(getPaintOptions(preview), { output: getOutputOptions() });
+}
+
+/**
+ * Collect the output size controls.
+ * @returns {Object|undefined} { mode, width, height } for the engine, or
+ *   undefined when the output matches the source
+ */
+function getOutputOptions() {
+  const mode = outputSizeModeSelect ? outputSizeModeSelect.value : 'source';
+  if (mode === 'fixed') {
+    return {
+      mode,
+      width: Number(outputWidthInput && outputWidthInput.value) || 0,
+      height: Number(outputHeightInput && outputHeightInput.value) || 0
+    };
+  }
+  return mode === 'fit-glyphs' ? { mode } : undefined;
+}
+
+/**
+ * Enable the width/height boxes only for a fixed output size.
+ * @returns {void}
+ */
+function updateOutputSizeControls() {
+  const fixed = !!outputSizeModeSelect && outputSizeModeSelect.value === 'fixed';
+  if (outputWidthInput) outputWidthInput.disabled = !fixed;
+  if (outputHeightInput) outputHeightInput.disabled = !fixed;
+}
+
+/**
+ * Collect the Paint tab's options.
+ * An empty seed field is filled with a fresh random seed first, so every
+ * result has a seed that reproduces it. Live previews don't write to the
+ * form; they use livePreviewSeed, which the next Convert then adopts.
+ * @param {boolean} [preview=false] - Live preview: leave the seed field alone
+ * @returns {Object} Options for ImageStylerEngine.convertToPaint
+ */
+function getPaintOptions(preview) {
+  let seed = paintSeedInput ? paintSeedInput.value.trim() : undefined;
+  if (paintSeedInput && !seed) {
+    seed = livePreviewSeed || String(ImageStylerEngine.randomSeed());
+    if (preview) {
+      livePreviewSeed = seed;
+    } else {
+      paintSeedInput.value = seed;
+      livePreviewSeed = null;
+    }
+  }
+  return {
+    pipeline: paintPipeline.map(step => Object.assign({}, step, { params: Object.assign({}, step.params) })),
+    seed
+  };
+}
+
+/**
+ * Collect the ASCII tab's style options (everything except size and columns).
+ * @returns {Object} Extra options for ImageStylerEngine.convertToASCII
+ */
+function getAsciiOptions() {
+  return {
+    textMode: asciiTextModeSelect ? asciiTextModeSelect.value : 'ascii',
+    color: !!(asciiColorInput && asciiColorInput.checked),
+    fontFamily: asciiFontSelect ? asciiFontSelect.value : 'monospace',
+    ramp: (asciiRampInput && asciiRampInput.value) || ImageStylerEngine.ASCII_CHARS,
+    autoOrder: !!(asciiAutoOrderInput && asciiAutoOrderInput.checked),
+    invert: !!(asciiInvertInput && asciiInvertInput.checked),
+    edges: !!(asciiEdgesInput && asciiEdgesInput.checked),
+    edgeThreshold: asciiEdgeThresholdInput ? Number(asciiEdgeThresholdInput.value) / 100 : 0.3,
+    dither: asciiDitherSelect ? asciiDitherSelect.value : 'none',
+    brightness: asciiBrightnessInput ? Number(asciiBrightnessInput.value) / 100 : 0,
+    contrast: asciiContrastInput ? Number(asciiContrastInput.value) / 100 : 0,
+    gamma: asciiGammaInput ? Number(asciiGammaInput.value) / 100 : 1
+  };
+}
+
+/**
+ * Reset export canvas to original pristine image.
+ * Clears undo history and resets easter egg counter.
+ * @returns {void}
+ */
+function resetToOriginal() {
+  asciiConversionCount = 0;
+  if (!originalImageData) {
+    alert('No image loaded to reset.');
+    return;
+  }
+
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+
+  img.onload = () => {
+    exportCanvas.width = img.width;
+    exportCanvas.height = img.height;
+    exportCtx.clearRect(0, 0, img.width, img.height);
+    exportCtx.drawImage(img, 0, 0);
+    if (sourceAnimation) exportCtx.putImageData(sourceAnimation.frames[0].image, 0, 0);
+    setCurrentSeed(null);
+    renderPreviewFromExport();
+    playSourceAnimation();
+    // Clear history after reset
+    resetHistory();
+  };
+
+  img.onerror = () => {
+    alert('Could not load original image.');
+  };
+
+  img.src = originalImageData;
+}
+
+/**
+ * Download the converted image as PNG file.
+ * Creates temporary download link and triggers native download dialog.
+ * File name: 'converted.png'
+ * @async
+ * @returns {void}
+ */
+async function downloadImage() {
+  const url = exportCanvas.toDataURL('image/png');
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'converted.png';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+// History records operations rather than pixels: each entry keeps the mode
+// and the engine options (including the paint seed) that produced it, so any
+// state can be regenerated from originalCanvas. Rendered results are cached
+// up to the memory limit, least recently used evicted first; an evicted
+// state is regenerated when it is revisited.
+
+let historyEntries = []; // { mode: 'original'|'ascii'|'paint', options, label, result, bytes, lastUsed }
+let historyIndex = -1; // Entry currently shown in exportCanvas
+let historyClock = 0; // Recency counter for cache eviction
+
+/**
+ * Start a fresh history whose only state is the original image.
+ * @returns {void}
+ */
+function resetHistory() {
+  historyEntries = [{ mode: 'original', options: null, label: 'Original image', result: null, bytes: 0, lastUsed: 0 }];
+  historyIndex = 0;
+  renderHistoryList();
+}
+
+/**
+ * Record a finished conversion as the newest state.
+ * Any redo states after the current one are discarded.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} options - Engine options that produced the result
+ * @param {Object} result - Engine result, kept as the state's cache
+ * @returns {void}
+ */
+function pushHistoryEntry(mode, options, result) {
+  historyEntries.length = historyIndex + 1;
+  historyEntries.push({
+    mode,
+    options,
+    label: describeHistoryEntry(mode, options),
+    result,
+    bytes: resultBytes(result),
+    lastUsed: ++historyClock
+  });
+  historyIndex = historyEntries.length - 1;
+  enforceHistoryBudget();
+  renderHistoryList();
+}
+
+/**
+ * Short label for a history entry.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} options - Engine options
+ * @returns {string}
+ */
+function describeHistoryEntry(mode, options) {
+  // Entries are always made from the loaded image, so its frame count applies
+  const frames = sourceAnimation ? ` · ${sourceAnimation.frames.length} frames` : '';
+  if (mode === 'ascii') {
+    const textMode = { ascii: 'ASCII', braille: 'Braille', halfblock: 'Half-block' }[options.textMode] || 'ASCII';
+    return `${textMode} · ${options.cols} cols${options.color ? ' · color' : ''}${describeOutputSize(options.output)}${frames}`;
+  }
+  if (Array.isArray(options.pipeline)) {
+    const effects = options.pipeline
+      .filter(step => step.enabled !== false)
+      .map(step => (ImageStylerEngine.PAINT_EFFECTS[step.effect] || { label: step.effect }).label);
+    return `Paint (${effects.join(' → ') || 'empty'}) · seed ${options.seed}${describeOutputSize(options.output)}${frames}`;
+  }
+  // Projects saved before the layer stack used fixed effect checkboxes
+  const effects = ['pixel', 'brush', 'gallery', 'impression', 'watercolor'].filter(name => options[name]);
+  return `Paint (${effects.join(', ') || 'none'}) · size ${options.pixelSize} · seed ${options.seed}${frames}`;
+}
+
+/**
+ * Short label suffix for a non-default output size.
+ * @param {Object} [output] - Output options from getOutputOptions
+ * @returns {string} e.g. ' · 800×auto', or '' for the source size
+ */
+function describeOutputSize(output) {
+  if (!output) return '';
+  if (output.mode === 'fit-glyphs') return ' · fit glyphs';
+  return ` · ${output.width || 'auto'}×${output.height || 'auto'}`;
+}
+
+/**
+ * Approximate memory held by a cached engine result.
+ * @param {Object} result - ASCII or paint engine result
+ * @returns {number} Bytes
+ */
+function resultBytes(result) {
+  if (!result) return 0;
+  if (result.frames) return result.frames.reduce((sum, frame) => sum + resultBytes(frame), 0);
+  if (result.image) {
+    return result.image.data.byteLength + result.colors.byteLength +
+      (result.bgColors ? result.bgColors.byteLength : 0) + result.text.length * 2;
+  }
+  return result.data.byteLength;
+}
+
+/**
+ * Read the history memory limit.
+ * @returns {number} Limit in bytes
+ */
+function getHistoryMemoryLimit() {
+  const mb = historyMemoryInput ? Number(historyMemoryInput.value) : DEFAULT_HISTORY_MEMORY_MB;
+  return (mb > 0 ? mb : DEFAULT_HISTORY_MEMORY_MB) * 1024 * 1024;
+}
+
+/**
+ * Total memory held by cached history results.
+ * @returns {number} Bytes
+ */
+function historyMemoryUsed() {
+  return historyEntries.reduce((sum, entry) => sum + (entry.result ? entry.bytes : 0), 0);
+}
+
+/**
+ * Drop cached results, least recently used first, until the cache fits the
+ * memory limit. The current state goes last since exportCanvas already
+ * shows it.
+ * @returns {void}
+ */
+function enforceHistoryBudget() {
+  const limit = getHistoryMemoryLimit();
+  let used = historyMemoryUsed();
+  if (used <= limit) return;
+  const cached = historyEntries
+    .filter(entry => entry.result)
+    .sort((a, b) => (a === historyEntries[historyIndex]) - (b === historyEntries[historyIndex]) || a.lastUsed - b.lastUsed);
+  for (const entry of cached) {
+    if (used <= limit) break;
+    used -= entry.bytes;
+    entry.result = null;
+  }
+}
+
+/**
+ * Show a history state, regenerating it from originalCanvas if its result
+ * is no longer cached.
+ * @param {number} index - Entry to show
+ * @returns {void}
+ */
+function jumpToHistory(index) {
+  if (index < 0 || index >= historyEntries.length || index === historyIndex) return;
+  if (batchRunning || (activeJob && !activeJob.preview)) return;
+  cancelLivePreview();
+  const entry = historyEntries[index];
+
+  const show = (result) => {
+    if (entry.mode === 'original') {
+      exportCanvas.width = originalCanvas.width;
+      exportCanvas.height = originalCanvas.height;
+      exportCtx.clearRect(0, 0, exportCanvas.width, exportCanvas.height);
+      exportCtx.drawImage(originalCanvas, 0, 0);
+      setCurrentSeed(null);
+      playSourceAnimation();
+    } else if (entry.mode === 'ascii') {
+      applyAsciiResult(result);
+    } else {
+      applyPaintResult(result);
+    }
+    historyIndex = index;
+    entry.lastUsed = ++historyClock;
+    renderPreviewFromExport();
+    renderHistoryList();
+  };
+
+  if (entry.mode === 'original' || entry.result) {
+    show(entry.result);
+    return;
+  }
+
+  setConversionBusy(true);
+  runSourceConversion(entry.mode, entry.options)
+    .then((result) => {
+      entry.result = result;
+      entry.bytes = resultBytes(result);
+      show(result);
+      enforceHistoryBudget();
+      renderHistoryList();
+    })
+    .catch((error) => {
+      if (error && error.cancelled) return;
+      console.error('Could not regenerate history state', error);
+      alert('Could not restore this state: ' + (error && error.message ? error.message : error));
+    })
+    .finally(() => setConversionBusy(false));
+}
+
+/**
+ * Redraw the history list and the Undo/Redo buttons.
+ * @returns {void}
+ */
+function renderHistoryList() {
+  if (undoBtn) undoBtn.disabled = historyIndex <= 0;
+  if (redoBtn) redoBtn.disabled = historyIndex >= historyEntries.length - 1;
+
+  if (historyMemoryUsage) {
+    const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+    historyMemoryUsage.textContent = `${mb(historyMemoryUsed())} MB cached`;
+  }
+
+  if (!historyList) return;
+  historyList.innerHTML = '';
+  historyEntries.forEach((entry, i) => {
+    const item = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'history-item' + (i === historyIndex ? ' current' : '') + (i > historyIndex ? ' redo' : '');
+    btn.textContent = entry.label;
+    btn.title = entry.mode === 'original' || entry.result ? 'Cached' : 'Regenerated when selected';
+    if (i === historyIndex) btn.setAttribute('aria-current', 'step');
+    btn.addEventListener('click', () => jumpToHistory(i));
+    item.appendChild(btn);
+    historyList.appendChild(item);
+  });
+}
+
+// ============================================================================
+// CONVERSION WORKER
+// ============================================================================
+// Conversions run in worker.js so large images don't block the UI. The
+// result is only swapped into exportCanvas once the job has finished, and
+// Cancel simply terminates the worker (a fresh one is started next time).
+// Where workers are unavailable (e.g. pages opened from file://) the same
+// engine calls run on the main thread instead. Superseded live previews are
+// not terminated: the worker finishes them and their results are dropped.
+
+let conversionWorker = null;
+let workerUnavailable = false;
+let activeJob = null; // { id, mode, source, options, preview, resolve, reject }
+let jobCounter = 0;
+
+/**
+ * Get the conversion worker, starting it if needed.
+ * @returns {Worker|null} The worker, or null if workers can't be used here
+ */
+function getConversionWorker() {
+  if (workerUnavailable) return null;
+  if (conversionWorker) return conversionWorker;
+  try {
+    conversionWorker = new Worker('worker.js');
+  } catch (e) {
+    console.warn('Web Worker unavailable, converting on the main thread', e);
+    workerUnavailable = true;
+    return null;
+  }
+
+  conversionWorker.onmessage = (e) => {
+    const msg = e.data;
+    if (!activeJob || msg.id !== activeJob.id) return; // stale message from a cancelled job
+    if (msg.type === 'progress') {
+      setConversionProgress(msg.progress);
+    } else if (msg.type === 'done') {
+      const job = activeJob;
+      activeJob = null;
+      job.resolve(msg.result);
+    } else if (msg.type === 'error') {
+      const job = activeJob;
+      activeJob = null;
+      job.reject(new Error(msg.message));
+    }
+  };
+
+  // The worker script failed to load: stop using workers and finish the
+  // pending job on the main thread
+  conversionWorker.onerror = (e) => {
+    console.warn('Conversion worker failed, converting on the main thread', e.message || e);
+    e.preventDefault && e.preventDefault();
+    workerUnavailable = true;
+    conversionWorker.terminate();
+    conversionWorker = null;
+    if (activeJob) {
+      const job = activeJob;
+      activeJob = null;
+      runJobOnMainThread(job);
+    }
+  };
+
+  return conversionWorker;
+}
+
+/**
+ * Run a conversion in the worker (or on the main thread as a fallback).
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {ImageData} source - Source pixels
+ * @param {Object} options - Engine options for the mode
+ * @param {boolean} [preview=false] - Live preview job (Convert may pre-empt it)
+ * @returns {Promise<Object>} Resolves with the engine result; rejects with
+ *   { cancelled: true } when cancelled
+ */
+function runConversion(mode, source, options, preview) {
+  return new Promise((resolve, reject) => {
+    const job = { id: ++jobCounter, mode, source, options, preview: !!preview, resolve, reject };
+    const worker = getConversionWorker();
+    activeJob = job;
+    if (!worker) {
+      activeJob = null;
+      // Yield once so the busy state paints before the main thread blocks
+      setTimeout(() => runJobOnMainThread(job), 0);
+      return;
+    }
+    worker.postMessage({ id: job.id, mode, source, options });
+  });
+}
+
+/**
+ * Run a conversion job synchronously with the engine on the main thread.
+ * @param {Object} job - Job created by runConversion
+ * @returns {void}
+ */
+function runJobOnMainThread(job) {
+  try {
+    if (job.mode === 'ascii') {
+      const glyphs = getGlyphSource(job.options.fontSize, job.options.fontFamily);
+      job.resolve(ImageStylerEngine.convertToASCII(job.source, Object.assign({}, job.options, { glyphs })));
+    } else {
+      job.resolve(ImageStylerEngine.convertToPaint(job.source, job.options));
+    }
+  } catch (e) {
+    job.reject(e);
+  }
+}
+
+/**
+ * Cancel the running conversion, if any. exportCanvas is left untouched.
+ * Also stops a GIF export or batch in progress.
+ * @returns {void}
+ */
+function cancelConversion() {
+  if (gifExport) gifExport.cancelled = true;
+  if (batchRunning) abortBatch();
+  if (!activeJob) return;
+  const job = activeJob;
+  activeJob = null;
+  if (conversionWorker) {
+    conversionWorker.terminate();
+    conversionWorker = null;
+  }
+  job.reject({ cancelled: true });
+}
+
+/**
+ * Drop the running live preview job, if any, without stopping the worker.
+ * Its late messages no longer match activeJob and are ignored, so the worker
+ * and its loaded engine are kept for the next job.
+ * @returns {void}
+ */
+function cancelPreviewJob() {
+  if (!activeJob || !activeJob.preview) return;
+  const job = activeJob;
+  activeJob = null;
+  job.reject({ cancelled: true });
+}
+
+/**
+ * Toggle the busy UI: Convert disabled, progress bar and Cancel shown.
+ * @param {boolean} busy - Whether a conversion is running
+ * @returns {void}
+ */
+function setConversionBusy(busy) {
+  convertBtn.disabled = busy;
+  if (convertStatus) convertStatus.classList.toggle('hidden', !busy);
+  setConversionProgress(0);
+}
+
+/**
+ * Update the header progress bar.
+ * @param {number} fraction - Completed fraction (0-1)
+ * @returns {void}
+ */
+function setConversionProgress(fraction) {
+  // In a batch the bar shows the whole queue and the item its own progress
+  if (batchRunning && batchCurrent) {
+    batchCurrent.progress = fraction;
+    renderBatchList();
+    const items = batchItems.filter(item => item.file.type.startsWith('image/'));
+    const index = Math.max(0, items.indexOf(batchCurrent));
+    fraction = (index + fraction) / Math.max(1, items.length);
+  } else if (animationProgress) {
+    fraction = (animationProgress.index + fraction) / animationProgress.count;
+  }
+  if (convertProgress) convertProgress.value = Math.round(fraction * 100);
+}
+
+// ============================================================================
+// LIVE PREVIEW
+// ============================================================================
+// With "Live preview" on, every settings change re-renders a reduced copy of
+// originalCanvas (longest side LIVE_PREVIEW_MAX_SIDE) straight into the
+// preview. Size-like options are scaled with the proxy so it looks like the
+// full result. exportCanvas and the undo history are only touched when the
+// user commits with Convert.
+
+let livePreviewTimer = null;
+let livePreviewSource = null; // Cached { image, scale } proxy of originalCanvas
+let livePreviewSeed = null; // Seed previewed while the seed field is empty
+const livePreviewCanvas = document.createElement('canvas');
+
+/**
+ * Queue a debounced live preview render, if live mode is on.
+ * @returns {void}
+ */
+function scheduleLivePreview() {
+  if (!livePreviewInput || !livePreviewInput.checked || !loadedImage) return;
+  clearTimeout(livePreviewTimer);
+  livePreviewTimer = setTimeout(renderLivePreview, LIVE_PREVIEW_DELAY);
+}
+
+/**
+ * Drop any queued or running live preview.
+ * @returns {void}
+ */
+function cancelLivePreview() {
+  clearTimeout(livePreviewTimer);
+  livePreviewTimer = null;
+  cancelPreviewJob();
+}
+
+/**
+ * Get the reduced-resolution proxy of originalCanvas, building it on first use.
+ * @returns {{image: ImageData, scale: number}} Proxy pixels and its scale factor
+ */
+function getLivePreviewSource() {
+  if (!livePreviewSource) {
+    const w = originalCanvas.width;
+    const h = originalCanvas.height;
+    const scale = Math.min(1, LIVE_PREVIEW_MAX_SIDE / Math.max(w, h));
+    const pw = Math.max(1, Math.round(w * scale));
+    const ph = Math.max(1, Math.round(h * scale));
+    const proxy = document.createElement('canvas');
+    proxy.width = pw;
+    proxy.height = ph;
+    const proxyCtx = proxy.getContext('2d');
+    proxyCtx.imageSmoothingQuality = 'high';
+    proxyCtx.drawImage(originalCanvas, 0, 0, pw, ph);
+    livePreviewSource = { image: proxyCtx.getImageData(0, 0, pw, ph), scale };
+  }
+  return livePreviewSource;
+}
+
+/**
+ * Estimate the longest side of the full-size output for the given options.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} options - Conversion options (with `output`)
+ * @returns {number} Pixels
+ */
+function estimateOutputSide(mode, options) {
+  const source = { width: originalCanvas.width, height: originalCanvas.height };
+  if (mode === 'ascii' && options.output.mode === 'fit-glyphs') {
+    // Glyphs are about 0.6em wide; rows follow the source aspect at half height
+    const width = options.cols * options.fontSize * 0.6;
+    return Math.max(width, width * source.height / source.width);
+  }
+  const size = ImageStylerEngine.resolveOutputSize(source, options.output);
+  return Math.max(size.width, size.height);
+}
+
+/**
+ * Render the current settings on the proxy and show it in the preview.
+ * Skipped while a full conversion is running.
+ * @returns {void}
+ */
+function renderLivePreview() {
+  livePreviewTimer = null;
+  if (!loadedImage || originalCanvas.width === 0) return;
+  if (batchRunning || (activeJob && !activeJob.preview)) return;
+  // Only the newest settings matter
+  cancelPreviewJob();
+
+  const mode = modeSelect.value;
+  const { image, scale } = getLivePreviewSource();
+  const options = getConversionOptions(mode, true);
+  // A custom output size is previewed at its own reduced scale (capped like
+  // the proxy), so big posters stay quick and small thumbnails look right
+  let outScale = scale;
+  if (options.output) {
+    outScale = Math.min(scale, LIVE_PREVIEW_MAX_SIDE / estimateOutputSide(mode, options));
+    if (options.output.mode === 'fixed') {
+      options.output = Object.assign({}, options.output, {
+        width: Math.round(options.output.width * outScale),
+        height: Math.round(options.output.height * outScale)
+      });
+    }
+  }
+  if (mode === 'ascii') {
+    options.fontSize = Math.max(4, Math.round(options.fontSize * outScale));
+  } else {
+    options.pipeline = ImageStylerEngine.scalePipeline(options.pipeline, scale);
+  }
+
+  runConversion(mode, image, options, true)
+    .then((result) => {
+      if (!livePreviewInput.checked) return;
+      const preview = mode === 'ascii' ? result.image : result;
+      putEngineImage(livePreviewCanvas, preview);
+      if (options.output) {
+        renderPreviewImage(livePreviewCanvas, Math.round(preview.width / outScale), Math.round(preview.height / outScale));
+      } else {
+        renderPreviewImage(livePreviewCanvas, originalCanvas.width, originalCanvas.height);
+      }
+    })
+    .catch((error) => {
+      if (!(error && error.cancelled)) console.warn('Live preview failed', error);
+    });
+}
+
+// ============================================================================
+// BATCH CONVERSION
+// ============================================================================
+// Dropping or choosing several images queues them here. Run converts every
+// queued image, one at a time through the conversion worker, with the mode
+// and settings current when Run was pressed; the results (plus the .txt for
+// ASCII) are kept as encoded files and downloaded together as one zip.
+// Cancel stops the batch after discarding the file being converted, at
+// whichever step (decode, convert, encode) it is in.
+
+let batchItems = []; // { id, file, name, status: 'queued'|'running'|'done'|'error', message, progress, outputs }
+let batchCounter = 0;
+let batchRunning = false;
+let batchCancelled = false;
+let batchCurrent = null; // Item being converted while the batch runs
+let batchStepReject = null; // Rejects the step being awaited when the batch is cancelled
+
+/**
+ * Add files to the batch queue. Non-image files are listed with an error.
+ * The first image also opens in the editor if nothing is loaded yet, so
+ * the settings can be tuned on it before running the batch.
+ * @param {File[]} files - Files to queue
+ * @returns {void}
+ */
+function addBatchFiles(files) {
+  let firstImage = null;
+  files.forEach((file) => {
+    const isImage = file.type.startsWith('image/');
+    if (isImage && !firstImage) firstImage = file;
+    batchItems.push({
+      id: ++batchCounter,
+      file,
+      name: file.name || 'image',
+      status: isImage ? 'queued' : 'error',
+      message: isImage ? '' : 'Not an image file',
+      progress: 0,
+      outputs: null
+    });
+  });
+  if (firstImage && !loadedImage && !batchRunning) handleFile(firstImage);
+  renderBatchList();
+}
+
+/**
+ * Redraw the batch queue and its buttons.
+ * @returns {void}
+ */
+function renderBatchList() {
+  const done = batchItems.filter(item => item.status === 'done').length;
+  if (batchCount) batchCount.textContent = batchItems.length ? `(${done}/${batchItems.length})` : '';
+  if (batchRunBtn) batchRunBtn.disabled = batchRunning || !batchItems.some(item => item.file.type.startsWith('image/'));
+  if (batchZipBtn) batchZipBtn.disabled = batchRunning || done === 0;
+  if (batchClearBtn) batchClearBtn.disabled = batchRunning || batchItems.length === 0;
+
+  if (!batchList) return;
+  batchList.innerHTML = '';
+  batchItems.forEach((item) => {
+    const li = document.createElement('li');
+    li.className = 'batch-item ' + item.status;
+
+    const name = document.createElement('span');
+    name.className = 'batch-name';
+    name.textContent = item.name;
+    name.title = item.name;
+    li.appendChild(name);
+
+    const status = document.createElement('span');
+    status.className = 'batch-status';
+    status.textContent = describeBatchStatus(item);
+    if (item.message) status.title = item.message;
+    li.appendChild(status);
+
+    if (!batchRunning) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'batch-remove';
+      remove.textContent = '✕';
+      remove.title = 'Remove from the queue';
+      remove.addEventListener('click', () => {
+        batchItems = batchItems.filter(other => other !== item);
+        renderBatchList();
+      });
+      li.appendChild(remove);
+    }
+    batchList.appendChild(li);
+  });
+}
+
+/**
+ * Status text shown next to a queued file.
+ * @param {Object} item - Batch item
+ * @returns {string}
+ */
+function describeBatchStatus(item) {
+  if (item.status === 'running') return `${Math.round(item.progress * 100)}%`;
+  if (item.status === 'done') return 'Done';
+  if (item.status === 'error') return 'Error: ' + item.message;
+  return item.message || 'Queued';
+}
+
+/**
+ * Decode an image file into ImageData.
+ * @param {File} file - Image file
+ * @returns {Promise<ImageData>}
+ */
+function decodeImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
     const img = new Image();
-    img.crossOrigin = 'anonymous';
     img.onload = () => {
-      // Draw image if successfully loaded
-      const ratio = img.width / img.height;
-      let w = PREVIEW_W * 0.6;
-      let h = w / ratio;
-      if (h > PREVIEW_H * 0.4) {
-        h = PREVIEW_H * 0.4;
-        w = h * ratio;
-      }
-      const x = (PREVIEW_W - w) / 2;
-      const y = PREVIEW_H / 2 + 120;
-      if (y + h <= PREVIEW_H) {
-        ctx.drawImage(img, x, y, w, h);
+      URL.revokeObjectURL(url);
+      if (img.width === 0 || img.height === 0) {
+        reject(new Error('Image has invalid dimensions'));
+        return;
       }
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const canvasCtx = canvas.getContext('2d');
+      canvasCtx.drawImage(img, 0, 0);
+      resolve(canvasCtx.getImageData(0, 0, img.width, img.height));
     };
     img.onerror = () => {
-      console.warn('Could not load surprise image from', url);
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not decode the image'));
     };
     img.src = url;
-  }
-  
-  // Play celebratory sound (optional)
-  playEasterAudio();
+  });
 }
 
 /**
- * Play celebratory audio from external source.
- * Handles audio load failures gracefully.
- * @returns {void}
+ * Encode an engine image as PNG bytes.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Engine output
+ * @returns {Promise<Uint8Array>}
  */
-function playEasterAudio() {
-  try {
-    const audio = new Audio('https://cdn.pixabay.com/download/audio/2021/08/27/audio_a2c5d8b34e.mp3');
-    audio.volume = 0.3;
-    audio.play().catch(() => {
-      console.log('Could not play audio');
-    });
-  } catch (e) {
-    console.log('Audio not available');
-  }
+function encodeEnginePNG(image) {
+  const canvas = document.createElement('canvas');
+  putEngineImage(canvas, image);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Could not encode the result as PNG'));
+        return;
+      }
+      blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+    }, 'image/png');
+  });
 }
 
 /**
- * Main conversion orchestration function.
- * Validates loaded image, saves current state to undo history,
- * routes to ASCII or Paint conversion based on selected mode.
- * Renders preview after conversion.
+ * Zip entry base name for a file: its name without extension, made unique
+ * within the batch by a numeric suffix.
+ * @param {string} fileName - Original file name
+ * @param {Set<string>} used - Base names already taken (updated)
+ * @returns {string}
+ */
+function uniqueBatchBaseName(fileName, used) {
+  const base = fileName.replace(/\.[^./]+$/, '').replace(/[\\/:*?"<>|]+/g, '_') || 'image';
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+/**
+ * Await one step of a batch item. Decoding and encoding can't be stopped, so
+ * a cancelled batch rejects the step right away and its result is dropped.
+ * @param {Promise} promise - Step to wait for
+ * @returns {Promise} Settles like the step, or rejects with
+ *   { cancelled: true } once the batch is cancelled
+ */
+function runBatchStep(promise) {
+  return new Promise((resolve, reject) => {
+    if (batchCancelled) {
+      reject({ cancelled: true });
+      return;
+    }
+    batchStepReject = reject;
+    promise.then(resolve, reject);
+  }).finally(() => { batchStepReject = null; });
+}
+
+/**
+ * Stop the running batch after the current step.
  * @returns {void}
  */
-function convert() {
-  if (!loadedImage) {
-    alert('Please upload an image first.');
-    return;
-  }
+function abortBatch() {
+  batchCancelled = true;
+  if (batchStepReject) batchStepReject({ cancelled: true });
+}
+
+/**
+ * Convert every image in the queue with the current mode and settings.
+ * Earlier results are replaced; failures are recorded per file and the
+ * batch moves on. Cancel stops the batch and leaves the rest queued.
+ * @returns {Promise<void>}
+ */
+async function runBatch() {
+  if (batchRunning || (activeJob && !activeJob.preview)) return;
+  const items = batchItems.filter(item => item.file.type.startsWith('image/'));
+  if (items.length === 0) return;
+
+  cancelLivePreview();
   const mode = modeSelect.value;
+  const options = getConversionOptions(mode);
+  const usedNames = new Set();
+  items.forEach((item) => {
+    item.status = 'queued';
+    item.message = '';
+    item.progress = 0;
+    item.outputs = null;
+    item.baseName = uniqueBatchBaseName(item.name, usedNames);
+  });
 
-  // Push current state to history for undo
-  try {
-    const snapshot = exportCanvas.toDataURL('image/png');
-    historyStack.push(snapshot);
-    if (historyStack.length > MAX_HISTORY) historyStack.shift();
-    undoBtn.disabled = false;
-  } catch (e) {
-    console.warn('Could not push history', e);
-  }
+  batchRunning = true;
+  batchCancelled = false;
+  setConversionBusy(true);
+  renderBatchList();
 
-  if (mode === 'ascii') {
-    checkEasterEgg();
-    convertToASCII(Number(fontSizeInput.value), Number(asciiColsInput.value));
-  } else {
-    const paintOptions = {
-      pixel: document.getElementById('stylePixel').checked,
-      brush: document.getElementById('styleBrush').checked,
-      gallery: document.getElementById('styleGallery').checked,
-      impression: document.getElementById('styleImpression').checked,
-      watercolor: document.getElementById('styleWatercolor').checked,
-      pixelSize: Number(pixelSizeInput.value),
-      brushStrength: Number(document.getElementById('brushStrength').value) / 100,
-      textureStrength: Number(document.getElementById('textureStrength').value) / 100
-    };
-    convertToPaint(paintOptions);
+  for (const item of items) {
+    batchCurrent = item;
+    item.status = 'running';
+    renderBatchList();
+    try {
+      const source = await runBatchStep(decodeImageFile(item.file));
+      const result = await runBatchStep(runConversion(mode, source, options));
+      const suffix = mode === 'ascii' ? '-ascii' : '-paint';
+      const image = mode === 'ascii' ? result.image : result;
+      const png = await runBatchStep(encodeEnginePNG(image));
+      item.outputs = [{ name: item.baseName + suffix + '.png', data: png }];
+      if (mode === 'ascii') item.outputs.push({ name: item.baseName + suffix + '.txt', data: result.text });
+      item.status = 'done';
+    } catch (error) {
+      if (error && error.cancelled) {
+        item.status = 'queued';
+        item.message = 'Cancelled';
+        break;
+      }
+      console.error('Batch conversion failed for', item.name, error);
+      item.status = 'error';
+      item.message = error && error.message ? error.message : String(error);
+    }
   }
 
-  renderPreviewFromExport();
+  batchCurrent = null;
+  batchRunning = false;
+  setConversionBusy(false);
+  renderBatchList();
 }
 
 /**
- * Reset export canvas to original pristine image.
- * Clears undo history and resets easter egg counter.
+ * Download every finished batch result as one zip file.
  * @returns {void}
  */
-function resetToOriginal() {
-  asciiConversionCount = 0;
-  if (!originalImageData) {
-    alert('No image loaded to reset.');
+function downloadBatchZip() {
+  const entries = [];
+  batchItems.forEach((item) => {
+    if (item.status === 'done' && item.outputs) entries.push(...item.outputs);
+  });
+  if (entries.length === 0) {
+    alert('No finished batch results yet. Click Run to convert the queue.');
     return;
   }
+  try {
+    const zip = ImageStylerZip.createZip(entries);
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), 'imagestyler-batch.zip');
+  } catch (e) {
+    console.error('Could not build the batch zip', e);
+    alert('Could not build the zip: ' + e.message);
+  }
+}
 
-  const img = new Image();
-  img.crossOrigin = 'anonymous';
+if (batchRunBtn) batchRunBtn.addEventListener('click', runBatch);
+if (batchZipBtn) batchZipBtn.addEventListener('click', downloadBatchZip);
+if (batchClearBtn) batchClearBtn.addEventListener('click', () => {
+  if (batchRunning) return;
+  batchItems = [];
+  renderBatchList();
+});
 
-  img.onload = () => {
-    exportCanvas.width = img.width;
-    exportCanvas.height = img.height;
-    exportCtx.clearRect(0, 0, img.width, img.height);
-    exportCtx.drawImage(img, 0, 0);
-    renderPreviewFromExport();
-    // Clear history after reset
-    historyStack.length = 0;
-    undoBtn.disabled = true;
-  };
+// ============================================================================
+// PAINT CONVERSION
+// ============================================================================
 
-  img.onerror = () => {
-    alert('Could not load original image.');
-  };
+/**
+ * Show a finished paint conversion.
+ * The pixel work is done by ImageStylerEngine.convertToPaint (engine.js),
+ * always from originalCanvas (pristine source) to prevent degradation on
+ * repeated conversions; this only moves the result into exportCanvas.
+ * Animated results (from convertAnimation) start playing.
+ * @param {Object} result - Engine output ({width, height, data, seed}) or animated result
+ * @returns {void}
+ */
+function applyPaintResult(result) {
+  const first = result.frames ? result.frames[0] : result;
+  putEngineImage(exportCanvas, first);
+  setCurrentSeed(first.seed);
+  playResultAnimation('paint', result);
+}
 
-  img.src = originalImageData;
+// ============================================================================
+// ASCII CONVERSION
+// ============================================================================
+
+// Canvas-backed glyph sources keyed by font family and size, so the exported
+// image uses a real browser font rather than the engine's bitmap fallback
+const glyphSourceCache = new Map();
+
+/**
+ * Get (or build) a canvas glyph source for the given font.
+ * @param {number} fontSize - Font size in pixels
+ * @param {string} [fontFamily='monospace'] - CSS font family
+ * @returns {Object} Glyph source for ImageStylerEngine.convertToASCII
+ */
+function getGlyphSource(fontSize, fontFamily) {
+  const family = fontFamily || 'monospace';
+  const key = family + '|' + fontSize;
+  if (!glyphSourceCache.has(key)) {
+    glyphSourceCache.set(key, ImageStylerEngine.createCanvasGlyphSource(fontSize, family, (w, h) => {
+      const c = document.createElement('canvas');
+      c.width = w;
+      c.height = h;
+      return c;
+    }));
+  }
+  return glyphSourceCache.get(key);
 }
 
 /**
- * Download the converted image as PNG file.
- * Creates temporary download link and triggers native download dialog.
- * File name: 'converted.png'
- * @async
+ * Show a finished ASCII conversion.
+ * Draws the engine's rendered ASCII into exportCanvas and keeps the
+ * plain-text output in `lastAsciiOutput` for Preview/Copy.
+ * Animated results (from convertAnimation) start playing.
+ * @param {Object} result - Result of ImageStylerEngine.convertToASCII, or an animated result
  * @returns {void}
  */
-async function downloadImage() {
-  const url = exportCanvas.toDataURL('image/png');
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'converted.png';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
+function applyAsciiResult(result) {
+  // Animations keep the first frame's text for Preview/Copy/HTML/ANSI
+  const first = result.frames ? result.frames[0] : result;
+  putEngineImage(exportCanvas, first.image);
+
+  // Store ASCII output for copying (textarea removed from UI)
+  lastAsciiOutput = first.text;
+  lastAsciiResult = first;
+  // Update input control to reflect adjusted columns (even)
+  if (asciiColsInput) asciiColsInput.value = first.cols;
+  setCurrentSeed(null);
+  playResultAnimation('ascii', result);
 }
 
 // ============================================================================
-// PAINT CONVERSION
+// ENGINE BRIDGE
 // ============================================================================
 
 /**
- * Convert image to painterly style with selectable effects.
- * Always reads from originalCanvas (pristine source) to prevent
- * degradation on repeated conversions.
- * Applies pixelation, brush strokes, impressionist, watercolor, and texture effects.
- * @param {Object} opts - Paint conversion options
- * @param {boolean} opts.pixel - Apply pixelation effect
- * @param {boolean} opts.brush - Apply brush stroke effect
- * @param {boolean} opts.gallery - Apply gallery/texture effect
- * @param {boolean} opts.impression - Apply impressionist effect
- * @param {boolean} opts.watercolor - Apply watercolor effect
- * @param {number} opts.pixelSize - Size of pixels (2-128)
- * @param {number} opts.brushStrength - Brush opacity (0-1)
- * @param {number} opts.textureStrength - Texture opacity (0-1)
- * @returns {void}
+ * Read the conversion source pixels.
+ * Uses originalCanvas (pristine source), falling back to exportCanvas.
+ * @returns {ImageData}
  */
-function convertToPaint(opts) {
-  // Always read from original (pristine) canvas
+function getSourceImageData() {
   const srcCanvas = originalCanvas.width > 0 ? originalCanvas : exportCanvas;
-  
-  const pixelSize = Math.max(2, Math.round(opts.pixelSize || 8));
-  const smallW = Math.max(Math.floor(srcCanvas.width / pixelSize), 1);
-  const smallH = Math.max(Math.floor(srcCanvas.height / pixelSize), 1);
-
-  const small = document.createElement('canvas');
-  small.width = smallW;
-  small.height = smallH;
-  const sctx = small.getContext('2d');
-  sctx.drawImage(srcCanvas, 0, 0, srcCanvas.width, srcCanvas.height, 0, 0, smallW, smallH);
-  const smallData = sctx.getImageData(0, 0, smallW, smallH).data;
-
-  // Apply paint effects to export canvas
-  applyPaintEffects(exportCanvas, smallData, smallW, smallH, pixelSize, opts);
-  
-  // Update preview
-  renderPreviewFromExport();
+  return srcCanvas.getContext('2d').getImageData(0, 0, srcCanvas.width, srcCanvas.height);
 }
 
 /**
- * Apply paint effects to canvas.
- * Renders pixelated blocks or applies brush/artistic effects.
- * Uses original color data to paint effects onto export canvas.
- * Handles edge stretching to avoid white borders.
- * @param {HTMLCanvasElement} canvas - Target canvas to paint effects onto
- * @param {Uint8ClampedArray} smallData - Pixel data from downsampled image
- * @param {number} smallW - Width of downsampled image
- * @param {number} smallH - Height of downsampled image
- * @param {number} pixelSize - Size of each pixel block
- * @param {Object} opts - Paint effect options
+ * Copy an engine image ({width, height, data}) into a canvas, resizing it.
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Engine output
  * @returns {void}
  */
-function applyPaintEffects(canvas, smallData, smallW, smallH, pixelSize, opts) {
-  const ctx = canvas.getContext('2d');
-  const canvasWidth = canvas.width;
-  const canvasHeight = canvas.height;
+function putEngineImage(canvas, image) {
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+}
 
-  ctx.clearRect(0, 0, canvasWidth, canvasHeight);
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-  ctx.imageSmoothingEnabled = false;
-
-  if (opts.pixel) {
-    for (let y = 0; y < smallH; y++) {
-      for (let x = 0; x < smallW; x++) {
-        const i = (y * smallW + x) * 4;
-        const r = smallData[i];
-        const g = smallData[i + 1];
-        const b = smallData[i + 2];
-        const a = smallData[i + 3] / 255;
-        ctx.fillStyle = `rgba(${r},${g},${b},${a})`;
-        
-        // Calculate rectangle size to fill remaining space on edges
-        let rectW = pixelSize;
-        let rectH = pixelSize;
-        let rectX = x * pixelSize;
-        let rectY = y * pixelSize;
-        
-        // Stretch the last column to fill remaining width
-        if (x === smallW - 1) {
-          rectW = canvasWidth - rectX;
-        }
-        
-        // Stretch the last row to fill remaining height
-        if (y === smallH - 1) {
-          rectH = canvasHeight - rectY;
-        }
-        
-        ctx.fillRect(rectX, rectY, rectW, rectH);
-      }
-    }
-  }
+// ============================================================================
+// ANIMATED GIFS
+// ============================================================================
+// A GIF with more than one frame is decoded by gif.js (ImageStylerGIF) into
+// full-size frames kept in `sourceAnimation`; originalCanvas holds the first
+// frame, so live preview and the compare view work on it. Convert runs the
+// chosen mode on every frame with the same options (and so the same paint
+// seed), which keeps strokes and dithering from flickering between frames.
+// Animated results are played back by swapping frames into exportCanvas,
+// and the Download dialog can write them back out as an animated GIF.
+
+let sourceAnimation = null; // { width, height, loop, frames: [{ image: ImageData, delay }] } of the loaded GIF
+let playback = null; // Animation shown in exportCanvas: { frames: ImageData[], delays, loop, texts, index, timer }
+let animationProgress = null; // { index, count } while the frames of an animation convert
+let gifExport = null; // { cancelled } while a GIF download is being encoded
 
-  if (opts.brush || opts.impression || opts.watercolor || opts.gallery) {
-    const brushAlpha = opts.brushStrength || 0.7;
-
-    for (let y = 0; y < smallH; y++) {
-      for (let x = 0; x < smallW; x++) {
-        const i = (y * smallW + x) * 4;
-        const r = smallData[i];
-        const g = smallData[i + 1];
-        const b = smallData[i + 2];
-        const a = smallData[i + 3] / 255;
-        
-        // Calculate center position accounting for edge stretching
-        let rectX = x * pixelSize;
-        let rectY = y * pixelSize;
-        let rectW = pixelSize;
-        let rectH = pixelSize;
-        
-        if (x === smallW - 1) {
-          rectW = canvasWidth - rectX;
-        }
-        if (y === smallH - 1) {
-          rectH = canvasHeight - rectY;
-        }
-        
-        const cx = rectX + rectW / 2;
-        const cy = rectY + rectH / 2;
-
-        if (opts.brush) {
-          const strokes = Math.max(1, Math.round(pixelSize / 2));
-          ctx.globalCompositeOperation = 'source-over';
-          for (let s = 0; s < strokes; s++) {
-            const jitterX = (Math.random() - 0.5) * pixelSize * 0.6;
-            const jitterY = (Math.random() - 0.5) * pixelSize * 0.6;
-            const radius = pixelSize * (0.45 + Math.random() * 0.4);
-            ctx.beginPath();
-            ctx.fillStyle = `rgba(${r},${g},${b},${a * brushAlpha})`;
-            ctx.arc(cx + jitterX, cy + jitterY, radius, 0, Math.PI * 2);
-            ctx.fill();
-          }
-        }
+/**
+ * Decode the frames of an animated GIF data URL.
+ * @param {string} dataURL - Image data URL
+ * @returns {Object|null} Animation for `sourceAnimation`, or null for
+ *   anything that is not a GIF with several frames
+ */
+function decodeAnimation(dataURL) {
+  if (!/^data:image\/gif[;,]/i.test(dataURL)) return null;
+  try {
+    const comma = dataURL.indexOf(',');
+    const meta = dataURL.slice(0, comma);
+    const payload = dataURL.slice(comma + 1);
+    const binary = /;base64$/i.test(meta) ? atob(payload) : decodeURIComponent(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const gif = ImageStylerGIF.decodeGIF(bytes);
+    if (gif.frames.length < 2) return null;
+    return {
+      width: gif.width,
+      height: gif.height,
+      loop: gif.loop,
+      frames: gif.frames.map(frame => ({
+        image: new ImageData(frame.image.data, frame.image.width, frame.image.height),
+        delay: frame.delay
+      }))
+    };
+  } catch (e) {
+    console.warn('Could not decode GIF frames, using the first frame only', e);
+    return null;
+  }
+}
 
-        if (opts.impression) {
-          if (Math.random() < 0.25) {
-            ctx.beginPath();
-            ctx.fillStyle = `rgba(${Math.min(255, r + 20)},${Math.min(255, g + 10)},${b},${a * 0.9})`;
-            ctx.arc(
-              cx + (Math.random() - 0.5) * pixelSize,
-              cy + (Math.random() - 0.5) * pixelSize,
-              pixelSize * 0.8,
-              0,
-              Math.PI * 2
-            );
-            ctx.fill();
-          }
-        }
+/**
+ * Run a conversion on the loaded image: every frame of an animation, or
+ * the static original.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} options - Engine options for the mode
+ * @returns {Promise<Object>} Engine result, or for animations
+ *   { frames: [engine results], delays, loop }; rejects with
+ *   { cancelled: true } when cancelled
+ */
+function runSourceConversion(mode, options) {
+  if (!sourceAnimation) return runConversion(mode, getSourceImageData(), options);
+  return convertAnimation(sourceAnimation, mode, options);
+}
 
-        if (opts.watercolor) {
-          ctx.globalCompositeOperation = 'lighter';
-          ctx.beginPath();
-          ctx.fillStyle = `rgba(${r},${g},${b},${0.12 * (a + 0.2)})`;
-          ctx.arc(cx, cy, pixelSize, 0, Math.PI * 2);
-          ctx.fill();
-          ctx.globalCompositeOperation = 'source-over';
-        }
-      }
+/**
+ * Convert every frame of an animation in turn with the same options.
+ * @param {Object} animation - Decoded animation (see `sourceAnimation`)
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} options - Engine options for the mode
+ * @returns {Promise<{frames: Object[], delays: number[], loop: number}>}
+ */
+async function convertAnimation(animation, mode, options) {
+  const frames = [];
+  try {
+    for (let i = 0; i < animation.frames.length; i++) {
+      animationProgress = { index: i, count: animation.frames.length };
+      frames.push(await runConversion(mode, animation.frames[i].image, options));
     }
-    ctx.globalAlpha = 1;
+  } finally {
+    animationProgress = null;
   }
+  return { frames, delays: animation.frames.map(frame => frame.delay), loop: animation.loop };
+}
 
-  if (opts.gallery || opts.textureStrength) {
-    const tex = document.createElement('canvas');
-    tex.width = canvas.width;
-    tex.height = canvas.height;
-    const t = tex.getContext('2d');
-    const imgd = t.createImageData(tex.width, tex.height);
+/**
+ * Start playing frames in exportCanvas, replacing any running animation.
+ * The first frame must already be drawn. The preview always loops.
+ * @param {{frames: ImageData[], delays: number[], loop: number, texts: (string[]|null)}} animation - Frames to play
+ * @returns {void}
+ */
+function startPlayback(animation) {
+  stopPlayback();
+  playback = Object.assign({ index: 0, timer: null }, animation);
+  scheduleNextFrame();
+}
 
-    for (let i = 0; i < imgd.data.length; i += 4) {
-      const v = 230 + Math.floor(Math.random() * 25);
-      imgd.data[i] = imgd.data[i + 1] = imgd.data[i + 2] = v;
-      imgd.data[i + 3] = Math.floor(10 + (opts.textureStrength || 0) * 40);
-    }
+/**
+ * Stop the animation playing in exportCanvas, if any.
+ * @returns {void}
+ */
+function stopPlayback() {
+  if (playback) clearTimeout(playback.timer);
+  playback = null;
+}
 
-    t.putImageData(imgd, 0, 0);
-    ctx.globalCompositeOperation = 'overlay';
-    ctx.globalAlpha = Math.min(0.95, 0.3 + (opts.textureStrength || 0) * 0.7);
-    ctx.drawImage(tex, 0, 0);
-    ctx.globalAlpha = 1;
-    ctx.globalCompositeOperation = 'source-over';
+/**
+ * Queue the next playback frame after the current frame's delay. Nothing is
+ * queued while the page is hidden; playback resumes when it is shown again.
+ * @returns {void}
+ */
+function scheduleNextFrame() {
+  const current = playback;
+  if (document.hidden) {
+    current.timer = null;
+    return;
   }
+  current.timer = setTimeout(() => {
+    if (playback !== current) return;
+    current.index = (current.index + 1) % current.frames.length;
+    const frame = current.frames[current.index];
+    if (exportCanvas.width !== frame.width || exportCanvas.height !== frame.height) {
+      exportCanvas.width = frame.width;
+      exportCanvas.height = frame.height;
+    }
+    exportCtx.putImageData(frame, 0, 0);
+    // Leave a live preview on screen; it is replaced on the next commit
+    if (lastPreview && lastPreview.source === exportCanvas) {
+      renderPreviewImage(exportCanvas, exportCanvas.width, exportCanvas.height);
+    }
+    scheduleNextFrame();
+  }, current.delays[current.index]);
 }
 
-// ============================================================================
-// ASCII CONVERSION
-// ============================================================================
-
-// ============================================================================
-// ASCII CONVERSION
-// ============================================================================
+/**
+ * Play the loaded animation's original frames, or stop playback for a
+ * static image. exportCanvas must already show the first frame.
+ * @returns {void}
+ */
+function playSourceAnimation() {
+  if (!sourceAnimation) {
+    stopPlayback();
+    return;
+  }
+  startPlayback({
+    frames: sourceAnimation.frames.map(frame => frame.image),
+    delays: sourceAnimation.frames.map(frame => frame.delay),
+    loop: sourceAnimation.loop,
+    texts: null
+  });
+}
 
 /**
- * Convert image to ASCII art with user-controlled size.
- * Always reads from originalCanvas (pristine source) to prevent
- * degradation on repeated conversions.
- * Generates both visual ASCII text on canvas and plain-text output in textarea.
- * Uses brightness calculation to map pixels to ASCII characters.
- * @param {number} fontSize - Font size in pixels
- * @param {number} cols - Number of ASCII columns (character width)
+ * Play an animated conversion result, or stop playback for a static one.
+ * exportCanvas must already show the first frame.
+ * @param {string} mode - 'ascii' or 'paint'
+ * @param {Object} result - Engine result, or an animated result from convertAnimation
  * @returns {void}
  */
-function convertToASCII(fontSize, cols) {
-  cols = Number(cols) || 120;
-  // Ensure cols is even to avoid half-character columns
-  cols = Math.max(2, Math.round(cols));
-  if (cols % 2 !== 0) cols++;
+function playResultAnimation(mode, result) {
+  if (!result.frames) {
+    stopPlayback();
+    return;
+  }
+  const images = result.frames.map(frame => (mode === 'ascii' ? frame.image : frame));
+  startPlayback({
+    frames: images.map(image => new ImageData(image.data, image.width, image.height)),
+    delays: result.delays,
+    loop: result.loop,
+    texts: mode === 'ascii' ? result.frames.map(frame => frame.text) : null
+  });
+}
 
-  // Always read from original (pristine) canvas
-  const srcCanvas = originalCanvas.width > 0 ? originalCanvas : exportCanvas;
-  
-  // Store original dimensions
-  const origWidth = srcCanvas.width;
-  const origHeight = srcCanvas.height;
-
-  // Compute rows based on aspect ratio and a char aspect correction
-  const charAspect = 0.5; // approximate character height/width ratio
-  let rows = Math.max(4, Math.round((cols * origHeight / origWidth) * charAspect));
-  // Ensure rows is even to keep character grid balanced
-  if (rows % 2 !== 0) rows++;
-
-  const temp = document.createElement('canvas');
-  temp.width = cols;
-  temp.height = rows;
-  const tctx = temp.getContext('2d');
-  tctx.drawImage(srcCanvas, 0, 0, origWidth, origHeight, 0, 0, cols, rows);
-  const imgd = tctx.getImageData(0, 0, cols, rows).data;
-
-  // Calculate exact dimensions to avoid white borders on edges
-  const charW = Math.floor(origWidth / cols);
-  const charH = Math.floor(origHeight / rows);
-
-  // Clear and prepare canvas
-  exportCtx.clearRect(0, 0, origWidth, origHeight);
-  exportCtx.fillStyle = '#fff';
-  exportCtx.fillRect(0, 0, origWidth, origHeight);
-  exportCtx.fillStyle = '#000';
-  exportCtx.font = `${fontSize}px monospace`;
-  exportCtx.textBaseline = 'top';
-
-  // Build plain-text ASCII output and draw to canvas
-  let asciiOut = '';
-  for (let y = 0; y < rows; y++) {
-    for (let x = 0; x < cols; x++) {
-      const i = (y * cols + x) * 4;
-      const r = imgd[i];
-      const g = imgd[i + 1];
-      const b = imgd[i + 2];
-      const brightness = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-      const charIndex = Math.floor((1 - brightness) * (ASCII_CHARS.length - 1));
-      const ch = ASCII_CHARS[charIndex];
-      exportCtx.fillText(ch, x * charW, y * charH);
-      asciiOut += ch;
+/**
+ * Frames to export: the playing animation, or the current image alone.
+ * @returns {{frames: ImageData[], delays: number[], loop: number}}
+ */
+function getExportFrames() {
+  if (playback) return playback;
+  return {
+    frames: [exportCtx.getImageData(0, 0, exportCanvas.width, exportCanvas.height)],
+    delays: [0],
+    loop: 0
+  };
+}
+
+/**
+ * Encode the current result (every frame, if animated) as a GIF and
+ * download it. Each frame gets its own median-cut palette. Runs on the
+ * main thread, yielding between frames so progress shows and Cancel works.
+ * @param {string} fileName - File name
+ * @param {number} scale - Export scale
+ * @returns {Promise<void>}
+ */
+async function downloadGIF(fileName, scale) {
+  if (gifExport || activeJob || batchRunning) return;
+  const { frames, delays, loop } = getExportFrames();
+  const frameCanvas = document.createElement('canvas');
+  const job = { cancelled: false };
+  gifExport = job;
+  setConversionBusy(true);
+  try {
+    const encoded = [];
+    for (let i = 0; i < frames.length; i++) {
+      putEngineImage(frameCanvas, frames[i]);
+      const scaled = scaleCanvasForExport(frameCanvas, scale, false);
+      const image = scaled.getContext('2d').getImageData(0, 0, scaled.width, scaled.height);
+      encoded.push({ image, palette: ImageStylerEngine.medianCutPalette(image, 255), delay: delays[i] });
+      setConversionProgress((i + 1) / (frames.length + 1));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (job.cancelled) return;
     }
-    asciiOut += '\n';
+    const bytes = ImageStylerGIF.encodeGIF(encoded, { loop });
+    downloadBlob(new Blob([bytes], { type: 'image/gif' }), fileName);
+  } catch (e) {
+    console.error('GIF export failed', e);
+    alert('Could not save the GIF: ' + e.message);
+  } finally {
+    gifExport = null;
+    setConversionBusy(false);
   }
-
-  // Store ASCII output for copying (textarea removed from UI)
-  lastAsciiOutput = asciiOut;
-  // Update input control to reflect adjusted columns (even)
-  if (asciiColsInput) asciiColsInput.value = cols;
 }
-// Animated ASCII conversion removed; static only.
 
-// ============================================================================
-// GIF DOWNLOAD
-// ============================================================================
+// Pause playback in background tabs and pick up at the same frame
+document.addEventListener('visibilitychange', () => {
+  if (!playback) return;
+  if (document.hidden) {
+    clearTimeout(playback.timer);
+    playback.timer = null;
+  } else if (!playback.timer) {
+    scheduleNextFrame();
+  }
+});
 
-// GIF download functions removed (static-only app)
+// ASCII Export: every frame's text in one file, each under a header line
+if (exportFramesBtn) exportFramesBtn.addEventListener('click', () => {
+  if (!playback || !playback.texts) {
+    alert('No animated ASCII yet. Load an animated GIF and convert it in ASCII mode.');
+    return;
+  }
+  const count = playback.texts.length;
+  const text = playback.texts
+    .map((frameText, i) => `=== Frame ${i + 1}/${count} · ${playback.delays[i]} ms ===\n${frameText}`)
+    .join('\n');
+  downloadText(text, 'ascii-frames.txt', 'text/plain');
+});
 
 // ============================================================================
 // INITIALIZATION
@@ -1054,6 +3589,24 @@ function convertToASCII(fontSize, cols) {
  */
 function initializeApp() {
   modeSelect.dispatchEvent(new Event('change'));
+  if (paintSeedInput && !paintSeedInput.value) paintSeedInput.value = ImageStylerEngine.randomSeed();
+
+  // Paint layer stack
+  initPipelineEditor();
+  updateOutputSizeControls();
+  renderBatchList();
+
+  // Style presets
+  loadUserPresets();
+  renderPresetSelect();
+
+  // Restore the history memory limit
+  try {
+    const savedLimit = localStorage.getItem('historyMemoryMB');
+    if (historyMemoryInput) historyMemoryInput.value = savedLimit || DEFAULT_HISTORY_MEMORY_MB;
+  } catch (e) {
+    console.warn('Could not read history memory limit', e);
+  }
 
   // Restore saved image from localStorage
   try {
@@ -0,0 +1,150 @@
+// Tests for the command-line converter (cli.js) and its PNG codec (png.js).
+// Run with `npm test`.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Engine = require('../engine.js');
+const { decodePNG, encodePNG, crc32 } = require('../png.js');
+const { main, parseArgs, detectImageFormat } = require('../cli.js');
+
+/**
+ * Run the CLI with console output captured.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{code: number, out: string, err: string}}
+ */
+function runCLI(argv) {
+  const out = [];
+  const err = [];
+  const log = console.log;
+  const error = console.error;
+  console.log = (...args) => out.push(args.join(' '));
+  console.error = (...args) => err.push(args.join(' '));
+  try {
+    return { code: main(argv), out: out.join('\n'), err: err.join('\n') };
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+/**
+ * Create a scratch folder removed when the test ends.
+ * @param {object} t - Test context
+ * @returns {string} Folder path
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imagestyler-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Small RGBA test image.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function sample() {
+  const img = Engine.createImage(16, 8);
+  for (let i = 0; i < img.data.length; i += 4) {
+    img.data.set([i % 256, 80, 255 - (i % 256), 255], i);
+  }
+  return img;
+}
+
+// ============================================================================
+// PNG CODEC
+// ============================================================================
+
+test('encodePNG and decodePNG round-trip pixels', () => {
+  const img = sample();
+  const back = decodePNG(encodePNG(img));
+  assert.equal(back.width, 16);
+  assert.equal(back.height, 8);
+  assert.deepEqual(Array.from(back.data), Array.from(img.data));
+});
+
+test('crc32 is shared with the zip writer', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+  assert.equal(crc32, require('../zip.js').crc32);
+});
+
+// ============================================================================
+// ARGUMENTS AND INPUTS
+// ============================================================================
+
+test('parseArgs reads the mode, flags and inputs', () => {
+  const parsed = parseArgs(['paint', '--pixel', '--size', '8', 'a.png', '-o', 'out']);
+  assert.equal(parsed.mode, 'paint');
+  assert.deepEqual(parsed.inputs, ['a.png']);
+  assert.equal(parsed.options.out, 'out');
+});
+
+test('detectImageFormat identifies files by signature', (t) => {
+  const dir = tempDir(t);
+  const write = (name, bytes) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, Buffer.from(bytes));
+    return file;
+  };
+  assert.equal(detectImageFormat(write('a.png', encodePNG(sample()))), 'PNG');
+  assert.equal(detectImageFormat(write('b.jpg', [0xFF, 0xD8, 0xFF, 0xE0, 0, 0, 0, 0, 0, 0, 0, 0])), 'JPEG');
+  assert.equal(detectImageFormat(write('c.webp', Buffer.from('RIFF\0\0\0\0WEBP'))), 'WebP');
+  assert.equal(detectImageFormat(write('d.txt', Buffer.from('hello world!'))), null);
+  assert.equal(detectImageFormat(path.join(dir, 'missing.png')), null);
+});
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+test('converts PNGs and skips JPEG/WebP up front with a clear message', (t) => {
+  const dir = tempDir(t);
+  const inDir = path.join(dir, 'in');
+  const outDir = path.join(dir, 'out');
+  fs.mkdirSync(inDir);
+  fs.writeFileSync(path.join(inDir, 'photo.png'), encodePNG(sample()));
+  fs.writeFileSync(path.join(inDir, 'photo2.jpg'), Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0, 0, 0, 0, 0, 0, 0]));
+  fs.writeFileSync(path.join(inDir, 'notes.txt'), 'not an image');
+
+  const result = runCLI(['ascii', '--cols', '8', inDir, '-o', outDir]);
+  assert.equal(result.code, 1);
+  assert.match(result.err, /SKIP {2}.*photo2\.jpg: JPEG input is not supported; convert it to PNG first/);
+  assert.doesNotMatch(result.err, /notes\.txt/);
+  assert.match(result.out, /1 converted, 0 failed, 1 skipped/);
+  assert.ok(fs.existsSync(path.join(outDir, 'photo.png')));
+  assert.ok(fs.existsSync(path.join(outDir, 'photo.txt')));
+  assert.ok(!fs.existsSync(path.join(outDir, 'photo2.png')));
+});
+
+test('a corrupt PNG is reported and the rest of the batch still converts', (t) => {
+  const dir = tempDir(t);
+  const inDir = path.join(dir, 'in');
+  const outDir = path.join(dir, 'out');
+  fs.mkdirSync(inDir);
+  fs.writeFileSync(path.join(inDir, 'bad.png'), Buffer.concat([encodePNG(sample()).subarray(0, 8), Buffer.from('not really a png')]));
+  fs.writeFileSync(path.join(inDir, 'good.png'), encodePNG(sample()));
+
+  const result = runCLI(['ascii', '--cols', '8', inDir, '-o', outDir]);
+  assert.equal(result.code, 1);
+  assert.match(result.err, /FAIL {2}.*bad\.png: /);
+  assert.match(result.out, /1 converted, 1 failed/);
+  assert.ok(fs.existsSync(path.join(outDir, 'good.png')));
+  assert.ok(fs.existsSync(path.join(outDir, 'good.txt')));
+  assert.ok(!fs.existsSync(path.join(outDir, 'bad.png')));
+});
+
+test('exits 0 when every input converts', (t) => {
+  const dir = tempDir(t);
+  const input = path.join(dir, 'a.png');
+  fs.writeFileSync(input, encodePNG(sample()));
+  const outDir = path.join(dir, 'out');
+  const result = runCLI(['paint', '--pixel', '--size', '4', input, '-o', outDir]);
+  assert.equal(result.code, 0);
+  const out = decodePNG(fs.readFileSync(path.join(outDir, 'a.png')));
+  assert.equal(out.width, 16);
+  assert.equal(out.height, 8);
+});
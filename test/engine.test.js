@@ -0,0 +1,590 @@
+// Tests for the conversion engine (engine.js) under Node.
+// Run with `npm test`.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Engine = require('../engine.js');
+
+/**
+ * Horizontal black-to-white gradient.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function gradient(width, height) {
+  const img = Engine.createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = Math.round(x * 255 / (width - 1));
+      img.data.set([v, v, v, 255], (y * width + x) * 4);
+    }
+  }
+  return img;
+}
+
+/**
+ * Image split into a black left half and a white right half.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function halves(width, height) {
+  const img = Engine.createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = x < width / 2 ? 0 : 255;
+      img.data.set([v, v, v, 255], (y * width + x) * 4);
+    }
+  }
+  return img;
+}
+
+/**
+ * Colorful test image: red/green/blue bands over a vertical fade.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function bands(width, height) {
+  const img = Engine.createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const band = Math.floor(x * 3 / width);
+      const v = Math.round(80 + 175 * y / (height - 1));
+      const c = [0, 0, 0];
+      c[band] = v;
+      img.data.set([c[0], c[1], c[2], 255], (y * width + x) * 4);
+    }
+  }
+  return img;
+}
+
+const lines = result => result.text.split('\n').filter(line => line.length > 0);
+
+// ============================================================================
+// ASCII
+// ============================================================================
+
+test('convertToASCII returns text and an image the size of the source', () => {
+  const src = gradient(120, 60);
+  const result = Engine.convertToASCII(src, { cols: 40, fontSize: 8 });
+  assert.equal(result.cols, 40);
+  assert.equal(lines(result).length, result.rows);
+  lines(result).forEach(line => assert.equal(Array.from(line).length, 40));
+  assert.equal(result.image.width, 120);
+  assert.equal(result.image.height, 60);
+});
+
+test('convertToASCII rounds columns up to an even number', () => {
+  assert.equal(Engine.convertToASCII(gradient(100, 50), { cols: 31 }).cols, 32);
+});
+
+test('convertToASCII maps dark cells to dense glyphs and light cells to blanks', () => {
+  const row = lines(Engine.convertToASCII(gradient(200, 40), { cols: 20, ramp: 'classic' }))[0];
+  assert.equal(row[0], Engine.RAMP_PRESETS.classic[0]);
+  assert.equal(row[row.length - 1], ' ');
+});
+
+test('convertToASCII uses preset and custom ramps', () => {
+  const blocks = Engine.convertToASCII(gradient(200, 40), { cols: 20, ramp: 'blocks' });
+  for (const ch of blocks.text.replace(/\n/g, '')) assert.ok(Engine.RAMP_PRESETS.blocks.includes(ch));
+  const custom = Engine.convertToASCII(gradient(200, 40), { cols: 20, ramp: 'X.' });
+  assert.deepEqual(new Set(custom.text.replace(/\n/g, '')), new Set(['X', '.']));
+});
+
+test('convertToASCII invert reverses the ramp and renders on black', () => {
+  const result = Engine.convertToASCII(gradient(200, 40), { cols: 20, ramp: 'classic', invert: true });
+  const row = lines(result)[0];
+  assert.equal(row[0], ' ');
+  assert.equal(row[row.length - 1], '@');
+  assert.equal(result.background, '#000');
+  assert.equal(result.image.data[0], 0);
+});
+
+test('orderRampByCoverage sorts glyphs from most to least ink', () => {
+  const glyphs = Engine.createBitmapGlyphSource(12);
+  assert.deepEqual(Engine.orderRampByCoverage([' ', '.', '@'], glyphs), ['@', '.', ' ']);
+});
+
+test('convertToASCII color mode keeps each cell\'s average color', () => {
+  const src = bands(90, 45);
+  const result = Engine.convertToASCII(src, { cols: 6, color: true });
+  assert.equal(result.colors.length, result.cols * result.rows * 3);
+  // First cell is in the red band, last cell of a row in the blue band
+  assert.ok(result.colors[0] > 0 && result.colors[1] === 0 && result.colors[2] === 0);
+  const last = (result.cols - 1) * 3;
+  assert.ok(result.colors[last + 2] > 0 && result.colors[last] === 0);
+});
+
+test('asciiToHTML and asciiToANSI export every character with its color', () => {
+  const result = Engine.convertToASCII(bands(90, 45), { cols: 6, color: true });
+  const html = Engine.asciiToHTML(result);
+  assert.match(html, /^<!DOCTYPE html>/i);
+  assert.match(html, /<pre/);
+  assert.match(html, /<span style="color:rgb\(\d+,0,0\)">/);
+  const ansi = Engine.asciiToANSI(result, { depth: 'truecolor' });
+  assert.match(ansi, /\x1b\[38;2;\d+;\d+;\d+m/);
+  const ansi256 = Engine.asciiToANSI(result, { depth: '256' });
+  assert.match(ansi256, /\x1b\[38;5;\d+m/);
+  assert.equal(Engine.rgbToAnsi256(0, 0, 0), 16);
+  assert.equal(Engine.rgbToAnsi256(255, 255, 255), 231);
+});
+
+test('tone controls shift the chosen characters', () => {
+  const src = gradient(200, 40);
+  const plain = lines(Engine.convertToASCII(src, { cols: 20, ramp: 'classic' }))[0];
+  const bright = lines(Engine.convertToASCII(src, { cols: 20, ramp: 'classic', brightness: 0.8 }))[0];
+  const blanks = s => Array.from(s).filter(ch => ch === ' ').length;
+  assert.ok(blanks(bright) > blanks(plain));
+});
+
+test('quantizeLevels without dithering bins levels evenly', () => {
+  const levels = Float32Array.from([0, 0.3, 0.6, 1]);
+  assert.deepEqual(Array.from(Engine.quantizeLevels(levels, 4, 1, 4, 'none')), [0, 1, 2, 3]);
+});
+
+test('dithering preserves the average level of a flat gray', () => {
+  const cols = 32, rows = 32;
+  const levels = new Float32Array(cols * rows).fill(0.5);
+  for (const method of ['floyd-steinberg', 'atkinson', 'bayer']) {
+    const indices = Engine.quantizeLevels(levels, cols, rows, 2, method);
+    const mean = indices.reduce((sum, v) => sum + v, 0) / indices.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.1, method + ' mean ' + mean);
+    assert.ok(new Set(indices).size === 2, method + ' mixes both levels');
+  }
+});
+
+test('edge detection draws a vertical contour along a hard edge', () => {
+  const result = Engine.convertToASCII(halves(160, 80), { cols: 16, edges: true, edgeThreshold: 0.3 });
+  lines(result).forEach(line => assert.ok(line.includes('|'), line));
+  assert.equal(Engine.edgeChar(1, 0), '|');
+  assert.equal(Engine.edgeChar(0, 1), '-');
+  assert.equal(Engine.edgeChar(0, -1), '_');
+});
+
+test('braille mode emits Unicode braille patterns', () => {
+  const result = Engine.convertToASCII(halves(80, 80), { cols: 10, textMode: 'braille' });
+  const chars = result.text.replace(/\n/g, '');
+  assert.equal(Array.from(chars).length, result.cols * result.rows);
+  for (const ch of chars) {
+    const code = ch.charCodeAt(0);
+    assert.ok(code >= 0x2800 && code <= 0x28FF);
+  }
+  // Black left half raises every dot, white right half none
+  assert.equal(lines(result)[0][0], '⣿');
+  assert.equal(lines(result)[0][9], '⠀');
+});
+
+test('half-block mode uses block characters and background colors in color mode', () => {
+  const mono = Engine.convertToASCII(halves(80, 80), { cols: 10, textMode: 'halfblock' });
+  assert.equal(lines(mono)[0][0], '█');
+  assert.equal(lines(mono)[0][9], ' ');
+  const color = Engine.convertToASCII(bands(90, 90), { cols: 10, textMode: 'halfblock', color: true });
+  assert.ok(color.bgColors instanceof Uint8ClampedArray);
+  assert.equal(color.bgColors.length, color.cols * color.rows * 3);
+});
+
+test('images smaller than the character grid still draw every cell', () => {
+  const black = Engine.createImage(4, 4, [0, 0, 0, 255]);
+  for (const textMode of ['braille', 'halfblock']) {
+    const result = Engine.convertToASCII(black, { cols: 8, textMode });
+    assert.equal(result.image.width, 4);
+    for (let i = 0; i < result.image.data.length; i += 4) {
+      assert.ok(result.image.data[i] < 128, `${textMode} pixel ${i / 4} is inked`);
+    }
+  }
+  const glyphs = Engine.convertToASCII(gradient(64, 64), { cols: 40, output: { mode: 'fixed', width: 16, height: 8 } });
+  assert.equal(lines(glyphs)[0].length, 40);
+  assert.equal(glyphs.image.width, 16);
+});
+
+test('convertToASCII reports progress up to 1', () => {
+  const seen = [];
+  Engine.convertToASCII(gradient(60, 30), { cols: 10, onProgress: f => seen.push(f) });
+  assert.ok(seen.length > 0);
+  assert.equal(seen[seen.length - 1], 1);
+});
+
+// ============================================================================
+// PAINT
+// ============================================================================
+
+test('convertToPaint with the legacy options returns an image the size of the source', () => {
+  const src = bands(64, 48);
+  const out = Engine.convertToPaint(src, { pixel: true, brush: true, pixelSize: 8 });
+  assert.equal(out.width, 64);
+  assert.equal(out.height, 48);
+  assert.equal(out.data.length, 64 * 48 * 4);
+});
+
+test('convertToPaint picks a seed when none is given and it reproduces the result', () => {
+  const src = bands(48, 48);
+  const opts = { brush: true, impression: true };
+  const first = Engine.convertToPaint(src, opts);
+  assert.notEqual(first.seed, undefined);
+  const again = Engine.convertToPaint(src, Object.assign({}, opts, { seed: first.seed }));
+  assert.deepEqual(again.data, first.data);
+});
+
+test('seeded paint output is deterministic and differs between seeds', () => {
+  const src = bands(48, 48);
+  const opts = { brush: true, impression: true };
+  const a = Engine.convertToPaint(src, Object.assign({ seed: 'alpha' }, opts));
+  const b = Engine.convertToPaint(src, Object.assign({ seed: 'alpha' }, opts));
+  const c = Engine.convertToPaint(src, Object.assign({ seed: 'beta' }, opts));
+  assert.equal(a.seed, 'alpha');
+  assert.deepEqual(a.data, b.data);
+  assert.notDeepEqual(a.data, c.data);
+});
+
+test('the pixel effect paints flat blocks of the block size', () => {
+  const out = Engine.convertToPaint(gradient(64, 16), { pipeline: [{ effect: 'pixel', params: { size: 8 } }], seed: 1 });
+  for (let x = 0; x < 8; x++) assert.equal(out.data[x * 4], out.data[0]);
+  assert.notEqual(out.data[8 * 4], out.data[0]);
+});
+
+test('every registered paint effect renders an opaque image', () => {
+  const src = bands(40, 40);
+  Object.keys(Engine.PAINT_EFFECTS).forEach((effect) => {
+    const out = Engine.convertToPaint(src, { pipeline: [{ effect }], seed: 7 });
+    assert.equal(out.width, 40, effect);
+    assert.equal(out.height, 40, effect);
+    for (let i = 3; i < out.data.length; i += 4) assert.equal(out.data[i], 255, effect);
+  });
+});
+
+test('normalizePipelineStep fills defaults, clamps values and rejects unknown effects', () => {
+  const step = Engine.normalizePipelineStep({ effect: 'brush', opacity: 3, blend: 'nope', params: { size: 999 } });
+  assert.equal(step.enabled, true);
+  assert.equal(step.opacity, 1);
+  assert.equal(step.blend, Engine.PAINT_EFFECTS.brush.blend);
+  assert.equal(step.params.size, 64);
+  assert.equal(step.params.strength, 0.7);
+  assert.throws(() => Engine.normalizePipelineStep({ effect: 'nope' }), /Unknown paint effect/);
+});
+
+test('disabled and transparent steps are skipped', () => {
+  const src = bands(32, 32);
+  const blank = Engine.convertToPaint(src, { pipeline: [{ effect: 'pixel', enabled: false }, { effect: 'brush', opacity: 0 }], seed: 1 });
+  assert.ok(blank.data.every(v => v === 255));
+});
+
+test('pipelineFromLegacy maps the old checkboxes to steps', () => {
+  const steps = Engine.pipelineFromLegacy({ pixel: true, watercolor: true, pixelSize: 12 });
+  assert.deepEqual(steps.map(s => s.effect), ['pixel', 'watercolor']);
+  assert.equal(steps[0].params.size, 12);
+});
+
+test('scalePipeline scales only spatial parameters, rounded to their step', () => {
+  const [brush] = Engine.scalePipeline([{ effect: 'brush', params: { size: 10, strength: 0.5 } }], 0.5);
+  assert.equal(brush.params.size, 5);
+  assert.equal(brush.params.strength, 0.5);
+});
+
+test('compositeLayer blend modes', () => {
+  const base = Engine.createImage(1, 1, [100, 100, 100, 255]);
+  const layer = () => Engine.createImage(1, 1, [200, 200, 200, 255]);
+  const blended = (mode) => {
+    const out = Engine.createImage(1, 1, [100, 100, 100, 255]);
+    Engine.compositeLayer(out, layer(), 1, mode);
+    return out.data[0];
+  };
+  assert.equal(blended('normal'), 200);
+  assert.equal(blended('darken'), 100);
+  assert.equal(blended('lighten'), 200);
+  assert.equal(blended('multiply'), Math.round(100 * 200 / 255));
+  Engine.compositeLayer(base, layer(), 0.5, 'normal');
+  assert.equal(base.data[0], 150);
+});
+
+test('scalePipeline keeps fractional sketch line weights', () => {
+  const [sketch] = Engine.scalePipeline([{ effect: 'sketch', params: { lineWeight: 3 } }], 0.5);
+  assert.equal(sketch.params.lineWeight, 1.5);
+});
+
+test('renderSketch without options uses the documented hatching and paper defaults', () => {
+  const src = halves(32, 32);
+  const bare = Engine.renderSketch(src, { random: Engine.createRandom(3) });
+  const explicit = Engine.renderSketch(src, { lineWeight: 2, hatching: 0.5, paper: 0.3, random: Engine.createRandom(3) });
+  assert.deepEqual(bare.data, explicit.data);
+  // Untouched paper is tinted, not pure white
+  const corner = Engine.renderSketch(Engine.createImage(8, 8, [255, 255, 255, 255]));
+  assert.deepEqual(Array.from(corner.data.subarray(0, 4)), [250, 246, 238, 255]);
+});
+
+test('renderSketch hatching 0 draws outlines only', () => {
+  const dark = Engine.createImage(32, 32, [40, 40, 40, 255]);
+  const plain = Engine.renderSketch(dark, { hatching: 0, paper: 0 });
+  const hatched = Engine.renderSketch(dark, { paper: 0, random: Engine.createRandom(1) });
+  const centre = (16 * 32 + 16) * 4;
+  let inked = 0;
+  for (let i = 0; i < hatched.data.length; i += 4) if (hatched.data[i] < 200) inked++;
+  assert.equal(plain.data[centre], 255);
+  assert.ok(inked > 100);
+});
+
+test('seeded pointillism is deterministic', () => {
+  const src = bands(48, 48);
+  const pipeline = [{ effect: 'brush' }, { effect: 'pointillism' }];
+  const a = Engine.convertToPaint(src, { pipeline, seed: 'alpha' });
+  const b = Engine.convertToPaint(src, { pipeline, seed: 'alpha' });
+  const c = Engine.convertToPaint(src, { pipeline, seed: 'beta' });
+  assert.deepEqual(a.data, b.data);
+  assert.notDeepEqual(a.data, c.data);
+  const dots = [{ effect: 'pointillism' }];
+  assert.deepEqual(Engine.convertToPaint(src, { pipeline: dots, seed: 9 }).data,
+    Engine.convertToPaint(src, { pipeline: dots, seed: 9 }).data);
+});
+
+/**
+ * Render a single halftone step over an image.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} src - Source image
+ * @param {Object} params - Halftone parameters
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function halftone(src, params) {
+  return Engine.convertToPaint(src, { pipeline: [{ effect: 'halftone', params }], seed: 1 });
+}
+
+test('mono halftone dot coverage rises as luminance falls', () => {
+  const out = halftone(gradient(96, 48), { size: 8 });
+  const coverage = [];
+  for (let band = 0; band < 6; band++) {
+    let ink = 0;
+    for (let y = 0; y < 48; y++) {
+      for (let x = band * 16; x < band * 16 + 16; x++) if (out.data[(y * 96 + x) * 4] < 128) ink++;
+    }
+    coverage.push(ink);
+  }
+  for (let i = 1; i < coverage.length; i++) assert.ok(coverage[i] < coverage[i - 1], coverage.join(' '));
+});
+
+test('cmyk halftone prints colored separations where mono stays gray', () => {
+  const src = bands(48, 48);
+  const isGray = img => {
+    for (let i = 0; i < img.data.length; i += 4) {
+      if (img.data[i] !== img.data[i + 1] || img.data[i + 1] !== img.data[i + 2]) return false;
+    }
+    return true;
+  };
+  assert.ok(isGray(halftone(src, { size: 6, inks: 'mono' })));
+  assert.ok(!isGray(halftone(src, { size: 6, inks: 'cmyk' })));
+});
+
+test('halftone angle rotates the screen', () => {
+  const src = gradient(48, 48);
+  assert.notDeepEqual(halftone(src, { size: 8, angle: 0 }).data, halftone(src, { size: 8, angle: 30 }).data);
+});
+
+test('flow strokes run along an edge instead of across it', () => {
+  const src = Engine.createImage(48, 48);
+  for (let p = 0; p < 48 * 48; p++) src.data.set(p % 48 < 24 ? [220, 30, 30, 255] : [30, 30, 220, 255], p * 4);
+  const out = Engine.convertToPaint(src, { pipeline: [{ effect: 'strokes' }], seed: 4 });
+  for (let p = 0; p < 48 * 48; p++) {
+    const x = p % 48;
+    if (Math.abs(x - 23.5) < 4) continue;
+    assert.equal(out.data[p * 4] > out.data[p * 4 + 2], x < 24, `bleed at ${x},${Math.floor(p / 48)}`);
+  }
+});
+
+test('finer flow stroke layers repaint detailed areas more than flat ones', () => {
+  // Checkerboard on the left, flat gray on the right
+  const src = Engine.createImage(48, 48);
+  for (let p = 0; p < 48 * 48; p++) {
+    const x = p % 48, y = Math.floor(p / 48);
+    const v = x >= 24 ? 128 : (Math.floor(x / 2) + Math.floor(y / 2)) % 2 ? 240 : 20;
+    src.data.set([v, v, v, 255], p * 4);
+  }
+  const layer = Engine.createImage(48, 48);
+  let firstPass = null, passes = 0;
+  Engine.paintFlowStrokes(layer, src, {
+    length: 8,
+    width: 2,
+    layers: 3,
+    random: Engine.createRandom(2),
+    sample: (size) => {
+      if (++passes === 2) firstPass = Uint8ClampedArray.from(layer.data);
+      return Engine.sampleBlocks(src, size);
+    }
+  });
+  let detailed = 0, flat = 0;
+  for (let p = 0; p < 48 * 48; p++) {
+    const changed = [0, 1, 2, 3].some(c => layer.data[p * 4 + c] !== firstPass[p * 4 + c]);
+    if (changed && p % 48 < 16) detailed++;
+    if (changed && p % 48 >= 32) flat++;
+  }
+  assert.ok(detailed > flat * 2, `${detailed} detailed vs ${flat} flat pixels repainted`);
+});
+
+// ============================================================================
+// OIL PAINT
+// ============================================================================
+
+/**
+ * Noisy gray image with a hard vertical edge: dark left, light right.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function noisyEdge(width, height) {
+  const random = Engine.createRandom(5);
+  const img = Engine.createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = (x < width / 2 ? 60 : 190) + Math.round((random() - 0.5) * 60);
+      img.data.set([v, v, v, 255], (y * width + x) * 4);
+    }
+  }
+  return img;
+}
+
+/**
+ * Mean and standard deviation of the red channel over columns x0..x1-1,
+ * skipping the top and bottom rows.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} img - Image
+ * @param {number} x0 - First column
+ * @param {number} x1 - End column (exclusive)
+ * @returns {{mean: number, sd: number}}
+ */
+function columnStats(img, x0, x1) {
+  let sum = 0, sum2 = 0, n = 0;
+  for (let y = 5; y < img.height - 5; y++) {
+    for (let x = x0; x < x1; x++) {
+      const v = img.data[(y * img.width + x) * 4];
+      sum += v;
+      sum2 += v * v;
+      n++;
+    }
+  }
+  const mean = sum / n;
+  return { mean, sd: Math.sqrt(sum2 / n - mean * mean) };
+}
+
+test('anisotropicKuwahara flattens noise on both sides of an edge and keeps it sharp', () => {
+  const src = noisyEdge(40, 40);
+  const out = Engine.anisotropicKuwahara(src);
+  for (const [x0, x1] of [[3, 14], [26, 37]]) {
+    const before = columnStats(src, x0, x1);
+    const after = columnStats(out, x0, x1);
+    assert.ok(after.sd < before.sd / 4, `noise ${before.sd.toFixed(1)} -> ${after.sd.toFixed(1)}`);
+    assert.ok(Math.abs(after.mean - before.mean) < 5);
+  }
+  // The two pixels either side of the edge keep their own side's tone
+  const row = 20 * 40 * 4;
+  assert.ok(out.data[row + 19 * 4] < 100);
+  assert.ok(out.data[row + 20 * 4] > 150);
+});
+
+test('anisotropicKuwahara radius sets the smoothing and sharpness the edge contrast', () => {
+  const src = noisyEdge(40, 40);
+  const wide = Engine.anisotropicKuwahara(src, { radius: 6 });
+  const narrow = Engine.anisotropicKuwahara(src, { radius: 3 });
+  assert.ok(columnStats(narrow, 3, 14).sd > columnStats(wide, 3, 14).sd);
+
+  const edgeStep = img => img.data[(20 * 40 + 20) * 4] - img.data[(20 * 40 + 19) * 4];
+  const soft = Engine.anisotropicKuwahara(src, { sharpness: 2 });
+  assert.ok(edgeStep(soft) < edgeStep(wide));
+});
+
+test('anisotropicKuwahara reports progress through onProgress', () => {
+  const seen = [];
+  Engine.anisotropicKuwahara(noisyEdge(16, 16), { radius: 2, onProgress: f => seen.push(f) });
+  assert.equal(seen.length, 16);
+  assert.ok(seen[seen.length - 1] > 0.9);
+});
+
+// ============================================================================
+// PALETTES
+// ============================================================================
+
+test('the pixel effect with a retro palette only uses palette colors', () => {
+  const palette = Engine.RETRO_PALETTES.gameboy.colors.map(Engine.toHexColor);
+  const out = Engine.convertToPaint(bands(48, 48), {
+    pipeline: [{ effect: 'pixel', params: { size: 4, palette: 'gameboy', dither: 'floyd-steinberg' } }],
+    seed: 1
+  });
+  for (let i = 0; i < out.data.length; i += 4) {
+    assert.ok(palette.includes(Engine.toHexColor([out.data[i], out.data[i + 1], out.data[i + 2]])));
+  }
+});
+
+test('automatic palettes hold at most the requested number of colors', () => {
+  const src = bands(64, 64);
+  assert.ok(Engine.medianCutPalette(src, 5).length <= 5);
+  assert.ok(Engine.kMeansPalette(src, 5).length <= 5);
+  const out = Engine.convertToPaint(src, { pipeline: [{ effect: 'pixel', params: { size: 2, palette: 'auto', colors: 4 } }], seed: 1 });
+  const seen = new Set();
+  for (let i = 0; i < out.data.length; i += 4) seen.add(Engine.toHexColor([out.data[i], out.data[i + 1], out.data[i + 2]]));
+  assert.ok(seen.size <= 4, 'colors used: ' + seen.size);
+});
+
+test('quantizeToPalette maps pixels to the nearest palette color', () => {
+  const out = Engine.quantizeToPalette(gradient(16, 1), [[0, 0, 0], [255, 255, 255]], 'none');
+  assert.deepEqual(Array.from(out.data.slice(0, 3)), [0, 0, 0]);
+  assert.deepEqual(Array.from(out.data.slice(-4, -1)), [255, 255, 255]);
+});
+
+test('parsePaletteFile reads .gpl and .hex files and rejects bad lines', () => {
+  const gpl = 'GIMP Palette\nName: Test\nColumns: 2\n# comment\n255 0 0 Red\n0 0 255 Blue\n';
+  assert.deepEqual(Engine.parsePaletteFile(gpl), ['#ff0000', '#0000ff']);
+  assert.deepEqual(Engine.parsePaletteFile('ff0000\n00ff00\nff0000\n'), ['#ff0000', '#00ff00']);
+  assert.throws(() => Engine.parsePaletteFile('zzzzzz\n'), /Unreadable palette line 1/);
+  assert.throws(() => Engine.parsePaletteFile('\n'), /no colors/);
+  assert.deepEqual(Engine.parseHexColor('#abc'), [0xaa, 0xbb, 0xcc]);
+  assert.equal(Engine.parseHexColor('nope'), null);
+});
+
+// ============================================================================
+// OUTPUT SIZE
+// ============================================================================
+
+test('resolveOutputSize handles source, fixed and fit-glyphs sizes', () => {
+  const src = { width: 200, height: 100 };
+  assert.deepEqual(Engine.resolveOutputSize(src), { width: 200, height: 100 });
+  assert.deepEqual(Engine.resolveOutputSize(src, { mode: 'fixed', width: 400, height: 50 }), { width: 400, height: 50 });
+  assert.deepEqual(Engine.resolveOutputSize(src, { mode: 'fixed', width: 100 }), { width: 100, height: 50 });
+  assert.deepEqual(Engine.resolveOutputSize(src, { mode: 'fixed', height: 300 }), { width: 600, height: 300 });
+  assert.deepEqual(Engine.resolveOutputSize(src, { mode: 'fit-glyphs' }, { width: 640, height: 360 }), { width: 640, height: 360 });
+  assert.deepEqual(Engine.resolveOutputSize(src, { mode: 'fixed', width: 1e6 }).width, Engine.MAX_OUTPUT_SIDE);
+});
+
+test('convertToPaint renders at a fixed output size', () => {
+  const out = Engine.convertToPaint(bands(40, 20), { pipeline: [{ effect: 'pixel' }], seed: 1, output: { mode: 'fixed', width: 160 } });
+  assert.equal(out.width, 160);
+  assert.equal(out.height, 80);
+});
+
+test('convertToASCII renders at fixed and fit-glyphs output sizes', () => {
+  const src = gradient(100, 50);
+  const fixed = Engine.convertToASCII(src, { cols: 20, output: { mode: 'fixed', width: 300, height: 90 } });
+  assert.equal(fixed.image.width, 300);
+  assert.equal(fixed.image.height, 90);
+  const glyphs = Engine.createBitmapGlyphSource(10);
+  const fit = Engine.convertToASCII(src, { cols: 20, glyphs, output: { mode: 'fit-glyphs' } });
+  assert.equal(fit.image.width, 20 * glyphs.width);
+  assert.equal(fit.image.height, fit.rows * glyphs.height);
+});
+
+test('resizeImage keeps flat colors flat when shrinking and enlarging', () => {
+  const src = Engine.createImage(10, 10, [10, 20, 30, 255]);
+  for (const [w, h] of [[3, 4], [25, 17]]) {
+    const out = Engine.resizeImage(src, w, h);
+    assert.equal(out.width, w);
+    assert.equal(out.height, h);
+    assert.deepEqual(Array.from(out.data.slice(0, 4)), [10, 20, 30, 255]);
+  }
+});
+
+// ============================================================================
+// SVG EXPORT
+// ============================================================================
+
+test('pixelArtToSVG and asciiToSVG produce SVG documents', () => {
+  const pixel = Engine.pixelArtToSVG(bands(32, 32), { effect: 'pixel', params: { size: 8 } });
+  assert.match(pixel, /^<svg|<\?xml/);
+  assert.match(pixel, /<rect/);
+  const ascii = Engine.asciiToSVG(Engine.convertToASCII(bands(60, 30), { cols: 6, color: true }));
+  assert.match(ascii, /<text/);
+});
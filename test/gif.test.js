@@ -0,0 +1,101 @@
+// Tests for the GIF codec (gif.js) under Node.
+// Run with `npm test`.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GIF = require('../gif.js');
+const Engine = require('../engine.js');
+
+/**
+ * Image striped with the given colors, one column per entry, repeated.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number[][]} colors - [r, g, b, a] colors
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function stripes(width, height, colors) {
+  const img = Engine.createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      img.data.set(colors[(x + y) % colors.length], (y * width + x) * 4);
+    }
+  }
+  return img;
+}
+
+const RED = [255, 0, 0, 255];
+const GREEN = [0, 255, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// ============================================================================
+// ROUND TRIP
+// ============================================================================
+
+test('encodeGIF output is recognized by isGIF', () => {
+  const bytes = GIF.encodeGIF([{ image: stripes(4, 4, [RED, BLUE]), palette: [[255, 0, 0], [0, 0, 255]], delay: 100 }]);
+  assert.ok(GIF.isGIF(bytes));
+  assert.ok(!GIF.isGIF(new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0, 0])));
+});
+
+test('frames, delays and loop count survive a round trip', () => {
+  const palette = [[255, 0, 0], [0, 255, 0], [0, 0, 255]];
+  const frames = [
+    { image: stripes(13, 7, [RED, GREEN, BLUE]), palette, delay: 100 },
+    { image: stripes(13, 7, [BLUE, RED]), palette, delay: 250 },
+    { image: stripes(13, 7, [GREEN]), palette, delay: 40 }
+  ];
+  const gif = GIF.decodeGIF(GIF.encodeGIF(frames, { loop: 3 }));
+  assert.equal(gif.width, 13);
+  assert.equal(gif.height, 7);
+  assert.equal(gif.loop, 3);
+  assert.deepEqual(gif.frames.map(frame => frame.delay), [100, 250, 40]);
+  gif.frames.forEach((frame, i) => {
+    assert.deepEqual(Array.from(frame.image.data), Array.from(frames[i].image.data), `frame ${i}`);
+  });
+});
+
+test('transparent pixels stay transparent and do not show the previous frame', () => {
+  const palette = [[255, 0, 0], [0, 0, 255]];
+  const frames = [
+    { image: stripes(6, 6, [RED]), palette, delay: 100 },
+    { image: stripes(6, 6, [BLUE, CLEAR]), palette, delay: 100 }
+  ];
+  const gif = GIF.decodeGIF(GIF.encodeGIF(frames));
+  const second = gif.frames[1].image.data;
+  assert.deepEqual(Array.from(second.subarray(0, 4)), BLUE);
+  assert.equal(second[7], 0);
+});
+
+test('a full 256-color palette encodes large frames losslessly', () => {
+  const image = Engine.createImage(64, 64);
+  const palette = [];
+  for (let i = 0; i < 256; i++) palette.push([i, 255 - i, (i * 7) & 255]);
+  for (let p = 0; p < 64 * 64; p++) {
+    const c = palette[(p * 31) % 256];
+    image.data.set([c[0], c[1], c[2], 255], p * 4);
+  }
+  const gif = GIF.decodeGIF(GIF.encodeGIF([{ image, palette, delay: 100 }]));
+  assert.deepEqual(Array.from(gif.frames[0].image.data), Array.from(image.data));
+});
+
+test('median-cut palettes from the engine encode an exact copy of few-color frames', () => {
+  const image = stripes(20, 10, [RED, GREEN, BLUE, [255, 255, 255, 255]]);
+  const palette = Engine.medianCutPalette(image, 255);
+  const gif = GIF.decodeGIF(GIF.encodeGIF([{ image, palette, delay: 100 }]));
+  assert.deepEqual(Array.from(gif.frames[0].image.data), Array.from(image.data));
+});
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+test('encodeGIF rejects empty input and mismatched frame sizes', () => {
+  assert.throws(() => GIF.encodeGIF([]), /No frames/);
+  assert.throws(() => GIF.encodeGIF([
+    { image: stripes(4, 4, [RED]), palette: [[255, 0, 0]], delay: 100 },
+    { image: stripes(5, 4, [RED]), palette: [[255, 0, 0]], delay: 100 }
+  ]), /same size/);
+});
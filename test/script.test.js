@@ -0,0 +1,164 @@
+// Tests for the page script (script.js) in a jsdom window.
+// Run with `npm test`.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Open index.html in a fresh jsdom window, running its scripts as the
+ * browser would, and wait for the app to initialize. Canvas calls are
+ * unavailable in jsdom, so the page's console output is dropped.
+ * @param {Object} [options] - Extra JSDOM options (e.g. pretendToBeVisual)
+ * @returns {Promise<Window>}
+ */
+async function loadApp(options) {
+  const dom = await JSDOM.fromFile(path.join(ROOT, 'index.html'), Object.assign({
+    runScripts: 'dangerously',
+    resources: 'usable',
+    virtualConsole: new VirtualConsole()
+  }, options));
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+  return dom.window;
+}
+
+/**
+ * Read the layer stack the Paint tab would convert with.
+ * @param {Window} window - App window
+ * @returns {Object[]} Steps from #paintPipeline
+ */
+function currentPipeline(window) {
+  return JSON.parse(window.document.getElementById('paintPipeline').value);
+}
+
+/**
+ * Find a built-in preset by name.
+ * @param {Window} window - App window
+ * @param {string} name - Preset name
+ * @returns {Object}
+ */
+function builtinPreset(window, name) {
+  return window.eval('BUILTIN_PRESETS').find(preset => preset.name === name);
+}
+
+// ============================================================================
+// LAYER STACK
+// ============================================================================
+
+test('the layer stack editor lists the default stack and edits #paintPipeline', async () => {
+  const window = await loadApp();
+  const document = window.document;
+  const steps = () => document.querySelectorAll('#pipelineList .pipeline-step');
+  assert.deepEqual(currentPipeline(window).map(step => step.effect), ['pixel', 'brush', 'texture']);
+  assert.equal(steps().length, 3);
+
+  document.getElementById('pipelineAddSelect').value = 'watercolor';
+  document.getElementById('pipelineAddBtn').click();
+  assert.deepEqual(currentPipeline(window).map(step => step.effect), ['pixel', 'brush', 'texture', 'watercolor']);
+  assert.equal(steps().length, 4);
+
+  // Steps are listed top layer first: the first slider is the watercolor size
+  const slider = steps()[0].querySelector('input[type="range"]');
+  slider.value = '20';
+  slider.dispatchEvent(new window.Event('input'));
+  assert.equal(currentPipeline(window)[3].params.size, 20);
+  window.close();
+});
+
+// ============================================================================
+// PRESETS AND SETTINGS
+// ============================================================================
+
+test('applying a Paint preset replaces the layer stack', async () => {
+  const window = await loadApp();
+  window.applyPreset(builtinPreset(window, '8-bit'));
+  const pipeline = currentPipeline(window);
+  assert.deepEqual(pipeline.map(step => step.effect), ['pixel']);
+  assert.equal(pipeline[0].params.size, 12);
+  assert.equal(window.document.querySelectorAll('#pipelineList .pipeline-step').length, 1);
+
+  const newsprint = builtinPreset(window, 'Newsprint halftone');
+  window.applyPreset(newsprint);
+  assert.deepEqual(currentPipeline(window).map(step => step.effect),
+    JSON.parse(newsprint.settings.paintPipeline).map(step => step.effect));
+  window.close();
+});
+
+test('applySettings migrates legacy Paint settings into the layer stack', async () => {
+  const window = await loadApp();
+  window.applySettings({ stylePixel: true, styleBrush: false, pixelSize: '20' });
+  const pipeline = currentPipeline(window);
+  assert.deepEqual(pipeline.map(step => step.effect), ['pixel']);
+  assert.equal(pipeline[0].params.size, 20);
+  window.close();
+});
+
+// ============================================================================
+// BATCH CONVERSION
+// ============================================================================
+
+test('Cancel stops a batch while an image is still decoding', { timeout: 10000 }, async () => {
+  const window = await loadApp();
+  // jsdom never decodes images, so the first step stays pending
+  const file = new window.File([new Uint8Array(8)], 'photo.png', { type: 'image/png' });
+  window.eval('loadedImage = {}');
+  window.addBatchFiles([file, file]);
+  const run = window.runBatch();
+  assert.equal(window.eval('batchRunning'), true);
+  window.document.getElementById('cancelBtn').click();
+  await run;
+  assert.equal(window.eval('batchRunning'), false);
+  const items = window.eval('batchItems');
+  assert.deepEqual(Array.from(items, item => item.status), ['queued', 'queued']);
+  assert.equal(items[0].message, 'Cancelled');
+  window.close();
+});
+
+// ============================================================================
+// ANIMATION PLAYBACK
+// ============================================================================
+
+/**
+ * Set document.hidden and fire visibilitychange.
+ * @param {Window} window - App window
+ * @param {boolean} hidden - Whether the page is hidden
+ * @returns {void}
+ */
+function setHidden(window, hidden) {
+  Object.defineProperty(window.document, 'hidden', { value: hidden, configurable: true });
+  window.document.dispatchEvent(new window.Event('visibilitychange'));
+}
+
+test('playback pauses while the page is hidden and resumes when shown', async () => {
+  const window = await loadApp({ pretendToBeVisual: true });
+  const frame = { width: 2, height: 2, data: new Uint8ClampedArray(16) };
+  // Long delays so no frame is drawn (jsdom has no canvas)
+  window.startPlayback({ frames: [frame, frame], delays: [60000, 60000], loop: 0, texts: null });
+  const playback = window.eval('playback');
+  assert.notEqual(playback.timer, null);
+  assert.equal(window.getExportFrames().frames.length, 2);
+
+  setHidden(window, true);
+  assert.equal(playback.timer, null);
+  setHidden(window, false);
+  assert.notEqual(playback.timer, null);
+  assert.equal(playback.index, 0);
+
+  window.stopPlayback();
+  window.close();
+});
+
+test('playback started in a hidden page waits until it is shown', async () => {
+  const window = await loadApp();
+  assert.equal(window.document.hidden, true);
+  const frame = { width: 2, height: 2, data: new Uint8ClampedArray(16) };
+  window.startPlayback({ frames: [frame, frame], delays: [60000, 60000], loop: 0, texts: null });
+  assert.equal(window.eval('playback').timer, null);
+  window.stopPlayback();
+  window.close();
+});
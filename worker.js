@@ -0,0 +1,64 @@
+// ============================================================================
+// IMAGE STYLER WORKER - Runs conversions off the main thread
+// ============================================================================
+// Message protocol (all messages carry the job `id`):
+//   in:  { id, mode: 'ascii' | 'paint', source: ImageData-like, options }
+//   out: { id, type: 'progress', progress }   (0-1, throttled to 1% steps)
+//        { id, type: 'done', result }         (pixel buffers are transferred)
+//        { id, type: 'error', message }
+// Cancelling is done by the page terminating the worker. Superseded live
+// previews are left to finish; the page ignores their stale ids.
+// ============================================================================
+
+importScripts('engine.js');
+
+// OffscreenCanvas glyph sources keyed by font family and size, so worker
+// output matches the page's fonts; falls back to the engine's bitmap font
+const glyphSources = new Map();
+
+/**
+ * Get (or build) a glyph source for the given font.
+ * @param {number} fontSize - Font size in pixels
+ * @param {string} [fontFamily='monospace'] - CSS font family
+ * @returns {Object} Glyph source for ImageStylerEngine.convertToASCII
+ */
+function getGlyphSource(fontSize, fontFamily) {
+  const family = fontFamily || 'monospace';
+  const key = family + '|' + fontSize;
+  if (!glyphSources.has(key)) {
+    let glyphs;
+    try {
+      glyphs = ImageStylerEngine.createCanvasGlyphSource(fontSize, family, (w, h) => new OffscreenCanvas(w, h));
+    } catch (e) {
+      glyphs = ImageStylerEngine.createBitmapGlyphSource(fontSize);
+    }
+    glyphSources.set(key, glyphs);
+  }
+  return glyphSources.get(key);
+}
+
+self.onmessage = (e) => {
+  const { id, mode, source, options } = e.data;
+  let lastReported = -1;
+  const onProgress = (fraction) => {
+    const pct = Math.floor(fraction * 100);
+    if (pct === lastReported) return;
+    lastReported = pct;
+    self.postMessage({ id, type: 'progress', progress: fraction });
+  };
+
+  try {
+    if (mode === 'ascii') {
+      const glyphs = getGlyphSource(Number(options.fontSize) || 12, options.fontFamily);
+      const result = ImageStylerEngine.convertToASCII(source, Object.assign({}, options, { glyphs, onProgress }));
+      const transfer = [result.image.data.buffer, result.colors.buffer];
+      if (result.bgColors) transfer.push(result.bgColors.buffer);
+      self.postMessage({ id, type: 'done', result }, transfer);
+    } else {
+      const result = ImageStylerEngine.convertToPaint(source, Object.assign({}, options, { onProgress }));
+      self.postMessage({ id, type: 'done', result }, [result.data.buffer]);
+    }
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+};
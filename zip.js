@@ -0,0 +1,131 @@
+// ============================================================================
+// IMAGE STYLER ZIP WRITER
+// ============================================================================
+// Builds .zip archives in memory for batch downloads. Entries are stored
+// without compression: the outputs are PNGs (already deflated) plus small
+// text files, so deflating again would cost time for almost no gain.
+//
+// Works in the page, in workers and under Node, like engine.js:
+//   const zip = ImageStylerZip.createZip([{ name: 'a.png', data: bytes }]);
+// ============================================================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ImageStylerZip = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Compute the CRC32 of a byte sequence.
+   * @param {Uint8Array} bytes - Input bytes
+   * @returns {number} Unsigned 32-bit CRC
+   */
+  function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Encode a Date as MS-DOS time and date words.
+   * @param {Date} date - Timestamp (local time; DOS dates start in 1980)
+   * @returns {{time: number, date: number}}
+   */
+  function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Build a zip archive of stored (uncompressed) entries.
+   * @param {{name: string, data: (Uint8Array|string)}[]} entries - Files to add;
+   *   string data is encoded as UTF-8
+   * @param {Date} [date=new Date()] - Modification time for every entry
+   * @returns {Uint8Array} Zip file contents
+   * @throws {Error} On duplicate names or archives beyond the 4 GB zip limit
+   */
+  function createZip(entries, date) {
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(date || new Date());
+    const seen = new Set();
+    const files = entries.map((entry) => {
+      if (seen.has(entry.name)) throw new Error('Duplicate file name in zip: ' + entry.name);
+      seen.add(entry.name);
+      const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+      return { name: encoder.encode(entry.name), data, crc: crc32(data) };
+    });
+
+    let size = 22;
+    files.forEach((f) => { size += 30 + 46 + f.name.length * 2 + f.data.length; });
+    if (size > 0xFFFFFFFF) throw new Error('Zip archive too large');
+
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    let pos = 0;
+
+    // Local file header + data for each entry
+    files.forEach((f) => {
+      f.offset = pos;
+      view.setUint32(pos, 0x04034B50, true);
+      view.setUint16(pos + 4, 20, true); // version needed: 2.0
+      view.setUint16(pos + 6, 0x0800, true); // names are UTF-8
+      view.setUint16(pos + 8, 0, true); // stored
+      view.setUint16(pos + 10, stamp.time, true);
+      view.setUint16(pos + 12, stamp.date, true);
+      view.setUint32(pos + 14, f.crc, true);
+      view.setUint32(pos + 18, f.data.length, true);
+      view.setUint32(pos + 22, f.data.length, true);
+      view.setUint16(pos + 26, f.name.length, true);
+      view.setUint16(pos + 28, 0, true);
+      out.set(f.name, pos + 30);
+      out.set(f.data, pos + 30 + f.name.length);
+      pos += 30 + f.name.length + f.data.length;
+    });
+
+    // Central directory
+    const dirStart = pos;
+    files.forEach((f) => {
+      view.setUint32(pos, 0x02014B50, true);
+      view.setUint16(pos + 4, 20, true); // made by
+      view.setUint16(pos + 6, 20, true); // version needed
+      view.setUint16(pos + 8, 0x0800, true);
+      view.setUint16(pos + 10, 0, true);
+      view.setUint16(pos + 12, stamp.time, true);
+      view.setUint16(pos + 14, stamp.date, true);
+      view.setUint32(pos + 16, f.crc, true);
+      view.setUint32(pos + 20, f.data.length, true);
+      view.setUint32(pos + 24, f.data.length, true);
+      view.setUint16(pos + 28, f.name.length, true);
+      // extra, comment, disk number, internal/external attributes: all zero
+      view.setUint32(pos + 42, f.offset, true);
+      out.set(f.name, pos + 46);
+      pos += 46 + f.name.length;
+    });
+
+    // End of central directory
+    view.setUint32(pos, 0x06054B50, true);
+    view.setUint16(pos + 8, files.length, true);
+    view.setUint16(pos + 10, files.length, true);
+    view.setUint32(pos + 12, pos - dirStart, true);
+    view.setUint32(pos + 16, dirStart, true);
+    return out;
+  }
+
+  return { crc32, createZip };
+});